@@ -4,6 +4,8 @@ import bcrypt from "bcryptjs";
 import Agent from "../models/Agent.js";
 import generateToken from "../utils/generateToken.js";
 import { getCompanyModels } from "../utils/dbManager.js";
+import { bookingTotalsStages, getBaseCurrency, groupTotalsInBase, loadRateTable } from "../utils/currency.js";
+import { forgetIdentity } from "../utils/identityResolver.js";
 
 /* ----------------------------- helpers ----------------------------- */
 
@@ -200,6 +202,7 @@ export const updateAgent = async (req, res) => {
     if (typeof commissionRate !== "undefined") agent.commissionRate = commissionRate;
 
     await agent.save();
+    forgetIdentity(agent._id); // booking/inquiry lists show the new name right away
     return res.json(sanitize(agent));
   } catch (e) {
     console.error("updateAgent error:", e);
@@ -216,6 +219,7 @@ export const deleteAgent = async (req, res) => {
     if (!agent) return res.status(404).json({ message: "Agent not found" });
 
     await agent.deleteOne(); // remove() is deprecated
+    forgetIdentity(agent._id);
     return res.json({ message: "Agent removed" });
   } catch (e) {
     console.error("deleteAgent error:", e);
@@ -237,45 +241,15 @@ export const getAgentPerformance = async (req, res) => {
       if (end) match.createdAt.$lte = new Date(end);
     }
 
-    const data = await Booking.aggregate([
-      { $match: match },
-      {
-        $project: {
-          agent: 1,
-          // Calculate profit: use costing.totals.profit if available and > 0, otherwise calculate as totalSale - totalCost
-          profit: {
-            $cond: {
-              if: { 
-                $and: [
-                  { $ne: [{ $ifNull: ["$costing.totals.profit", null] }, null] },
-                  { $gt: [{ $ifNull: ["$costing.totals.profit", 0] }, 0] }
-                ]
-              },
-              then: { $ifNull: ["$costing.totals.profit", 0] },
-              else: {
-                $let: {
-                  vars: {
-                    totalSale: { $ifNull: ["$costing.totals.totalSale", { $ifNull: ["$totalAmount", 0] }] },
-                    totalCost: { $ifNull: ["$costing.totals.totalCost", 0] }
-                  },
-                  in: { $subtract: ["$$totalSale", "$$totalCost"] }
-                }
-              }
-            }
-          }
-        }
-      },
-      { 
-        $group: { 
-          _id: "$agent", 
-          bookings: { $sum: 1 }, 
-          profit: { $sum: "$profit" }
-        } 
-      },
-      { $sort: { bookings: -1 } },
+    // Totals are converted to the company's base currency at the rate on each booking date
+    const [partials, table] = await Promise.all([
+      Booking.aggregate([{ $match: match }, ...bookingTotalsStages("$agent")]),
+      getBaseCurrency(req.companyId).then(loadRateTable),
     ]);
+    const { rows, missingRates } = groupTotalsInBase(partials, table);
+    const data = rows.sort((a, b) => b.bookings - a.bookings);
 
-    return res.json({ ok: true, data });
+    return res.json({ ok: true, baseCurrency: table.base, missingRates, data });
   } catch (e) {
     console.error("getAgentPerformance error:", e);
     return res.status(500).json({ message: "Server error" });
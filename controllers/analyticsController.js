@@ -1,6 +1,7 @@
 import Booking from "../models/Booking.js";
 import Inquiry from "../models/Inquiry.js";
 import User from "../models/User.js";
+import { bookingTotalsStages, getBaseCurrency, groupTotalsInBase, loadRateTable } from "../utils/currency.js";
 
 // Admin Dashboard Analytics
 export const getAdminAnalytics = async (req, res) => {
@@ -23,6 +24,36 @@ export const getAdminAnalytics = async (req, res) => {
       { $group: { _id: "$status", count: { $sum: 1 } } }
     ]);
 
+    // Most booked routes (from parsed GDS segments)
+    const topRoutes = await Booking.aggregate([
+      { $unwind: "$flights.segments" },
+      {
+        $group: {
+          _id: { origin: "$flights.segments.origin", destination: "$flights.segments.destination" },
+          segments: { $sum: 1 },
+          bookings: { $addToSet: "$_id" },
+        },
+      },
+      { $project: { _id: 0, origin: "$_id.origin", destination: "$_id.destination", segments: 1, bookings: { $size: "$bookings" } } },
+      { $sort: { bookings: -1, segments: -1 } },
+      { $limit: 10 },
+    ]);
+
+    // Revenue / cost / profit in the base currency (rate on each booking date)
+    const [partials, rateTable] = await Promise.all([
+      Booking.aggregate(bookingTotalsStages()),
+      getBaseCurrency(req.companyId).then(loadRateTable),
+    ]);
+    const { rows: [totals = {}], missingRates } = groupTotalsInBase(partials, rateTable);
+    const financials = {
+      baseCurrency: rateTable.base,
+      revenue: totals.revenue || 0,
+      cost: totals.cost || 0,
+      profit: totals.profit || 0,
+      negativeMarginBookings: totals.negativeMarginBookings || 0,
+      missingRates,
+    };
+
     // Recent data
     const recentBookings = await Booking.find().sort({ createdAt: -1 }).limit(5);
     const recentInquiries = await Inquiry.find().sort({ createdAt: -1 }).limit(5);
@@ -35,6 +66,8 @@ export const getAdminAnalytics = async (req, res) => {
         totalAgents,
         bookingStats,
         inquiryStats,
+        financials,
+        topRoutes,
         recentBookings,
         recentInquiries
       }
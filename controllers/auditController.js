@@ -0,0 +1,174 @@
+// controllers/auditController.js
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import Booking from "../models/Booking.js";
+import { dateParam } from "../utils/bookingQuery.js";
+import { checkPnrConflicts, pnrSet } from "../utils/pnrRegistry.js";
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The only fields a revert restores: customer details, itinerary and pricing.
+// Everything else keeps its current value: the lifecycle (state machine in
+// utils/bookingLifecycle.js), the payment ledger, travellers (visa applications
+// reference their ids), ownership, group/package links, card data and the
+// soft-delete flags.
+const REVERTABLE = [
+  "customerName",
+  "customerEmail",
+  "contactNumber",
+  "emergencyContacts",
+  "customerGroup",
+  "package",
+  "date",
+  "departureDate",
+  "returnDate",
+  "passengers",
+  "adults",
+  "children",
+  "flightClass",
+  "pnr",
+  "pnrs",
+  "flight",
+  "flights",
+  "hotel",
+  "hotels",
+  "visa",
+  "visas",
+  "transport",
+  "transportation",
+  "currency",
+  "packagePrice",
+  "additionalServices",
+  "amount",
+  "totalAmount",
+  "costing",
+];
+
+/* Build an AuditLog filter from query params (throws 400 on a malformed from/to) */
+const buildAuditFilter = (query, base = {}) => {
+  const filter = { ...base };
+  const { entity, entityId, user, action, field, from, to } = query;
+
+  if (entity) filter.entity = entity;
+  if (entityId && mongoose.Types.ObjectId.isValid(entityId)) filter.entityId = entityId;
+  if (user && mongoose.Types.ObjectId.isValid(user)) filter.actor = user;
+  if (action) filter.action = action;
+  if (field) filter["changes.path"] = { $regex: `^${escapeRegex(field)}(\\.|$)` };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = dateParam(from, "from");
+    if (to) filter.createdAt.$lte = dateParam(to, "to");
+  }
+  return filter;
+};
+
+const paginate = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+const listAudit = async (filter, query, res) => {
+  const { limit, page, skip } = paginate(query);
+  const projection = query.includeSnapshot === "true" ? {} : { snapshot: 0 };
+
+  const [total, data] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter, projection).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+  ]);
+
+  // Only the matching field changes when filtering by field
+  if (query.field) {
+    data.forEach((entry) => {
+      entry.changes = (entry.changes || []).filter(
+        (c) => c.path === query.field || c.path.startsWith(`${query.field}.`)
+      );
+    });
+  }
+
+  res.json({ success: true, total, page, limit, data });
+};
+
+/**
+ * @desc    Search the audit log across the system
+ * @route   GET /api/audit?entity=&entityId=&user=&action=&field=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    await listAudit(buildAuditFilter(req.query), req.query, res);
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, message: error.message });
+    console.error("getAuditLogs error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Audit trail of a single booking
+ * @route   GET /api/bookings/:id/audit
+ * @access  Private/Admin
+ */
+export const getBookingAudit = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking id" });
+    }
+    const filter = buildAuditFilter(
+      { ...req.query, entity: undefined, entityId: undefined },
+      { entity: "Booking", entityId: req.params.id }
+    );
+    await listAudit(filter, req.query, res);
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, message: error.message });
+    console.error("getBookingAudit error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Restore a booking to the snapshot stored on one of its audit entries
+ * @route   POST /api/bookings/:id/revert/:auditId   { reason }
+ * @access  Private/Admin
+ *
+ * Only the REVERTABLE fields are restored; the ledger, travellers, lifecycle
+ * and links are left as they are. The revert is itself audited.
+ */
+export const revertBooking = async (req, res) => {
+  try {
+    const { id, auditId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(auditId)) {
+      return res.status(400).json({ success: false, message: "Invalid id" });
+    }
+
+    const entry = await AuditLog.findOne({ _id: auditId, entity: "Booking", entityId: id }).lean();
+    if (!entry || !entry.snapshot) {
+      return res.status(404).json({ success: false, message: "Audit entry not found for this booking" });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+
+    const previousPnrs = pnrSet(booking);
+    REVERTABLE.forEach((key) => booking.set(key, entry.snapshot[key]));
+    const pnrWarnings = await checkPnrConflicts(booking, previousPnrs);
+
+    booking.setAuditActor(req.user, "revert", {
+      revertedTo: entry._id,
+      revertedToDate: entry.createdAt,
+      reason: req.body?.reason,
+    });
+    await booking.save();
+
+    res.json({
+      success: true,
+      message: "Booking reverted",
+      booking,
+      ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}),
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, details: error.details });
+    console.error("revertBooking error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
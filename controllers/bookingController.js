@@ -1,7 +1,40 @@
 // controllers/bookingController.js
 
-import PDFDocument from "pdfkit";
+import mongoose from "mongoose";
 import Booking from "../models/Booking.js";
+import { recordAudit } from "../utils/auditTrail.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { cardFromPayload, maskCardNumber, openCard } from "../utils/cardVault.js";
+import { summarizePayments } from "../utils/bookingLedger.js";
+import { normalizeFlightPayments } from "../utils/installments.js";
+import { normalizeFlights, parseItinerary, routeSummary } from "../utils/gdsParser.js";
+import {
+  buildBookingFilter,
+  findBookingsPage,
+  findLegacyList,
+  hasListQuery,
+  parseSort,
+} from "../utils/bookingQuery.js";
+import { EXPORT_FORMATS, selectColumns, streamBookingExport } from "../utils/bookingExport.js";
+import { attachIdentities, resolveIdentity } from "../utils/identityResolver.js";
+import {
+  INACTIVE_STATUSES,
+  checkPnrConflicts,
+  cleanPnr,
+  isValidPnr,
+  pnrSet,
+  validatePnrs,
+} from "../utils/pnrRegistry.js";
+import { normalizeCosting } from "../utils/costing.js";
+import { buildCostingConverter, isCurrencyCode, normalizeCurrency } from "../utils/currency.js";
+import { loadBranding } from "../utils/branding.js";
+import { createPdfResponse, drawFooters, drawHeader, formatDate } from "../utils/pdf/layout.js";
+import { renderVoucherPdf } from "../utils/pdf/voucherPdf.js";
+import { allowedTransitions, transitionBooking } from "../utils/bookingLifecycle.js";
+import { buildNewBooking } from "../utils/bookingFactory.js";
+import { normalizeTravellers } from "../utils/travellers.js";
+import { findPackage } from "../utils/packages.js";
+import { purgeAfter } from "../utils/softDelete.js";
 
 /**
  * @desc    Create new booking
@@ -9,7 +42,8 @@ import Booking from "../models/Booking.js";
  * @access  Private (logged-in user)
  *
  * Accepts BOTH your original fields and the new revision payload.
- * Validates PNR (if provided) to be exactly 6 characters (A–Z/0–9).
+ * Validates PNRs (if provided) to be exactly 6 characters (A–Z/0–9) and
+ * not held by another active booking (see utils/pnrRegistry.js).
  */
 
 // ----------------------------- PDF: GET /:id/pdf -----------------------------
@@ -33,73 +67,13 @@ export const getBookingPdf = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  // Now populate agent for PDF generation (best effort)
-  try {
-    await booking.populate("agent", "name email");
-  } catch (populateError) {
-    // If populate fails (e.g., agent is in Agent collection, not User), 
-    // try to populate from Agent model instead
-    try {
-      const { default: Agent } = await import("../models/Agent.js");
-      if (booking.agent) {
-        const agent = await Agent.findById(booking.agent).select("name email");
-        if (agent) {
-          booking.agent = agent;
-        }
-      }
-    } catch (agentError) {
-      // If both fail, agent will remain as ObjectId - continue anyway
-      console.warn("Could not populate agent for booking PDF:", booking._id);
-    }
-  }
+  // Agent details for the PDF (Agent or User collection)
+  const agent = await resolveIdentity(booking.agent, { fields: "name email phone" });
 
-  // headers
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="booking-${booking._id}.pdf"`
-  );
-
-  // PDF with proper formatting
-  const doc = new PDFDocument({ 
-    size: "A4", 
-    margins: { top: 50, bottom: 50, left: 50, right: 50 },
-    bufferPages: true
-  });
-  doc.pipe(res);
-
-  // Helper function for header
-  const addHeader = () => {
-    doc.rect(0, 0, doc.page.width, 60).fill('#000000');
-    doc.fillColor('#ffffff')
-       .fontSize(18)
-       .font('Helvetica-Bold')
-       .text('MUSTAFA TRAVELS & TOUR', 50, 20, { align: 'center' });
-    doc.fontSize(10)
-       .font('Helvetica')
-       .text('Luxury Umrah Partner 🕋', 50, 35, { align: 'center' });
-    doc.fontSize(9)
-       .text(`Booking ID: ${booking._id}`, 50, 50, { align: 'center' });
-    doc.fillColor('#000000');
-    doc.moveDown(3);
-  };
-
-  // Helper function for footer
-  const addFooter = () => {
-      const bottomY = doc.page.height - 40;
-      doc.fontSize(8)
-       .fillColor('#666666')
-       .text(
-         'info@mustafatravelsandtour.com | +1 845-359-3888 | www.mustafatravelsandtour.com',
-         50,
-         bottomY,
-         { align: 'center', width: doc.page.width - 100 }
-       );
-      doc.fillColor('#000000');
-  };
-
-  // Add first page header
-  addHeader();
+  // Header/footer/colours come from the company record (utils/branding.js)
+  const brand = await loadBranding(req.companyId);
+  const doc = createPdfResponse(res, `booking-${booking._id}.pdf`);
+  drawHeader(doc, brand, `Booking ID: ${booking._id}`);
 
   // Status and Approval (side by side)
   const startY = doc.y;
@@ -109,10 +83,11 @@ export const getBookingPdf = async (req, res) => {
   doc.moveDown(1);
 
   // PROFIT SUMMARY (For Internal Use)
-  const costingTotals = booking.costing?.totals || booking.pricing?.totals || {};
-  const totalCost = costingTotals.totalCostPrice || costingTotals.totalCost || 0;
-  const totalSale = costingTotals.totalSalePrice || costingTotals.totalSale || 0;
-  const profit = costingTotals.profit || (totalSale - totalCost) || 0;
+  // costing.totals is computed server-side from the rows (utils/costing.js)
+  const costingTotals = booking.costing?.totals || {};
+  const totalCost = costingTotals.totalCost || 0;
+  const totalSale = costingTotals.totalSale || 0;
+  const profit = costingTotals.profit || 0;
   
   if (totalCost || totalSale || profit) {
     doc.rect(50, doc.y, doc.page.width - 100, 60).fill('#f0f9ff');
@@ -121,7 +96,7 @@ export const getBookingPdf = async (req, res) => {
     doc.fontSize(10).font('Helvetica-Bold').fillColor('#1e40af').text('INTERNAL USE - PROFIT SUMMARY', 60, profitY);
     doc.moveDown(0.3);
     doc.fontSize(9).font('Helvetica').fillColor('#000000');
-    doc.text(`Total Cost: $${totalCost.toFixed(2)}  |  Total Sale: $${totalSale.toFixed(2)}  |  Profit: $${profit.toFixed(2)}`, 60);
+    doc.text(`Total Cost: $${totalCost.toFixed(2)}  |  Total Sale: $${totalSale.toFixed(2)}  |  Profit: $${profit.toFixed(2)}${booking.costing?.negativeMargin ? "  |  NEGATIVE MARGIN" : ""}`, 60);
     doc.moveDown(1.5);
   } else {
     doc.moveDown(1);
@@ -134,9 +109,9 @@ export const getBookingPdf = async (req, res) => {
   doc.text(`Name: ${booking.customerName || "—"}`);
   doc.text(`Email: ${booking.customerEmail || "—"}`);
   doc.text(`Phone: ${booking.contactNumber || "—"}`);
-  const agentName = booking.agent && booking.agent.name ? booking.agent.name : "Not Assigned";
-  const agentEmail = booking.agent && booking.agent.email ? booking.agent.email : "";
-  const agentPhone = booking.agent && booking.agent.phone ? booking.agent.phone : "";
+  const agentName = agent?.name || "Not Assigned";
+  const agentEmail = agent?.email || "";
+  const agentPhone = agent?.phone || "";
   doc.text(`Agent: ${agentName}`);
   if (agentEmail) doc.text(`Agent Email: ${agentEmail}`);
   if (agentPhone) doc.text(`Agent Phone: ${agentPhone}`);
@@ -166,10 +141,13 @@ export const getBookingPdf = async (req, res) => {
   doc.moveDown(0.5);
   doc.fontSize(11).font('Helvetica');
   
-  // Extract route from legacy or new structure
+  // Route from the parsed segments; legacy bookings fall back to the city fields
+  const segments = booking.flights?.segments || [];
   const depCity = booking.flight?.departureCity || booking.departureCity || "";
   const arrCity = booking.flight?.arrivalCity || booking.arrivalCity || "";
-  if (depCity && arrCity) {
+  if (segments.length > 0) {
+    doc.text(`Route: ${routeSummary(segments)}`);
+  } else if (depCity && arrCity) {
     doc.text(`Route: ${depCity} to ${arrCity}`);
   }
   
@@ -186,7 +164,16 @@ export const getBookingPdf = async (req, res) => {
   
   // Flight Itinerary
   const itinerary = booking.flights?.raw || booking.flight?.itinerary || "";
-  if (itinerary) {
+  if (segments.length > 0) {
+    doc.moveDown(0.5);
+    doc.fontSize(12).font('Helvetica-Bold').text('Flight Segments:', { underline: false });
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica');
+    segments.forEach((seg) => {
+      const arrival = seg.arrivalDate && seg.arrivalDate !== seg.date ? ` (${seg.arrivalDate})` : "";
+      doc.text(`${seg.carrier}${seg.flightNumber}  ${seg.date}  ${seg.origin} ${seg.departureTime} → ${seg.destination} ${seg.arrivalTime}${arrival}  Class ${seg.bookingClass}  ${seg.status}`);
+    });
+  } else if (itinerary) {
     doc.moveDown(0.5);
     doc.fontSize(12).font('Helvetica-Bold').text('Flight Itinerary:', { underline: false });
     doc.moveDown(0.3);
@@ -216,6 +203,24 @@ export const getBookingPdf = async (req, res) => {
     });
   }
 
+  // Travellers (structured records; counts derived on save)
+  const travellers = booking.travellers || [];
+  if (travellers.length > 0) {
+    const counts = booking.travellerCounts || {};
+    doc.fontSize(14).text("Travellers", { underline: true });
+    doc.moveDown();
+    doc.fontSize(10).text(`Adults: ${counts.adults || 0}  Children: ${counts.children || 0}  Infants: ${counts.infants || 0}`);
+    doc.moveDown(0.5);
+
+    travellers.forEach((t, index) => {
+      doc.fontSize(10).text(`${index + 1}. ${t.fullName}${t.relationship === "self" ? " (lead)" : t.relationship ? ` (${t.relationship})` : ""}`);
+      doc.fontSize(9).text(`  Gender / DOB: ${t.gender || "—"} / ${formatDate(t.dateOfBirth)}`);
+      doc.fontSize(9).text(`  Passport: ${t.passportNumber || "—"}  Expires: ${formatDate(t.passportExpiryDate)}`);
+      doc.fontSize(9).text(`  Nationality: ${t.nationality || "—"}`);
+      doc.moveDown(0.5);
+    });
+  }
+
   // Visa Information - handle both legacy (visa) and new (visas) structures
   const visaPassengers = booking.visas?.passengers || 
                         (Array.isArray(booking.visas) ? booking.visas : []) ||
@@ -264,7 +269,7 @@ export const getBookingPdf = async (req, res) => {
   }
 
   // Costing Information - handle actual stored structure
-  const costingRows = booking.costing?.rows || booking.pricing?.table || [];
+  const costingRows = booking.costing?.rows || [];
   if (costingRows && costingRows.length > 0) {
     doc.fontSize(14).text("Costing Details", { underline: true });
     doc.moveDown();
@@ -277,13 +282,11 @@ export const getBookingPdf = async (req, res) => {
       doc.moveDown(0.5);
     });
     
-    // Show totals from either structure
-    const totals = booking.pricing?.totals || booking.costing?.totals || {};
-    if (totals.totalCostPrice || totals.totalSalePrice || totals.totalCost || totals.totalSale) {
+    if (totalCost || totalSale) {
       doc.fontSize(10).text("Totals:", { underline: true });
-      doc.fontSize(9).text(`  Total Cost: ${totals.totalCostPrice || totals.totalCost || 0}`);
-      doc.fontSize(9).text(`  Total Sale: ${totals.totalSalePrice || totals.totalSale || 0}`);
-      doc.fontSize(9).text(`  Profit: ${totals.profit || 0}`);
+      doc.fontSize(9).text(`  Total Cost: ${totalCost}`);
+      doc.fontSize(9).text(`  Total Sale: ${totalSale}`);
+      doc.fontSize(9).text(`  Profit: ${profit}`);
       doc.moveDown();
     }
   }
@@ -328,6 +331,20 @@ export const getBookingPdf = async (req, res) => {
     doc.moveDown(0.5);
   }
 
+  // Payments ledger + live balance
+  const ledgerEntries = (booking.payments || []).filter((p) => !p.voided);
+  if (ledgerEntries.length > 0) {
+    doc.fontSize(11).text("Payments Received:", { underline: true });
+    ledgerEntries.forEach((p) => {
+      const when = p.date ? new Date(p.date).toISOString().slice(0, 10) : "—";
+      doc.fontSize(10).text(`  ${when}  ${p.method}  $${Number(p.amount || 0).toFixed(2)}${p.reference ? `  (Ref: ${p.reference})` : ""}`);
+    });
+    doc.moveDown(0.5);
+  }
+  const ledger = summarizePayments(booking);
+  doc.fontSize(10).text(`Total: $${ledger.total.toFixed(2)}  |  Paid: $${ledger.paid.toFixed(2)}  |  Balance: $${ledger.balance.toFixed(2)}  (${ledger.state})`);
+  doc.moveDown(0.5);
+
   // Payment Method (legacy)
   if (booking.payment) {
     doc.fontSize(11).text("Payment Method:", { underline: true });
@@ -365,7 +382,7 @@ export const getBookingPdf = async (req, res) => {
       if (inst.schedule && inst.schedule.length > 0) {
         doc.fontSize(9).text(`  Schedule:`);
         inst.schedule.forEach((item, index) => {
-          doc.fontSize(8).text(`    ${index + 1}. ${item.date || "—"} - ${item.amount || 0}`);
+          doc.fontSize(8).text(`    ${index + 1}. ${item.date || "—"} - ${item.amount || 0} (${item.status || "unpaid"})`);
         });
       }
     }
@@ -377,7 +394,8 @@ export const getBookingPdf = async (req, res) => {
   doc.moveDown(0.5);
   
   // Check if we have card information to display
-  const hasCardInfo = booking.cardholderName || booking.cardNumber || booking.expiryDate || booking.payment?.cardLast4 || booking.payment?.cardholderName;
+  const cardLast4 = booking.card?.last4 || booking.payment?.cardLast4;
+  const hasCardInfo = booking.cardholderName || cardLast4 || booking.payment?.cardholderName;
   
   if (hasCardInfo) {
     doc.fontSize(11).font('Helvetica');
@@ -386,15 +404,9 @@ export const getBookingPdf = async (req, res) => {
       doc.text(`Cardholder Name: ${booking.cardholderName || booking.payment?.cardholderName || "—"}`);
     }
     
-    if (booking.cardNumber) {
-      // Show full card number
-      doc.text(`Card Number: ${booking.cardNumber}`);
-    } else if (booking.payment?.cardLast4) {
-      doc.text(`Card Number: **** **** **** ${booking.payment.cardLast4}`);
-    }
-    
-    if (booking.expiryDate || booking.payment?.expiryDate) {
-      doc.text(`Expiry Date: ${booking.expiryDate || booking.payment?.expiryDate || "—"}`);
+    // Only the masked number is ever printed (see utils/cardVault.js)
+    if (cardLast4) {
+      doc.text(`Card Number: ${maskCardNumber(cardLast4)}`);
     }
     
     if (booking.payment?.method) {
@@ -413,135 +425,91 @@ export const getBookingPdf = async (req, res) => {
     doc.moveDown();
   }
 
+  drawFooters(doc, brand);
   doc.end(); // stream completes the response
 };
 
+// -------------------- PNR LOOKUP: GET /by-pnr/:pnr --------------------------
+/**
+ * @desc    Bookings holding a PNR (active ones first). Agents only see their own.
+ * @route   GET /api/bookings/by-pnr/:pnr
+ * @access  Private
+ */
+export const getBookingsByPnr = async (req, res) => {
+  const pnr = cleanPnr(req.params.pnr);
+  if (!isValidPnr(pnr)) {
+    return res.status(400).json({ message: "PNR must be exactly 6 characters (A–Z/0–9)." });
+  }
+
+  const filter = { $or: [{ pnrs: pnr }, { pnr }] };
+  if (req.user.role !== "admin") filter.agent = req.user._id;
+
+  const bookings = await Booking.find(filter).sort({ createdAt: -1 });
+  const active = bookings.filter((b) => !INACTIVE_STATUSES.includes(b.status));
+  const inactive = bookings.filter((b) => INACTIVE_STATUSES.includes(b.status));
+
+  res.json({ pnr, count: bookings.length, activeCount: active.length, bookings: [...active, ...inactive] });
+};
+
+// ---------------- ITINERARY PREVIEW: POST /itinerary/parse ------------------
+/**
+ * @desc    Parse pasted GDS itinerary text without saving anything
+ * @route   POST /api/bookings/itinerary/parse   { raw, referenceDate }
+ * @access  Private
+ */
+export const parseItineraryPreview = async (req, res) => {
+  const { raw, referenceDate } = req.body || {};
+  if (typeof raw !== "string" || !raw.trim()) {
+    return res.status(400).json({ message: "raw itinerary text is required" });
+  }
+  if (referenceDate && Number.isNaN(new Date(referenceDate).getTime())) {
+    return res.status(400).json({ message: "Invalid referenceDate" });
+  }
+
+  const { segments, unparsed } = parseItinerary(raw, { referenceDate: referenceDate || new Date() });
+  res.json({ segments, unparsed, route: routeSummary(segments) });
+};
+
+// ------------------------ VOUCHER: GET /:id/voucher.pdf ---------------------
+/**
+ * @desc    Printable travel voucher (itinerary, hotels, transport, visas,
+ *          emergency contacts). Contains no financial information.
+ * @route   GET /api/bookings/:id/voucher.pdf
+ * @access  Private (owner or admin)
+ */
+export const getBookingVoucherPdf = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid booking id" });
+  }
+  const booking = await Booking.findById(req.params.id).lean();
+  if (!booking) return res.status(404).json({ message: "Booking not found" });
+  if (!canAccessBooking(booking, req.user)) {
+    return res.status(403).json({ message: "Not authorized" });
+  }
+
+  renderVoucherPdf(res, booking, await loadBranding(req.companyId));
+};
+
 // --------------------------------- CREATE -----------------------------------
 export const createBooking = async (req, res) => {
   try {
-    const {
-      // original
-      customerName,
-      customerEmail,
-      package: pkg,
-      date,
-      agent, // Accept agent from request body (for admin creating bookings for other agents)
-
-      // new (revision)
-      pnr,
-      flights,
-      hotels,
-      visas,
-      transportation,
-      costing,
-      flightPayments,
-      status, // optional set by admin/agent
-      
-      // Additional fields
-      contactNumber,
-      passengers,
-      adults,
-      children,
-      departureDate,
-      returnDate,
-      packagePrice,
-      additionalServices,
-      amount,
-      totalAmount,
-      paymentMethod,
-      
-      // Payment tracking
-      paymentReceived,
-      paymentDue,
-      payment,
-      
-      // Credit card
-      cardNumber,
-      expiryDate,
-      cvv,
-      cardholderName,
-      
-      // Legacy fields
-      hotel,
-      visa,
-      transport,
-      flight,
-    } = req.body || {};
-
-    if (!customerName || !customerEmail || !pkg || !date) {
-      return res.status(400).json({ message: "Missing required fields." });
-    }
+    // Same validation/normalisation as the spreadsheet import (utils/bookingFactory.js)
+    const booking = await buildNewBooking(req.body, req.user, { companyId: req.companyId });
 
-    if (pnr) {
-      const cleanPNR = String(pnr).replace(/[^A-Za-z0-9]/g, "").toUpperCase();
-      if (cleanPNR.length !== 6) {
-        return res
-          .status(400)
-          .json({ message: "PNR must be exactly 6 characters." });
-      }
-    }
+    // Blocks (409) or warns when another active booking already holds a PNR
+    const pnrWarnings = await checkPnrConflicts(booking);
 
-    // Use agent from request body if provided (for admin), otherwise use logged-in user's ID
-    const agentId = agent || req.user._id;
-
-    const booking = await Booking.create({
-      customerName,
-      customerEmail,
-      package: pkg,
-      date,
-      status: status || "pending",
-      approvalStatus: "pending", // Set approval status to pending
-      agent: agentId,
-
-      // Additional fields
-      contactNumber,
-      passengers,
-      adults,
-      children,
-      departureDate,
-      returnDate,
-      packagePrice,
-      additionalServices,
-      amount: amount || totalAmount,
-      totalAmount: totalAmount || amount,
-      paymentMethod,
-
-      // Credit card info
-      cardNumber,
-      expiryDate,
-      cvv,
-      cardholderName,
-      
-      // Flight class
-      flightClass: flight?.flightClass || undefined,
-
-      // Payment tracking
-      paymentReceived,
-      paymentDue,
-      payment,
-
-      // revision sections (optional)
-      pnr: pnr ? String(pnr).toUpperCase() : undefined,
-      pnrs: req.body.pnrs ? req.body.pnrs.map((p) => String(p).replace(/[^A-Za-z0-9]/g, "").toUpperCase().slice(0, 6)).filter((p) => p.length === 6) : undefined,
-      flights: flights || undefined,
-      hotels: Array.isArray(hotels) ? hotels : undefined,
-      visas: visas || undefined,
-      transportation: transportation || undefined,
-      transport: transport || undefined,
-      costing: costing || undefined,
-      flightPayments: flightPayments || undefined,
-      
-      // Legacy fields
-      hotel: hotel || undefined,
-      visa: visa || undefined,
-      flight: flight || undefined,
-    });
+    booking.setAuditActor(req.user);
+    await booking.save();
 
-    res.status(201).json(booking);
+    res.status(201).json(pnrWarnings.length > 0 ? { ...booking.toJSON(), pnrWarnings } : booking);
   } catch (error) {
     res
-      .status(400)
-      .json({ message: error.message || "Failed to create booking" });
+      .status(error.status || 400)
+      .json({
+        message: error.message || "Failed to create booking",
+        ...(error.details ? { details: error.details } : {}),
+      });
   }
 };
 
@@ -549,43 +517,69 @@ export const createBooking = async (req, res) => {
 /**
  * @desc    Get all bookings (admin only)
  * @route   GET /api/bookings
+ *          ?status&approvalStatus&agent&departureFrom&departureTo&createdFrom&createdTo
+ *          &package&q&sort&limit&cursor  (see utils/bookingQuery.js)
+ *          Any of these returns { data, pageInfo, total }; none returns the full
+ *          legacy array (or, when LEGACY_LIST_LIMIT is set, the newest that many,
+ *          with X-List-Truncated: true when older ones were left out).
  * @access  Private/Admin
  */
 export const getBookings = async (req, res) => {
   try {
-    // Get all bookings without populating first
-    let bookings = await Booking.find().lean();
-    
-    // Manually populate agent from both User and Agent models
-    const { default: Agent } = await import("../models/Agent.js");
-    const { default: User } = await import("../models/User.js");
+    // With list query params: filtered page + envelope; without: the legacy array
+    const paged = hasListQuery(req.query);
+    const page = paged
+      ? await findBookingsPage(Booking, buildBookingFilter(req.query), req.query)
+      : await findLegacyList(Booking);
+    if (page.truncated) res.set("X-List-Truncated", "true");
+    const bookings = page.data;
     
-    bookings = await Promise.all(bookings.map(async (booking) => {
-      if (booking.agent) {
-        const agentId = booking.agent.toString();
-        
-        // First try Agent model (since agents are more common)
-        let agent = await Agent.findById(agentId).select("name email role").lean();
-        if (agent) {
-          booking.agent = agent;
-        } else {
-          // Fallback to User model
-          const user = await User.findById(agentId).select("name email role").lean();
-          if (user) {
-            booking.agent = user;
-          }
-        }
-      }
-      return booking;
-    }));
+    // Agent references resolved in bulk (Agent first, then User)
+    await attachIdentities(bookings, "agent");
     
-    res.json(bookings);
+    res.json(paged ? { ...page, data: bookings } : bookings);
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     console.error("getBookings error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// --------------------------------- EXPORT -----------------------------------
+/**
+ * @desc    Stream bookings as CSV or XLSX (no card data)
+ * @route   GET /api/bookings/export?format=csv|xlsx&columns=id,customerName,...
+ *          + the list filters/sort of GET /api/bookings. Agents export their own bookings.
+ * @access  Private
+ */
+export const exportBookings = async (req, res) => {
+  let columns;
+  let filter;
+  let sort;
+  const format = String(req.query.format || "csv").toLowerCase();
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+    columns = selectColumns(req.query.columns);
+    filter = buildBookingFilter(req.query);
+    if (req.user.role !== "admin") filter.agent = req.user._id;
+    const parsed = parseSort(req.query.sort);
+    sort = { [parsed.path]: parsed.direction, _id: parsed.direction };
+  } catch (error) {
+    return res.status(error.status || 400).json({ message: error.message });
+  }
+
+  try {
+    await streamBookingExport(res, Booking, { filter, sort, columns, format });
+  } catch (error) {
+    console.error("exportBookings error:", error);
+    // Headers (and part of the file) may already be out; cut the download short
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: "Export failed" });
+  }
+};
+
 // --------------------------------- READ -------------------------------------
 /**
  * @desc    Get booking by ID (owner or admin)
@@ -608,30 +602,7 @@ export const getBookingById = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  // Manually populate agent from both User and Agent models
-  if (booking.agent) {
-    const agentId = booking.agent.toString();
-    
-    try {
-      const { default: Agent } = await import("../models/Agent.js");
-      const { default: User } = await import("../models/User.js");
-      
-      // First try Agent model (since agents are more common)
-      let agent = await Agent.findById(agentId).select("name email role").lean();
-      if (agent) {
-        booking.agent = agent;
-      } else {
-        // Fallback to User model
-        const user = await User.findById(agentId).select("name email role").lean();
-        if (user) {
-          booking.agent = user;
-        }
-      }
-    } catch (populateError) {
-      console.warn("Could not populate agent for booking:", booking._id, populateError);
-    }
-  }
-
+  // `agent` stays the id here (the response shape this endpoint has always had)
   res.json(booking);
 };
 
@@ -651,28 +622,18 @@ export const updateBooking = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  // Validate + set PNR if provided
-  if (req.body?.pnr) {
-    const cleanPNR = String(req.body.pnr)
-      .replace(/[^A-Za-z0-9]/g, "")
-      .toUpperCase();
-    if (cleanPNR.length !== 6) {
-      return res
-        .status(400)
-        .json({ message: "PNR must be exactly 6 characters." });
-    }
-    booking.pnr = cleanPNR;
-  }
-  
-  // Handle multiple PNRs
-  if (req.body?.pnrs !== undefined) {
-    if (Array.isArray(req.body.pnrs)) {
-      const cleanPnrs = req.body.pnrs
-        .map((p) => String(p).replace(/[^A-Za-z0-9]/g, "").toUpperCase().slice(0, 6))
-        .filter((p) => p.length === 6);
-      booking.pnrs = cleanPnrs.length > 0 ? cleanPnrs : undefined;
-    } else {
-      booking.pnrs = undefined;
+  // PNRs: `pnrs`, when sent, replaces the whole set; a lone `pnr` replaces the primary one
+  const previousPnrs = pnrSet(booking);
+  if (req.body?.pnrs !== undefined || req.body?.pnr) {
+    try {
+      const next = req.body.pnrs !== undefined
+        ? pnrSet({ pnr: req.body.pnr, pnrs: Array.isArray(req.body.pnrs) ? req.body.pnrs : [] })
+        : pnrSet({ pnr: req.body.pnr, pnrs: previousPnrs.filter((p) => p !== booking.pnr) });
+      validatePnrs(next);
+      booking.pnrs = next;
+      booking.pnr = next[0];
+    } catch (error) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
     }
   }
 
@@ -680,20 +641,62 @@ export const updateBooking = async (req, res) => {
   booking.customerName = req.body.customerName ?? booking.customerName;
   booking.customerEmail = req.body.customerEmail ?? booking.customerEmail;
   booking.package = req.body.package ?? booking.package;
+  if (req.body.packageId !== undefined) {
+    try {
+      const catalogue = req.body.packageId ? await findPackage(req.body.packageId) : null;
+      booking.packageId = catalogue?._id;
+      if (catalogue && req.body.package === undefined) booking.package = catalogue.name;
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+  }
   booking.date = req.body.date ?? booking.date;
-  booking.status = req.body.status ?? booking.status;
   if (req.body.agent !== undefined) booking.agent = req.body.agent;
 
   // REVISION SECTIONS (replace wholesale if provided)
-  if (req.body.flights !== undefined) booking.flights = req.body.flights;
+  if (req.body.flights !== undefined) booking.flights = normalizeFlights(req.body.flights, booking.date);
   if (req.body.hotels !== undefined) booking.hotels = req.body.hotels;
   if (req.body.visas !== undefined) booking.visas = req.body.visas;
   if (req.body.transportation !== undefined)
     booking.transportation = req.body.transportation;
   if (req.body.transport !== undefined) booking.transport = req.body.transport; // Legacy transport field
-  if (req.body.costing !== undefined) booking.costing = req.body.costing;
-  if (req.body.flightPayments !== undefined)
-    booking.flightPayments = req.body.flightPayments;
+  if (req.body.emergencyContacts !== undefined) booking.emergencyContacts = req.body.emergencyContacts;
+  if (req.body.travellers !== undefined) {
+    try {
+      // Travellers sent with their _id keep it; counts are derived on save
+      booking.travellers = normalizeTravellers(req.body.travellers);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message, details: error.details });
+    }
+  }
+  if (req.body.currency !== undefined) {
+    const currency = normalizeCurrency(req.body.currency);
+    if (!isCurrencyCode(currency)) {
+      return res.status(400).json({ message: "currency must be a 3-letter ISO code (e.g. USD, SAR)" });
+    }
+    booking.currency = currency;
+  }
+  if (req.body.costing !== undefined || booking.isModified("currency") || booking.isModified("date")) {
+    try {
+      // Totals are recomputed from rows (converted to the booking currency);
+      // mismatching client totals are rejected
+      const costing = req.body.costing !== undefined
+        ? req.body.costing
+        : { rows: booking.toObject().costing?.rows || [] };
+      const convert = await buildCostingConverter(costing?.rows, booking.currency, booking.date, req.companyId);
+      booking.costing = normalizeCosting(costing, { convert });
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message, details: error.details });
+    }
+  }
+  if (req.body.flightPayments !== undefined) {
+    try {
+      // Installment schedule is generated server-side (client schedule is ignored)
+      booking.flightPayments = normalizeFlightPayments(req.body.flightPayments);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+  }
   
   // HOTEL LEGACY FIELD
   if (req.body.hotel !== undefined) booking.hotel = req.body.hotel;
@@ -710,12 +713,15 @@ export const updateBooking = async (req, res) => {
   if (req.body.additionalServices !== undefined) booking.additionalServices = req.body.additionalServices;
   if (req.body.amount !== undefined) booking.amount = req.body.amount;
   if (req.body.totalAmount !== undefined) booking.totalAmount = req.body.totalAmount;
-  if (req.body.approvalStatus !== undefined) booking.approvalStatus = req.body.approvalStatus;
   
-  // CREDIT CARD FIELDS
-  if (req.body.cardNumber !== undefined) booking.cardNumber = req.body.cardNumber;
-  if (req.body.expiryDate !== undefined) booking.expiryDate = req.body.expiryDate;
-  if (req.body.cvv !== undefined) booking.cvv = req.body.cvv;
+  // CREDIT CARD FIELDS (sealed by the card vault; masked numbers mean "unchanged", CVV is dropped)
+  try {
+    const card = cardFromPayload(req.body);
+    if (card === null) booking.card = undefined;
+    else if (card) booking.card = card;
+  } catch (error) {
+    return res.status(error.status || 400).json({ message: error.message });
+  }
   if (req.body.cardholderName !== undefined) booking.cardholderName = req.body.cardholderName;
   
   // FLIGHT CLASS
@@ -731,13 +737,37 @@ export const updateBooking = async (req, res) => {
   if (req.body.payment !== undefined) booking.payment = req.body.payment;
   if (req.body.paymentMethod !== undefined) booking.paymentMethod = req.body.paymentMethod;
 
+  // LIFECYCLE (validated transitions, recorded in statusHistory)
+  try {
+    if (req.body.approvalStatus !== undefined) {
+      transitionBooking(booking, req.body.approvalStatus, {
+        field: "approvalStatus",
+        actor: req.user,
+        reason: req.body.statusReason,
+      });
+    }
+    if (req.body.status !== undefined) {
+      transitionBooking(booking, req.body.status, { actor: req.user, reason: req.body.statusReason });
+    }
+  } catch (error) {
+    return res.status(error.status || 400).json({ message: error.message });
+  }
+
+  let pnrWarnings;
+  try {
+    pnrWarnings = await checkPnrConflicts(booking, previousPnrs);
+  } catch (error) {
+    return res.status(error.status || 500).json({ message: error.message, details: error.details });
+  }
+
+  booking.setAuditActor(req.user);
   const updatedBooking = await booking.save();
-  res.json(updatedBooking);
+  res.json(pnrWarnings.length > 0 ? { ...updatedBooking.toJSON(), pnrWarnings } : updatedBooking);
 };
 
 // --------------------------------- DELETE -----------------------------------
 /**
- * @desc    Delete booking (Admin or Owner Agent)
+ * @desc    Delete booking (Admin or Owner Agent): moves it to the trash
  * @route   DELETE /api/bookings/:id
  * @access  Private
  */
@@ -750,48 +780,35 @@ export const deleteBooking = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  await booking.deleteOne();
-  res.json({ message: "Booking removed" });
+  // Moved to the trash; admins can restore it until it is purged (utils/softDelete.js)
+  booking.softDelete(req.user);
+  booking.setAuditActor(req.user, "delete");
+  await booking.save();
+  res.json({ message: "Booking moved to trash", purgeAfter: purgeAfter(booking.deletedAt) });
 };
 
 // --------------------------------- MINE -------------------------------------
 /**
  * @desc    Get logged-in user's bookings
- * @route   GET /api/bookings/my
+ * @route   GET /api/bookings/my   (same query params/envelope as GET /api/bookings)
  * @access  Private
  */
 export const getMyBookings = async (req, res) => {
   try {
-    // Get bookings without populating
-    const bookings = await Booking.find({ agent: req.user._id })
-      .sort({ createdAt: -1 })
-      .lean();
+    // Same list params as GET /api/bookings, always scoped to the logged-in agent
+    const paged = hasListQuery(req.query);
+    const page = paged
+      ? await findBookingsPage(Booking, { ...buildBookingFilter(req.query), agent: req.user._id }, req.query)
+      : await findLegacyList(Booking, { agent: req.user._id }, { createdAt: -1 });
+    if (page.truncated) res.set("X-List-Truncated", "true");
+    const bookings = page.data;
     
-    // Manually populate agent from both User and Agent models
-    const { default: Agent } = await import("../models/Agent.js");
-    const { default: User } = await import("../models/User.js");
+    // Agent references resolved in bulk (Agent first, then User)
+    await attachIdentities(bookings, "agent");
     
-    const populatedBookings = await Promise.all(bookings.map(async (booking) => {
-      if (booking.agent) {
-        const agentId = booking.agent.toString();
-        
-        // First try Agent model (since agents are more common)
-        let agent = await Agent.findById(agentId).select("name email role").lean();
-        if (agent) {
-          booking.agent = agent;
-        } else {
-          // Fallback to User model
-          const user = await User.findById(agentId).select("name email role").lean();
-          if (user) {
-            booking.agent = user;
-          }
-        }
-      }
-      return booking;
-    }));
-    
-    res.json(populatedBookings);
+    res.json(paged ? { ...page, data: bookings } : bookings);
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     console.error("getMyBookings error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -813,13 +830,18 @@ export const approveBooking = async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    booking.approvalStatus = "approved";
-    booking.status = "confirmed";
+    const reason = req.body?.reason;
+    transitionBooking(booking, "approved", { field: "approvalStatus", actor: req.user, reason });
+    if (["draft", "pending", "approved"].includes(booking.status || "pending")) {
+      if (booking.status === "draft") transitionBooking(booking, "pending", { actor: req.user, reason });
+      transitionBooking(booking, "confirmed", { actor: req.user, reason });
+    }
+    booking.setAuditActor(req.user);
     await booking.save();
 
     res.json({ success: true, message: "Booking approved", booking });
   } catch (error) {
-    res.status(500).json({ message: error.message || "Server error" });
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
   }
 };
 
@@ -839,12 +861,112 @@ export const rejectBooking = async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    booking.approvalStatus = "rejected";
-    booking.status = "cancelled";
+    const reason = req.body?.reason;
+    transitionBooking(booking, "rejected", { field: "approvalStatus", actor: req.user, reason });
+    transitionBooking(booking, "cancelled", { actor: req.user, reason });
+    booking.setAuditActor(req.user);
     await booking.save();
 
     res.json({ success: true, message: "Booking rejected", booking });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
+
+// ------------------------------ STATUS CHANGE --------------------------------
+/**
+ * @desc    Move a booking to another lifecycle status
+ * @route   PUT /api/bookings/:id/status   { status, reason }
+ * @access  Private (owner or admin; approve/confirm admin only)
+ */
+export const changeBookingStatus = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const isOwner = booking.agent ? String(booking.agent) === String(req.user._id) : false;
+    if (!isOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const { status, reason } = req.body || {};
+    if (!status) return res.status(400).json({ message: "status is required" });
+
+    transitionBooking(booking, status, { actor: req.user, reason });
+    booking.setAuditActor(req.user);
+    await booking.save();
+
+    res.json({
+      success: true,
+      status: booking.status,
+      allowedNext: allowedTransitions(booking.status),
+      booking,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
+
+// --------------------------------- HISTORY -----------------------------------
+/**
+ * @desc    Lifecycle history of a booking (who changed status, when and why)
+ * @route   GET /api/bookings/:id/history
+ * @access  Private (owner or admin)
+ */
+export const getBookingHistory = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select("agent status approvalStatus statusHistory createdAt")
+      .lean();
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const isOwner = booking.agent ? String(booking.agent) === String(req.user._id) : false;
+    if (!isOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    res.json({
+      bookingId: booking._id,
+      status: booking.status,
+      approvalStatus: booking.approvalStatus || "pending",
+      allowedNext: allowedTransitions(booking.status),
+      history: booking.statusHistory || [],
+    });
   } catch (error) {
     res.status(500).json({ message: error.message || "Server error" });
   }
 };
+
+// ------------------------------- CARD REVEAL ---------------------------------
+/**
+ * @desc    Decrypt the stored card of a booking (every reveal is audited)
+ * @route   POST /api/bookings/:id/card/reveal   { reason }
+ * @access  Private/Admin
+ */
+export const revealBookingCard = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select("+card.encrypted");
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const { number, expiryDate } = openCard(booking.card);
+
+    await recordAudit({
+      entity: "Booking",
+      entityId: booking._id,
+      action: "card_reveal",
+      actor: req.user,
+      meta: { reason: req.body?.reason, ip: req.ip, last4: booking.card.last4 },
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      cardholderName: booking.cardholderName || null,
+      cardNumber: number,
+      expiryDate,
+      last4: booking.card.last4,
+      brand: booking.card.brand,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
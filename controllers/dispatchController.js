@@ -0,0 +1,106 @@
+// controllers/dispatchController.js
+import Booking from "../models/Booking.js";
+import { loadBranding } from "../utils/branding.js";
+import { attachIdentities } from "../utils/identityResolver.js";
+import {
+  DISPATCH_WINDOW_MINUTES,
+  VEHICLE_CAPACITY,
+  dispatchFilter,
+  dispatchLegs,
+  manifestLegs,
+  suggestCombinations,
+  vehicleType,
+} from "../utils/dispatch.js";
+import { renderManifestPdf } from "../utils/pdf/manifestPdf.js";
+
+const LEG_FIELDS =
+  "customerName contactNumber agent status pnr pnrs adults children passengers travellerCounts transportation transport";
+
+const parseDay = (value) => {
+  const d = value ? new Date(value) : new Date();
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
+
+/**
+ * @desc    Transport legs on a day across bookings, capacity problems and
+ *          suggested shared vehicles
+ * @route   GET /api/dispatch?date=YYYY-MM-DD&window=60
+ * @access  Private/Admin
+ */
+export const getDispatch = async (req, res) => {
+  try {
+    const date = parseDay(req.query.date);
+    if (!date) return res.status(400).json({ message: "Invalid date" });
+    const windowMinutes = req.query.window === undefined ? DISPATCH_WINDOW_MINUTES : Number(req.query.window);
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 0 || windowMinutes > 720) {
+      return res.status(400).json({ message: "window must be a whole number of minutes (0-720)" });
+    }
+
+    const bookings = await Booking.find(dispatchFilter(date)).select(LEG_FIELDS).lean();
+    const legs = dispatchLegs(bookings, date);
+    await attachIdentities(legs, "agent");
+
+    res.json({
+      date,
+      windowMinutes,
+      vehicleCapacity: VEHICLE_CAPACITY,
+      legs: legs.length,
+      passengers: legs.reduce((sum, l) => sum + l.passengers, 0),
+      capacityIssues: legs.filter((l) => l.overCapacity || !l.capacity).map((l) => ({
+        key: l.key,
+        customerName: l.customerName,
+        vehicleType: l.vehicleType,
+        passengers: l.passengers,
+        capacity: l.capacity,
+        message: l.capacity
+          ? `${l.passengers} passengers need ${l.vehiclesNeeded} ${l.vehicleType} vehicles (${l.capacity} seats each)`
+          : "No vehicle type on the leg",
+      })),
+      suggestions: suggestCombinations(legs, windowMinutes),
+      data: legs,
+    });
+  } catch (error) {
+    console.error("getDispatch error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Driver manifest PDF for one vehicle
+ * @route   GET /api/dispatch/manifest.pdf?date=YYYY-MM-DD&legs=<bookingId>:<index>,...
+ *          &vehicleType=GMC&driver=&vehicleNo=
+ *          Without vehicleType a single leg keeps its booked vehicle; combined
+ *          legs get the smallest vehicle that seats everyone.
+ * @access  Private/Admin
+ */
+export const getManifestPdf = async (req, res) => {
+  try {
+    const date = parseDay(req.query.date);
+    if (!date) return res.status(400).json({ message: "Invalid date" });
+    const keys = [...new Set(String(req.query.legs || "").split(",").map((k) => k.trim()).filter(Boolean))];
+    if (keys.length === 0) return res.status(400).json({ message: "legs is required" });
+    if (req.query.vehicleType && !vehicleType(req.query.vehicleType)) {
+      return res.status(400).json({ message: `vehicleType must be one of: ${Object.keys(VEHICLE_CAPACITY).join(", ")}` });
+    }
+
+    const ids = keys.map((k) => k.split(":")[0]);
+    if (ids.some((id) => !/^[a-f0-9]{24}$/i.test(id))) return res.status(400).json({ message: "Invalid leg key" });
+
+    const bookings = await Booking.find({ ...dispatchFilter(date), _id: { $in: ids } })
+      .select(`${LEG_FIELDS} travellers visas visa`)
+      .lean();
+    const manifest = manifestLegs(dispatchLegs(bookings, date), keys, req.query.vehicleType);
+
+    renderManifestPdf(
+      res,
+      manifest,
+      new Map(bookings.map((b) => [String(b._id), b])),
+      await loadBranding(req.companyId),
+      { date, driver: req.query.driver, vehicleNo: req.query.vehicleNo }
+    );
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error("getManifestPdf error:", error);
+    if (!res.headersSent) res.status(500).json({ message: error.message || "Server error" });
+  }
+};
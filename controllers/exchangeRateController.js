@@ -0,0 +1,122 @@
+// controllers/exchangeRateController.js
+import ExchangeRate from "../models/ExchangeRate.js";
+import { getBaseCurrency, isCurrencyCode, loadRateTable, normalizeCurrency } from "../utils/currency.js";
+
+const validateRate = ({ currency, rate, effectiveDate }) => {
+  if (!isCurrencyCode(normalizeCurrency(currency, ""))) return "currency must be a 3-letter ISO code (e.g. SAR)";
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) return "rate must be a positive number";
+  if (!effectiveDate || Number.isNaN(new Date(effectiveDate).getTime())) return "effectiveDate must be a valid date";
+  return null;
+};
+
+// GET /api/exchange-rates?currency=SAR  (admin)
+export const getExchangeRates = async (req, res) => {
+  try {
+    const baseCurrency = await getBaseCurrency(req.companyId);
+    const filter = { baseCurrency };
+    if (req.query.currency) filter.currency = normalizeCurrency(req.query.currency);
+
+    const rates = await ExchangeRate.find(filter).sort({ currency: 1, effectiveDate: -1 }).lean();
+    res.json({ baseCurrency, data: rates });
+  } catch (e) {
+    console.error("getExchangeRates error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// POST /api/exchange-rates  { currency, rate, effectiveDate, notes }  (admin)
+// rate = how many units of the base currency one unit of `currency` buys
+export const createExchangeRate = async (req, res) => {
+  try {
+    const problem = validateRate(req.body || {});
+    if (problem) return res.status(400).json({ message: problem });
+
+    const baseCurrency = await getBaseCurrency(req.companyId);
+    const currency = normalizeCurrency(req.body.currency);
+    if (currency === baseCurrency) {
+      return res.status(400).json({ message: `${currency} is the base currency (rate is always 1)` });
+    }
+
+    const rate = await ExchangeRate.create({
+      currency,
+      baseCurrency,
+      rate: Number(req.body.rate),
+      effectiveDate: new Date(req.body.effectiveDate),
+      notes: req.body.notes,
+      createdBy: req.user._id,
+      createdByName: req.user.name,
+    });
+    res.status(201).json(rate);
+  } catch (e) {
+    if (e?.code === 11000) {
+      return res.status(409).json({ message: "A rate for this currency and date already exists" });
+    }
+    console.error("createExchangeRate error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// PUT /api/exchange-rates/:id  (admin)
+export const updateExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+    if (!rate) return res.status(404).json({ message: "Exchange rate not found" });
+
+    const next = {
+      currency: rate.currency,
+      rate: req.body.rate ?? rate.rate,
+      effectiveDate: req.body.effectiveDate ?? rate.effectiveDate,
+    };
+    const problem = validateRate(next);
+    if (problem) return res.status(400).json({ message: problem });
+
+    rate.rate = Number(next.rate);
+    rate.effectiveDate = new Date(next.effectiveDate);
+    if (req.body.notes !== undefined) rate.notes = req.body.notes;
+    await rate.save();
+    res.json(rate);
+  } catch (e) {
+    if (e?.code === 11000) {
+      return res.status(409).json({ message: "A rate for this currency and date already exists" });
+    }
+    console.error("updateExchangeRate error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /api/exchange-rates/:id  (admin)
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+    if (!rate) return res.status(404).json({ message: "Exchange rate not found" });
+    await rate.deleteOne();
+    res.json({ message: "Exchange rate removed" });
+  } catch (e) {
+    console.error("deleteExchangeRate error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/exchange-rates/convert?amount=100&from=SAR&to=USD&date=2026-03-01
+export const convertAmount = async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+    if (!Number.isFinite(amount)) return res.status(400).json({ message: "amount must be a number" });
+
+    const table = await loadRateTable(await getBaseCurrency(req.companyId));
+    const from = normalizeCurrency(req.query.from, table.base);
+    const to = normalizeCurrency(req.query.to, table.base);
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    res.json({
+      amount,
+      from,
+      to,
+      date,
+      result: Math.round(table.convert(amount, from, to, date) * 100) / 100,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ message: e.message || "Server error" });
+  }
+};
@@ -0,0 +1,299 @@
+// controllers/groupController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Counter from "../models/Counter.js";
+import Group from "../models/Group.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { getBaseCurrency, loadRateTable } from "../utils/currency.js";
+import {
+  SHARED_SECTIONS,
+  applyGroupItinerary,
+  formatGroupNumber,
+  normalizeGroup,
+  summarizeGroupFinances,
+} from "../utils/groups.js";
+import { checkPnrConflicts, pnrSet } from "../utils/pnrRegistry.js";
+
+// Member list columns (full bookings via /api/bookings?group=<id>)
+const MEMBER_FIELDS =
+  "customerName customerEmail contactNumber status pnrs travellerCounts paymentSummary currency agent departureDate";
+
+const sendError = (res, e, label) => {
+  if (e.status) return res.status(e.status).json({ message: e.message, details: e.details });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ message: "Server error" });
+};
+
+const canAccessGroup = (group, user) =>
+  user?.role === "admin" ||
+  [group.agent, group.createdBy].some((id) => id && String(id) === String(user?._id));
+
+const loadGroup = async (req, res) => {
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({ message: "Group not found" });
+    return null;
+  }
+  if (!canAccessGroup(group, req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return group;
+};
+
+/**
+ * Push the group itinerary onto `bookings` and save them together with the
+ * group in one transaction (one audit entry per booking), so a failed member
+ * save leaves the group unchanged too. PNRs held by bookings outside the group
+ * are checked first.
+ */
+const syncMembers = async (group, bookings, actor, action = "group-sync") => {
+  const pnrWarnings = [];
+  for (const booking of bookings) {
+    const previous = pnrSet(booking);
+    applyGroupItinerary(booking, group);
+    pnrWarnings.push(...(await checkPnrConflicts(booking, previous)));
+  }
+
+  group.lastSyncedAt = new Date();
+  await Booking.db.transaction(async (session) => {
+    for (const booking of bookings) {
+      booking.setAuditActor(actor, action, { group: group.groupNumber });
+      await booking.save({ session });
+    }
+    await group.save({ session });
+  });
+  return pnrWarnings;
+};
+
+// GET /api/groups?status=active  (agents: their own groups)
+export const getGroups = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role !== "admin") filter.$or = [{ agent: req.user._id }, { createdBy: req.user._id }];
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const groups = await Group.find(filter).sort({ departureDate: 1, createdAt: -1 }).lean();
+    const counts = await Booking.aggregate([
+      { $match: { group: { $in: groups.map((g) => g._id) } } },
+      { $group: { _id: "$group", bookings: { $sum: 1 }, travellers: { $sum: { $ifNull: ["$travellerCounts.total", 0] } } } },
+    ]);
+    const byGroup = new Map(counts.map((c) => [String(c._id), c]));
+    res.json(
+      groups.map((g) => ({
+        ...g,
+        bookings: byGroup.get(String(g._id))?.bookings || 0,
+        travellers: byGroup.get(String(g._id))?.travellers || 0,
+      }))
+    );
+  } catch (e) {
+    sendError(res, e, "getGroups");
+  }
+};
+
+// GET /api/groups/:id -> group + member bookings
+export const getGroupById = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    const members = await Booking.find({ group: group._id }).select(MEMBER_FIELDS).sort({ customerName: 1 }).lean();
+    res.json({ ...group.toJSON(), members });
+  } catch (e) {
+    sendError(res, e, "getGroupById");
+  }
+};
+
+/**
+ * @desc    Create a group (shared PNRs, flights, hotels, transport, dates)
+ * @route   POST /api/groups
+ * @access  Private
+ */
+export const createGroup = async (req, res) => {
+  try {
+    const fields = normalizeGroup(req.body || {});
+    // Admins may create a group for another agent
+    const agent = req.user.role === "admin" && req.body.agent ? req.body.agent : req.user._id;
+    const sequence = await Counter.next("group");
+    const group = await Group.create({
+      ...fields,
+      groupNumber: formatGroupNumber(sequence),
+      sequence,
+      agent,
+      createdBy: req.user._id,
+      createdByName: req.user.name,
+    });
+    res.status(201).json(group);
+  } catch (e) {
+    sendError(res, e, "createGroup");
+  }
+};
+
+/**
+ * @desc    Update the group. Shared itinerary changes are pushed to every
+ *          member unless `?sync=false`.
+ * @route   PUT /api/groups/:id
+ * @access  Private (owner or admin)
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const fields = normalizeGroup(req.body || {}, { partial: true });
+    if (req.body.status !== undefined) {
+      if (!["active", "cancelled"].includes(req.body.status)) {
+        return res.status(400).json({ message: "status must be active or cancelled" });
+      }
+      fields.status = req.body.status;
+    }
+    group.set(fields);
+    if (group.departureDate && group.returnDate && group.departureDate > group.returnDate) {
+      return res.status(400).json({ message: "returnDate must be after departureDate" });
+    }
+    const itineraryChanged = SHARED_SECTIONS.some((path) => group.isModified(path));
+
+    let synced = 0;
+    let pnrWarnings = [];
+    if (itineraryChanged && String(req.query.sync) !== "false") {
+      // The group is saved in the same transaction as its members
+      const members = await Booking.find({ group: group._id });
+      pnrWarnings = await syncMembers(group, members, req.user);
+      synced = members.length;
+    } else {
+      await group.save();
+    }
+    res.json({ ...group.toJSON(), synced, ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}) });
+  } catch (e) {
+    sendError(res, e, "updateGroup");
+  }
+};
+
+// DELETE /api/groups/:id  -> only groups without members
+export const deleteGroup = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    // Trashed members count too: they can still be restored
+    const members = await Booking.countDocuments({ group: group._id }).setOptions({ withDeleted: true });
+    if (members > 0) {
+      return res.status(409).json({ message: "Remove the member bookings first, or set status to cancelled", members });
+    }
+    await group.deleteOne();
+    res.json({ message: "Group removed" });
+  } catch (e) {
+    sendError(res, e, "deleteGroup");
+  }
+};
+
+/**
+ * @desc    Add bookings to the group; each receives the group itinerary
+ * @route   POST /api/groups/:id/members   { bookingIds: [...] }
+ * @access  Private (owner or admin; agents may only add their own bookings)
+ */
+export const addGroupMembers = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    if (group.status !== "active") return res.status(409).json({ message: "Group is cancelled" });
+
+    const ids = [...new Set((req.body?.bookingIds || []).map(String))];
+    if (ids.length === 0) return res.status(400).json({ message: "bookingIds is required" });
+    const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) return res.status(400).json({ message: "Invalid booking id", details: { invalid } });
+
+    const bookings = await Booking.find({ _id: { $in: ids } });
+    const found = new Set(bookings.map((b) => String(b._id)));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length > 0) return res.status(404).json({ message: "Booking not found", details: { missing } });
+
+    const forbidden = bookings.filter((b) => !canAccessBooking(b, req.user)).map((b) => b._id);
+    if (forbidden.length > 0) return res.status(403).json({ message: "Not authorized", details: { forbidden } });
+
+    const elsewhere = bookings
+      .filter((b) => b.group && String(b.group) !== String(group._id))
+      .map((b) => ({ bookingId: b._id, group: b.group }));
+    if (elsewhere.length > 0) {
+      return res.status(409).json({ message: "Booking already belongs to another group", details: elsewhere });
+    }
+
+    const pnrWarnings = await syncMembers(group, bookings, req.user, "group-join");
+    res.json({
+      group: group._id,
+      added: bookings.map((b) => b._id),
+      ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}),
+    });
+  } catch (e) {
+    sendError(res, e, "addGroupMembers");
+  }
+};
+
+/**
+ * @desc    Remove a booking from the group. It keeps its copy of the itinerary
+ *          except the group PNRs; any PNRs it has left are checked like a new booking's.
+ * @route   DELETE /api/groups/:id/members/:bookingId
+ * @access  Private (owner or admin)
+ */
+export const removeGroupMember = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      return res.status(400).json({ message: "Invalid booking id" });
+    }
+    const booking = await Booking.findOne({ _id: req.params.bookingId, group: group._id });
+    if (!booking) return res.status(404).json({ message: "Booking is not a member of this group" });
+
+    const groupPnrs = pnrSet({ pnrs: group.pnrs });
+    const pnrs = pnrSet(booking).filter((p) => !groupPnrs.includes(p));
+    booking.group = undefined;
+    booking.pnrs = pnrs;
+    booking.pnr = pnrs[0];
+    const pnrWarnings = await checkPnrConflicts(booking);
+
+    booking.setAuditActor(req.user, "group-leave", { group: group.groupNumber });
+    await booking.save();
+    res.json({
+      message: "Booking removed from group",
+      bookingId: booking._id,
+      ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}),
+    });
+  } catch (e) {
+    sendError(res, e, "removeGroupMember");
+  }
+};
+
+// POST /api/groups/:id/sync -> push the group itinerary to every member again
+export const syncGroup = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    const members = await Booking.find({ group: group._id });
+    const pnrWarnings = await syncMembers(group, members, req.user);
+    res.json({ group: group._id, synced: members.length, ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}) });
+  } catch (e) {
+    sendError(res, e, "syncGroup");
+  }
+};
+
+/**
+ * @desc    Consolidated financials: per-member total/paid/balance in the
+ *          booking currency, group totals in the company base currency
+ * @route   GET /api/groups/:id/summary
+ * @access  Private (owner or admin)
+ */
+export const getGroupSummary = async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    const [members, table] = await Promise.all([
+      Booking.find({ group: group._id })
+        .select("customerName status currency date createdAt travellerCounts paymentSummary costing.totals")
+        .sort({ customerName: 1 })
+        .lean(),
+      getBaseCurrency(req.companyId).then(loadRateTable),
+    ]);
+    res.json({ group: { _id: group._id, groupNumber: group.groupNumber, name: group.name }, ...summarizeGroupFinances(members, table) });
+  } catch (e) {
+    sendError(res, e, "getGroupSummary");
+  }
+};
@@ -0,0 +1,159 @@
+// controllers/importController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { buildNewBooking } from "../utils/bookingFactory.js";
+import {
+  IMPORT_MAX_ROWS,
+  importFieldList,
+  resolveColumns,
+  rowToPayload,
+  writeImportTemplate,
+} from "../utils/bookingImport.js";
+import { resolveIdentity } from "../utils/identityResolver.js";
+import { checkPnrConflicts, duplicatePolicy, pnrSet } from "../utils/pnrRegistry.js";
+import { SPREADSHEET_FORMATS, detectFormat, readSpreadsheet } from "../utils/spreadsheet.js";
+
+const isTrue = (value) => ["1", "true", "yes"].includes(String(value).toLowerCase());
+
+// Thrown factory/validation errors -> [{ field?, message, details? }]
+const rowErrors = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map((e) => ({ field: e.path, message: e.message }));
+  }
+  return [{ message: error.message, ...(error.details ? { details: error.details } : {}) }];
+};
+
+// Agent the imported bookings are assigned to: admins pick one, agents import for themselves
+const importAgent = async (req) => {
+  const requested = req.query.agent;
+  if (!requested || String(requested) === String(req.user._id)) return req.user;
+  if (req.user.role !== "admin") {
+    const err = new Error("Only admins can import bookings for another agent");
+    err.status = 403;
+    throw err;
+  }
+  const agent = await resolveIdentity(requested);
+  if (!agent) {
+    const err = new Error("agent not found");
+    err.status = 400;
+    throw err;
+  }
+  return agent;
+};
+
+/**
+ * @desc    Column template for the booking import
+ * @route   GET /api/bookings/import/template?format=csv|xlsx|json
+ * @access  Private
+ */
+export const getImportTemplate = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (format === "json") return res.json({ maxRows: IMPORT_MAX_ROWS, fields: importFieldList() });
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${[...SPREADSHEET_FORMATS, "json"].join(", ")}` });
+    }
+    await writeImportTemplate(res, format);
+  } catch (error) {
+    console.error("getImportTemplate error:", error);
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Import bookings from a CSV/XLSX file (sent as the raw request body).
+ *          Every row is validated like POST /api/bookings and reported with its
+ *          errors. Nothing is saved unless `dryRun=false`; then all valid rows are
+ *          created in one transaction (invalid rows are skipped).
+ * @route   POST /api/bookings/import?dryRun=true&agent=<id>&mapping=<json>&format=csv|xlsx
+ * @access  Private (admins may assign another agent)
+ */
+export const importBookings = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === undefined || isTrue(req.query.dryRun);
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const format = detectFormat(body, req.headers["content-type"], req.query.format);
+    const { headers, rows } = await readSpreadsheet(body, format);
+    if (rows.length === 0) return res.status(400).json({ message: "The file has no data rows" });
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `Too many rows (${rows.length}); the limit is ${IMPORT_MAX_ROWS} per import` });
+    }
+
+    const { columns, unmapped } = resolveColumns(headers, req.query.mapping);
+    const agent = await importAgent(req);
+    const blockDuplicates = duplicatePolicy() === "block";
+
+    const seenPnrs = new Map(); // pnr -> first row using it
+    const report = [];
+    const valid = [];
+    for (const { row, values } of rows) {
+      const { payload, errors } = rowToPayload(values, columns);
+      const warnings = [];
+      let booking;
+      try {
+        booking = await buildNewBooking({ ...payload, agent: agent._id }, req.user, { companyId: req.companyId });
+        await booking.validate();
+      } catch (error) {
+        errors.push(...rowErrors(error));
+      }
+
+      if (booking && errors.length === 0) {
+        // PNRs repeated inside the file, then PNRs held by existing bookings
+        pnrSet(booking).forEach((pnr) => {
+          if (!seenPnrs.has(pnr)) {
+            seenPnrs.set(pnr, row);
+            return;
+          }
+          const issue = { field: "pnrs", message: `PNR ${pnr} is also used on row ${seenPnrs.get(pnr)}` };
+          (blockDuplicates ? errors : warnings).push(issue);
+        });
+        try {
+          const conflicts = await checkPnrConflicts(booking);
+          if (conflicts.length > 0) {
+            warnings.push({ field: "pnrs", message: "PNR already used by another active booking", details: conflicts });
+          }
+        } catch (error) {
+          errors.push(...rowErrors(error));
+        }
+      }
+
+      const ok = errors.length === 0;
+      if (ok) valid.push({ row, booking });
+      report.push({ row, ok, errors, ...(warnings.length > 0 ? { warnings } : {}) });
+    }
+
+    const summary = {
+      dryRun,
+      format,
+      agent: { _id: agent._id, name: agent.name, email: agent.email },
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      unmappedColumns: unmapped,
+      rows: report,
+    };
+    if (dryRun || valid.length === 0) return res.json({ ...summary, created: 0 });
+
+    // All valid rows or none: a failure part-way rolls back every booking (and its audit entry)
+    await Booking.db.transaction(async (session) => {
+      for (const { booking } of valid) {
+        booking.setAuditActor(req.user, "import");
+        await booking.save({ session });
+      }
+    });
+
+    const ids = new Map(valid.map(({ row, booking }) => [row, booking._id]));
+    res.status(201).json({
+      ...summary,
+      created: valid.length,
+      rows: report.map((r) => (ids.has(r.row) ? { ...r, bookingId: ids.get(r.row) } : r)),
+    });
+  } catch (error) {
+    console.error("importBookings error:", error);
+    res.status(error.status || 500).json({
+      message: error.message || "Import failed",
+      ...(error.details ? { details: error.details } : {}),
+    });
+  }
+};
@@ -2,6 +2,13 @@ import Inquiry from "../models/Inquiry.js";
 import crypto from "crypto";
 import superagent from "superagent";
 import mongoose from "mongoose";
+import { initialHistoryEntry } from "../utils/bookingLifecycle.js";
+import { attachIdentities, resolveIdentity } from "../utils/identityResolver.js";
+import { findPackage, packageDetailsOf } from "../utils/packages.js";
+import { purgeAfter } from "../utils/softDelete.js";
+
+// Inquiries have always shown the User record first, with name/email only
+const AGENT_LOOKUP = { prefer: "user", fields: "name email" };
 
 // Helper to build webhook payload in the expected shape
 const buildWebhookBody = (inq) => {
@@ -98,6 +105,9 @@ export const createInquiry = async (req, res) => {
       // External ID from PostgreSQL system (optional)
       externalId,
       id, // Also accept 'id' field as external ID
+      // Catalogue package (replaces the flat package fields below)
+      packageId,
+      package_id,
       // Package details fields (optional)
       package_name,
       packageName,
@@ -123,9 +133,21 @@ export const createInquiry = async (req, res) => {
       package_details,
     } = req.body;
 
+    // A catalogue package must be currently offered; its details are copied onto the inquiry
+    let catalogue = null;
+    if (packageId || package_id) {
+      try {
+        catalogue = await findPackage(packageId || package_id, { available: true });
+      } catch (e) {
+        return res.status(e.status || 400).json({ success: false, message: e.message });
+      }
+    }
+
     // Build package details if any package fields are provided
     let packageDetails = null;
-    if (package_details || package_name || packageName) {
+    if (catalogue) {
+      packageDetails = packageDetailsOf(catalogue);
+    } else if (package_details || package_name || packageName) {
       const pkg = package_details || {};
       packageDetails = {
         packageName: packageName || package_name || pkg.package_name || null,
@@ -167,6 +189,7 @@ export const createInquiry = async (req, res) => {
       customerEmail: customerEmail || email,
       customerPhone: customerPhone || phone,
       message,
+      packageId: catalogue?._id,
       packageDetails: packageDetails,
     });
     await inquiry.save();
@@ -395,11 +418,7 @@ export const getInquiries = async (req, res) => {
     
     console.log(`Found ${mongoInquiries.length} inquiries from MongoDB for ${req.user.role === "agent" ? "agent" : "admin"}`);
 
-    // Manually populate assignedAgent from both User and Agent models
-    const { default: User } = await import("../models/User.js");
-    const { default: Agent } = await import("../models/Agent.js");
-    
-    const populatedMongoInquiries = await Promise.all(mongoInquiries.map(async (inquiry) => {
+    const populatedMongoInquiries = mongoInquiries.map((inquiry) => {
       // Convert to plain object to ensure proper JSON serialization
       const inquiryObj = inquiry.toObject ? inquiry.toObject() : inquiry;
       
@@ -485,25 +504,16 @@ export const getInquiries = async (req, res) => {
         }
       }
       
-      if (inquiryObj.assignedAgent) {
-        const agentId = inquiryObj.assignedAgent.toString();
-        const userAgent = await User.findById(agentId).select("name email").lean();
-        const agentDoc = await Agent.findById(agentId).select("name email").lean();
-        
-        if (userAgent) {
-          inquiryObj.assignedAgent = userAgent;
-        } else if (agentDoc) {
-          inquiryObj.assignedAgent = agentDoc;
-        }
-      }
-      
       // Ensure externalId is included if present
       if (inquiryObj.externalId) {
         inquiryObj.externalId = inquiryObj.externalId;
       }
       
       return inquiryObj;
-    }));
+    });
+
+    // Populate assignedAgent in bulk (User first, then Agent)
+    await attachIdentities(populatedMongoInquiries, "assignedAgent", AGENT_LOOKUP);
 
     // For admins: fetch ALL inquiries from external API, merge with assigned ones from MongoDB
     let allInquiries = populatedMongoInquiries;
@@ -522,6 +532,10 @@ export const getInquiries = async (req, res) => {
           existingExternalIds.add(String(inq.id).trim());
         }
       });
+
+      // Inquiries in the trash stay hidden although the portal still lists them
+      const trashedExternalIds = await Inquiry.distinct("externalId", { deleted: true, externalId: { $nin: [null, ""] } });
+      trashedExternalIds.forEach((id) => existingExternalIds.add(String(id).trim()));
       
       console.log(`Found ${existingExternalIds.size} unique external IDs already in MongoDB (assigned)`);
       console.log(`Found ${externalInquiries.length} total inquiries from external API`);
@@ -578,28 +592,13 @@ export const getInquiryById = async (req, res) => {
 
     if (!inquiry) return res.status(404).json({ success: false, message: "Inquiry not found" });
 
-    // Manually populate assignedAgent from both User and Agent models
-    if (inquiry.assignedAgent) {
-      const { default: User } = await import("../models/User.js");
-      const { default: Agent } = await import("../models/Agent.js");
-      
-      const agentId = inquiry.assignedAgent.toString();
-      const userAgent = await User.findById(agentId).select("name email").lean();
-      const agentDoc = await Agent.findById(agentId).select("name email").lean();
-      
-      if (userAgent) {
-        inquiry.assignedAgent = userAgent;
-      } else if (agentDoc) {
-        inquiry.assignedAgent = agentDoc;
-      }
-    }
-
     // Agents can see only their inquiries
-    const assignedAgentId = inquiry.assignedAgent?._id?.toString() || inquiry.assignedAgent?.toString();
+    const assignedAgentId = inquiry.assignedAgent?.toString();
     if (req.user.role === "agent" && assignedAgentId !== req.user._id.toString()) {
       return res.status(403).json({ success: false, message: "Forbidden" });
     }
 
+    // `assignedAgent` stays the id here (the response shape this endpoint has always had)
     res.json({ success: true, data: inquiry });
   } catch (error) {
     console.error(error);
@@ -635,22 +634,6 @@ export const assignInquiryToAgent = async (req, res) => {
       inquiry = await Inquiry.findOne({ externalId: req.params.id });
     }
     
-    // Manually populate assignedAgent from both User and Agent models if it exists
-    if (inquiry && inquiry.assignedAgent) {
-      const { default: User } = await import("../models/User.js");
-      const { default: Agent } = await import("../models/Agent.js");
-      
-      const agentId = inquiry.assignedAgent.toString();
-      const userAgent = await User.findById(agentId).select("name email").lean();
-      const agentDoc = await Agent.findById(agentId).select("name email").lean();
-      
-      if (userAgent) {
-        inquiry.assignedAgent = userAgent;
-      } else if (agentDoc) {
-        inquiry.assignedAgent = agentDoc;
-      }
-    }
-    
     // If still not found and we have inquiryData, create the inquiry in MongoDB
     if (!inquiry && inquiryData) {
       try {
@@ -684,13 +667,8 @@ export const assignInquiryToAgent = async (req, res) => {
     }
 
     // Verify agent exists in either User or Agent model
-    const { default: User } = await import("../models/User.js");
-    const { default: Agent } = await import("../models/Agent.js");
-    
-    const userAgent = await User.findById(assignedAgent);
-    const agentDoc = await Agent.findById(assignedAgent);
-    
-    if (!userAgent && !agentDoc) {
+    const agentIdentity = await resolveIdentity(assignedAgent, AGENT_LOOKUP);
+    if (!agentIdentity) {
       return res.status(400).json({ success: false, message: "Agent not found" });
     }
 
@@ -705,17 +683,22 @@ export const assignInquiryToAgent = async (req, res) => {
           customerEmail: inquiry.customerEmail,
           contactNumber: inquiry.customerPhone || '',
           package: inquiry.packageDetails?.packageName || 'Inquiry Package',
+          packageId: inquiry.packageId,
+          inquiryId: inquiry._id,
           date: new Date(),
+          currency: inquiry.packageDetails?.pricing?.currency || 'USD',
           status: 'pending',
           approvalStatus: 'pending',
+          statusHistory: [initialHistoryEntry('pending', req.user)],
           agent: assignedAgent,
           // Include package details if available
           packagePrice: inquiry.packageDetails?.pricing?.double || inquiry.packageDetails?.pricing?.triple || inquiry.packageDetails?.pricing?.quad || '0',
         };
 
-        const booking = await Booking.create(bookingData);
+        const booking = new Booking(bookingData);
+        booking.setAuditActor(req.user);
+        await booking.save();
         console.log("Booking created successfully:", booking._id);
-        // Link inquiry to booking if needed (optional - you can add inquiryId to Booking model later)
         inquiry.status = 'in-progress';
       } catch (bookingError) {
         console.error("Error creating booking:", bookingError);
@@ -733,43 +716,15 @@ export const assignInquiryToAgent = async (req, res) => {
     inquiry.status = inquiry.status === 'pending' ? 'in-progress' : inquiry.status;
     await inquiry.save();
 
-    // Manually populate assignedAgent from both User and Agent models for response
-    try {
-      const { default: User } = await import("../models/User.js");
-      const { default: Agent } = await import("../models/Agent.js");
-      
-      const agentId = assignedAgent.toString();
-      const userAgent = await User.findById(agentId).select("name email").lean();
-      const agentDoc = await Agent.findById(agentId).select("name email").lean();
-      
-      // Convert inquiry to plain object for proper JSON serialization
-      const inquiryObj = inquiry.toObject ? inquiry.toObject() : inquiry;
-      
-      if (userAgent) {
-        inquiryObj.assignedAgent = userAgent;
-      } else if (agentDoc) {
-        inquiryObj.assignedAgent = agentDoc;
-      } else {
-        // If not found in either, keep as ObjectId string
-        inquiryObj.assignedAgent = agentId;
-        console.warn(`Agent ${agentId} not found in User or Agent models`);
-      }
-      
-      res.json({ 
-        success: true, 
-        message: "Inquiry assigned to agent successfully",
-        data: inquiryObj 
-      });
-    } catch (populateError) {
-      console.warn("Could not populate assignedAgent:", populateError);
-      // Continue without population, but still convert to plain object
-      const inquiryObj = inquiry.toObject ? inquiry.toObject() : inquiry;
-      res.json({ 
-        success: true, 
-        message: "Inquiry assigned to agent successfully",
-        data: inquiryObj 
-      });
-    }
+    // Respond with assignedAgent populated (already resolved above)
+    const inquiryObj = inquiry.toObject ? inquiry.toObject() : inquiry;
+    inquiryObj.assignedAgent = agentIdentity;
+
+    res.json({ 
+      success: true, 
+      message: "Inquiry assigned to agent successfully",
+      data: inquiryObj 
+    });
   } catch (error) {
     console.error("assignInquiryToAgent error:", error);
     console.error("Error details:", {
@@ -829,13 +784,7 @@ export const updateInquiry = async (req, res) => {
         // But recommend using assignInquiryToAgent endpoint instead
         if (assignedAgent && assignedAgent !== null && assignedAgent !== '') {
           // Verify agent exists in either User or Agent model
-          const { default: User } = await import("../models/User.js");
-          const { default: Agent } = await import("../models/Agent.js");
-          
-          const userAgent = await User.findById(assignedAgent);
-          const agentDoc = await Agent.findById(assignedAgent);
-          
-          if (!userAgent && !agentDoc) {
+          if (!(await resolveIdentity(assignedAgent, AGENT_LOOKUP))) {
             return res.status(400).json({ success: false, message: "Agent not found" });
           }
         }
@@ -848,21 +797,8 @@ export const updateInquiry = async (req, res) => {
     // Convert to plain object and populate assignedAgent for response
     const inquiryObj = inquiry.toObject ? inquiry.toObject() : inquiry;
     
-    // Manually populate assignedAgent from both User and Agent models if it exists
-    if (inquiryObj.assignedAgent) {
-      const { default: User } = await import("../models/User.js");
-      const { default: Agent } = await import("../models/Agent.js");
-      
-      const agentId = inquiryObj.assignedAgent.toString();
-      const userAgent = await User.findById(agentId).select("name email").lean();
-      const agentDoc = await Agent.findById(agentId).select("name email").lean();
-      
-      if (userAgent) {
-        inquiryObj.assignedAgent = userAgent;
-      } else if (agentDoc) {
-        inquiryObj.assignedAgent = agentDoc;
-      }
-    }
+    // Populate assignedAgent from User or Agent
+    await attachIdentities([inquiryObj], "assignedAgent", AGENT_LOOKUP);
     
     res.json({ success: true, data: inquiryObj });
   } catch (error) {
@@ -906,7 +842,7 @@ export const addResponse = async (req, res) => {
   }
 };
 
-// Delete inquiry (Admin only)
+// Delete inquiry (Admin only): moves it to the trash
 export const deleteInquiry = async (req, res) => {
   try {
     // Check if ID is a valid MongoDB ObjectId - if not, it's likely an externalId
@@ -923,9 +859,11 @@ export const deleteInquiry = async (req, res) => {
     
     if (!inquiry) return res.status(404).json({ success: false, message: "Inquiry not found" });
     
-    await inquiry.deleteOne();
+    // Moved to the trash; admins can restore it until it is purged (utils/softDelete.js)
+    inquiry.softDelete(req.user);
+    await inquiry.save();
 
-    res.json({ success: true, message: "Inquiry deleted successfully" });
+    res.json({ success: true, message: "Inquiry moved to trash", purgeAfter: purgeAfter(inquiry.deletedAt) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: error.message });
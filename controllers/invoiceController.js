@@ -0,0 +1,114 @@
+// controllers/invoiceController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Invoice from "../models/Invoice.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { loadBranding } from "../utils/branding.js";
+import { findCurrentInvoice, issueInvoice } from "../utils/invoices.js";
+import { renderInvoicePdf } from "../utils/pdf/invoicePdf.js";
+
+const loadBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid booking id" });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ message: "Booking not found" });
+    return null;
+  }
+  if (!canAccessBooking(booking, req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return booking;
+};
+
+/**
+ * @desc    Issue the customer invoice (next invoice number). Calling it again
+ *          returns the current invoice unchanged; use reissue for a new one.
+ * @route   POST /api/bookings/:id/invoice
+ * @access  Private (owner or admin)
+ */
+export const issueBookingInvoice = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const current = await findCurrentInvoice(booking._id);
+    if (current) return res.json(current);
+
+    const invoice = await issueInvoice(booking, req.user, { companyId: req.companyId });
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error("issueBookingInvoice error:", error);
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Download the current customer invoice, as stored when it was issued.
+ *          `?number=INV-000123` downloads an older (superseded) invoice.
+ * @route   GET /api/bookings/:id/invoice.pdf
+ * @access  Private (owner or admin)
+ */
+export const getBookingInvoicePdf = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const invoice = req.query.number
+      ? await Invoice.findOne({ booking: booking._id, invoiceNumber: String(req.query.number) })
+      : await findCurrentInvoice(booking._id);
+    if (!invoice) {
+      return res.status(404).json({
+        message: req.query.number ? "Invoice not found" : "No invoice issued yet; issue it with POST /api/bookings/:id/invoice",
+      });
+    }
+
+    // Branded as the company that issued it
+    renderInvoicePdf(res, invoice, await loadBranding(invoice.company || req.companyId));
+  } catch (error) {
+    console.error("getBookingInvoicePdf error:", error);
+    if (!res.headersSent) {
+      res.status(error.status || 500).json({ message: error.message || "Server error" });
+    }
+  }
+};
+
+/**
+ * @desc    Issue a new invoice (next number) from the booking as it is now;
+ *          the previous invoice is kept and marked superseded
+ * @route   POST /api/bookings/:id/invoice/reissue
+ * @access  Private/Admin
+ */
+export const reissueBookingInvoice = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const invoice = await issueInvoice(booking, req.user, { reissue: true, companyId: req.companyId });
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error("reissueBookingInvoice error:", error);
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Invoices issued for a booking (newest first)
+ * @route   GET /api/bookings/:id/invoices
+ * @access  Private (owner or admin)
+ */
+export const getBookingInvoices = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const invoices = await Invoice.find({ booking: booking._id }).sort({ sequence: -1 }).lean();
+    res.json(invoices);
+  } catch (error) {
+    console.error("getBookingInvoices error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
@@ -0,0 +1,124 @@
+// controllers/packageController.js
+import Booking from "../models/Booking.js";
+import Inquiry from "../models/Inquiry.js";
+import Package from "../models/Package.js";
+import Quote from "../models/Quote.js";
+import { availablePackagesFilter, normalizePackage } from "../utils/packages.js";
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Fields the public inquiry form may see
+const PUBLIC_FIELDS = "name code description currency pricing nights hotels services inclusions validFrom validTo";
+
+const duplicateCode = (e) => e?.code === 11000;
+
+// GET /api/packages?active=true&q=ramadan&availableOn=2026-03-01  (logged-in)
+export const getPackages = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.availableOn) {
+      const on = new Date(req.query.availableOn);
+      if (Number.isNaN(on.getTime())) return res.status(400).json({ message: "Invalid availableOn date" });
+      Object.assign(filter, availablePackagesFilter(on));
+    } else if (req.query.active !== undefined) {
+      filter.active = String(req.query.active) === "true";
+    }
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegex(String(req.query.q).trim()), "i");
+      filter.$or = [{ name: rx }, { code: rx }];
+    }
+
+    const packages = await Package.find(filter).sort({ active: -1, name: 1 }).lean();
+    res.json(packages);
+  } catch (e) {
+    console.error("getPackages error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/packages/public  (no auth) -> packages currently offered, for the inquiry form
+export const getPublicPackages = async (_req, res) => {
+  try {
+    const packages = await Package.find(availablePackagesFilter()).select(PUBLIC_FIELDS).sort({ name: 1 }).lean();
+    res.json(packages);
+  } catch (e) {
+    console.error("getPublicPackages error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/packages/:id  (logged-in)
+export const getPackageById = async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id).lean();
+    if (!pkg) return res.status(404).json({ message: "Package not found" });
+    res.json(pkg);
+  } catch (e) {
+    console.error("getPackageById error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// POST /api/packages  (admin)
+export const createPackage = async (req, res) => {
+  try {
+    const fields = normalizePackage(req.body || {});
+    const pkg = await Package.create({ ...fields, createdBy: req.user._id, createdByName: req.user.name });
+    res.status(201).json(pkg);
+  } catch (e) {
+    if (duplicateCode(e)) return res.status(409).json({ message: "A package with this code already exists" });
+    if (e.status) return res.status(e.status).json({ message: e.message, details: e.details });
+    console.error("createPackage error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// PUT /api/packages/:id  (admin) -> only the sent sections change
+export const updatePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) return res.status(404).json({ message: "Package not found" });
+
+    const fields = normalizePackage(req.body || {}, { partial: true });
+    pkg.set(fields);
+    if (pkg.validFrom && pkg.validTo && pkg.validFrom > pkg.validTo) {
+      return res.status(400).json({ message: "validTo must be after validFrom" });
+    }
+    await pkg.save();
+    res.json(pkg);
+  } catch (e) {
+    if (duplicateCode(e)) return res.status(409).json({ message: "A package with this code already exists" });
+    if (e.status) return res.status(e.status).json({ message: e.message, details: e.details });
+    console.error("updatePackage error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /api/packages/:id  (admin) -> packages already used are deactivated instead
+export const deletePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) return res.status(404).json({ message: "Package not found" });
+
+    // Trashed records count too: they can still be restored (quotes are never trashed)
+    const [bookings, inquiries, quotes] = await Promise.all([
+      Booking.countDocuments({ packageId: pkg._id }).setOptions({ withDeleted: true }),
+      Inquiry.countDocuments({ packageId: pkg._id }).setOptions({ withDeleted: true }),
+      Quote.countDocuments({ package: pkg._id }),
+    ]);
+    if (bookings + inquiries + quotes > 0) {
+      return res.status(409).json({
+        message: "Package is referenced by bookings, inquiries or quotes; set active to false instead",
+        bookings,
+        inquiries,
+        quotes,
+      });
+    }
+
+    await pkg.deleteOne();
+    res.json({ message: "Package removed" });
+  } catch (e) {
+    console.error("deletePackage error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,201 @@
+// controllers/paymentController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { PAYMENT_METHODS, summarizePayments } from "../utils/bookingLedger.js";
+import { getBaseCurrency, isCurrencyCode, loadRateTable, normalizeCurrency } from "../utils/currency.js";
+
+const ledgerResponse = (booking) => ({
+  bookingId: booking._id,
+  summary: summarizePayments(booking),
+  installments: booking.flightPayments?.mode === "installment" ? booking.flightPayments.installment?.schedule || [] : [],
+  payments: [...(booking.payments || [])].sort((a, b) => new Date(a.date) - new Date(b.date)),
+});
+
+const loadBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid booking id" });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ message: "Booking not found" });
+    return null;
+  }
+  if (!canAccessBooking(booking, req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return booking;
+};
+
+/**
+ * @desc    List ledger entries and the live balance of a booking
+ * @route   GET /api/bookings/:id/payments
+ * @access  Private (owner or admin)
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    res.json(ledgerResponse(booking));
+  } catch (error) {
+    console.error("getPayments error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Record a payment against a booking
+ * @route   POST /api/bookings/:id/payments   { method, amount, currency, date, reference, notes, installmentNo }
+ *
+ * Payments in another currency are converted to the booking currency at the
+ * rate on the payment date; both amounts are kept on the entry.
+ * @access  Private (owner or admin)
+ */
+export const addPayment = async (req, res) => {
+  try {
+    const { method, amount, currency, date, reference, notes, installmentNo } = req.body || {};
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      return res.status(400).json({ message: "amount must be a positive number" });
+    }
+    if (date && Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: "Invalid payment date" });
+    }
+
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    if (installmentNo != null) {
+      const schedule = booking.flightPayments?.installment?.schedule || [];
+      if (!schedule.some((item) => Number(item.no) === Number(installmentNo))) {
+        return res.status(400).json({ message: `Installment ${installmentNo} is not on this booking's schedule` });
+      }
+    }
+
+    const bookingCurrency = normalizeCurrency(booking.currency);
+    const paymentCurrency = normalizeCurrency(currency, bookingCurrency);
+    if (!isCurrencyCode(paymentCurrency)) {
+      return res.status(400).json({ message: "currency must be a 3-letter ISO code (e.g. USD, SAR)" });
+    }
+
+    const paidOn = date ? new Date(date) : new Date();
+    const rounded = Math.round(value * 100) / 100;
+    let convertedAmount = rounded;
+    if (paymentCurrency !== bookingCurrency) {
+      const rates = await loadRateTable(await getBaseCurrency(req.companyId));
+      convertedAmount = Math.round(rates.convert(rounded, paymentCurrency, bookingCurrency, paidOn) * 100) / 100;
+    }
+
+    booking.payments.push({
+      method,
+      amount: rounded,
+      currency: paymentCurrency,
+      convertedAmount,
+      date: paidOn,
+      reference,
+      notes,
+      installmentNo: installmentNo != null ? Number(installmentNo) : undefined,
+      recordedBy: req.user._id,
+      recordedByName: req.user.name,
+    });
+    booking.setAuditActor(req.user, "payment_add");
+    await booking.save();
+
+    res.status(201).json(ledgerResponse(booking));
+  } catch (error) {
+    console.error("addPayment error:", error);
+    res.status(error.status || 400).json({ message: error.message || "Failed to record payment" });
+  }
+};
+
+/**
+ * @desc    Void a ledger entry (kept on the booking, excluded from the balance)
+ * @route   POST /api/bookings/:id/payments/:paymentId/void   { reason }
+ * @access  Private/Admin
+ */
+export const voidPayment = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const entry = booking.payments.id(req.params.paymentId);
+    if (!entry) return res.status(404).json({ message: "Payment not found" });
+    if (entry.voided) return res.status(409).json({ message: "Payment already voided" });
+
+    entry.voided = true;
+    entry.voidedAt = new Date();
+    entry.voidedBy = req.user._id;
+    entry.voidedByName = req.user.name;
+    entry.voidReason = req.body?.reason;
+
+    booking.setAuditActor(req.user, "payment_void");
+    await booking.save();
+
+    res.json(ledgerResponse(booking));
+  } catch (error) {
+    console.error("voidPayment error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Unpaid installments whose date has passed, across all bookings
+ * @route   GET /api/bookings/installments/overdue?asOf=YYYY-MM-DD
+ * @access  Private/Admin
+ */
+export const getOverdueInstallments = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) return res.status(400).json({ message: "Invalid asOf date" });
+    const asOfDay = asOf.toISOString().slice(0, 10);
+
+    const rows = await Booking.aggregate([
+      { $match: { "flightPayments.mode": "installment", status: { $ne: "cancelled" } } },
+      { $unwind: "$flightPayments.installment.schedule" },
+      {
+        $match: {
+          "flightPayments.installment.schedule.status": { $ne: "paid" },
+          "flightPayments.installment.schedule.date": { $lt: asOfDay }, // ISO date strings sort by date
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          bookingId: "$_id",
+          customerName: 1,
+          customerEmail: 1,
+          contactNumber: 1,
+          agent: 1,
+          pnr: 1,
+          installmentNo: "$flightPayments.installment.schedule.no",
+          dueDate: "$flightPayments.installment.schedule.date",
+          amount: "$flightPayments.installment.schedule.amount",
+          paidAmount: { $ifNull: ["$flightPayments.installment.schedule.paidAmount", 0] },
+        },
+      },
+      { $sort: { dueDate: 1, customerName: 1 } },
+    ]);
+
+    const data = rows.map((r) => ({
+      ...r,
+      outstanding: Math.round((r.amount - r.paidAmount) * 100) / 100,
+      daysOverdue: Math.floor((new Date(asOfDay) - new Date(r.dueDate)) / 86400000),
+    }));
+
+    res.json({
+      asOf: asOfDay,
+      count: data.length,
+      totalOutstanding: Math.round(data.reduce((sum, r) => sum + r.outstanding, 0) * 100) / 100,
+      data,
+    });
+  } catch (error) {
+    console.error("getOverdueInstallments error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
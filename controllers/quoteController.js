@@ -0,0 +1,245 @@
+// controllers/quoteController.js
+import mongoose from "mongoose";
+import Counter from "../models/Counter.js";
+import Inquiry from "../models/Inquiry.js";
+import Package from "../models/Package.js";
+import Quote from "../models/Quote.js";
+import { loadBranding } from "../utils/branding.js";
+import { buildNewBooking } from "../utils/bookingFactory.js";
+import { fixedRateConverter } from "../utils/currency.js";
+import { resolveIdentity } from "../utils/identityResolver.js";
+import { checkPnrConflicts } from "../utils/pnrRegistry.js";
+import { findPackage } from "../utils/packages.js";
+import { renderQuotePdf } from "../utils/pdf/quotePdf.js";
+import {
+  QUOTE_VALID_DAYS,
+  bookingPayloadFromQuote,
+  formatQuoteNumber,
+  priceQuote,
+} from "../utils/quotes.js";
+
+const DAY_MS = 86400000;
+
+const sendError = (res, e, label) => {
+  if (e.status) return res.status(e.status).json({ message: e.message, details: e.details });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ message: "Server error" });
+};
+
+// Admins see every quote; everyone else the quotes they prepared or own
+const canAccessQuote = (quote, user) =>
+  user?.role === "admin" ||
+  [quote.agent, quote.createdBy].some((id) => id && String(id) === String(user?._id));
+
+const loadQuote = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid quote id" });
+    return null;
+  }
+  const quote = await Quote.findById(req.params.id);
+  if (!quote) {
+    res.status(404).json({ message: "Quote not found" });
+    return null;
+  }
+  if (!canAccessQuote(quote, req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return quote;
+};
+
+// Package + priced quote for the request body (package id may come from the inquiry)
+const priceFromBody = async (body, inquiry, companyId) => {
+  const packageId = body.packageId || body.package_id || inquiry?.packageId;
+  if (!packageId) {
+    const err = new Error("packageId is required");
+    err.status = 400;
+    throw err;
+  }
+  const pkg = await findPackage(packageId);
+  return { pkg, priced: await priceQuote(pkg, body, { companyId }) };
+};
+
+/**
+ * @desc    Price a quote without saving it (includes cost rows and margin)
+ * @route   POST /api/quotes/preview
+ *          { packageId, departureDate, returnDate?, occupancy, adults, children?, infants? }
+ * @access  Private
+ */
+export const previewQuote = async (req, res) => {
+  try {
+    const { pkg, priced } = await priceFromBody(req.body || {}, null, req.companyId);
+    res.json({ package: { _id: pkg._id, name: pkg.name }, ...priced });
+  } catch (e) {
+    sendError(res, e, "previewQuote");
+  }
+};
+
+/**
+ * @desc    Price and save a quote. Customer details default to the inquiry's
+ *          (agents may only quote on inquiries assigned to them).
+ * @route   POST /api/quotes
+ *          preview body + { customer: { name, email, phone }, inquiry?, agent?, notes? }
+ * @access  Private
+ */
+export const createQuote = async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    let inquiry = null;
+    if (body.inquiry) {
+      if (!mongoose.Types.ObjectId.isValid(body.inquiry)) return res.status(400).json({ message: "Invalid inquiry id" });
+      inquiry = await Inquiry.findById(body.inquiry);
+      if (!inquiry) return res.status(404).json({ message: "Inquiry not found" });
+      // Agents quote only on inquiries assigned to them
+      if (req.user.role !== "admin" && String(inquiry.assignedAgent) !== String(req.user._id)) {
+        return res.status(403).json({ message: "Not authorized" });
+      }
+    }
+
+    const customer = {
+      name: body.customer?.name || inquiry?.customerName,
+      email: body.customer?.email || inquiry?.customerEmail,
+      phone: body.customer?.phone || inquiry?.customerPhone,
+    };
+    if (!customer.name || !customer.email) {
+      return res.status(400).json({ message: "customer.name and customer.email are required" });
+    }
+
+    const { pkg, priced } = await priceFromBody(body, inquiry, req.companyId);
+
+    // Admins may prepare a quote for another agent
+    let agent = req.user._id;
+    if (req.user.role === "admin" && body.agent && String(body.agent) !== String(req.user._id)) {
+      const identity = await resolveIdentity(body.agent);
+      if (!identity) return res.status(400).json({ message: "agent not found" });
+      agent = identity._id;
+    }
+    const sequence = await Counter.next("quote");
+    const quote = await Quote.create({
+      ...priced,
+      quoteNumber: formatQuoteNumber(sequence),
+      sequence,
+      package: pkg._id,
+      packageName: pkg.name,
+      inquiry: inquiry?._id,
+      agent,
+      customer,
+      notes: body.notes,
+      validUntil: new Date(Date.now() + QUOTE_VALID_DAYS * DAY_MS),
+      createdBy: req.user._id,
+      createdByName: req.user.name,
+    });
+    res.status(201).json(quote);
+  } catch (e) {
+    sendError(res, e, "createQuote");
+  }
+};
+
+// GET /api/quotes?status=open&inquiry=<id>  (agents: their own quotes)
+export const getQuotes = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role !== "admin") filter.$or = [{ agent: req.user._id }, { createdBy: req.user._id }];
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.inquiry) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.inquiry)) return res.status(400).json({ message: "Invalid inquiry id" });
+      filter.inquiry = req.query.inquiry;
+    }
+
+    const quotes = await Quote.find(filter).sort({ createdAt: -1 }).lean();
+    res.json(quotes);
+  } catch (e) {
+    sendError(res, e, "getQuotes");
+  }
+};
+
+// GET /api/quotes/:id
+export const getQuoteById = async (req, res) => {
+  try {
+    const quote = await loadQuote(req, res);
+    if (!quote) return;
+    res.json(quote);
+  } catch (e) {
+    sendError(res, e, "getQuoteById");
+  }
+};
+
+// GET /api/quotes/:id/pdf -> customer quote (sale prices only)
+export const getQuotePdf = async (req, res) => {
+  try {
+    const quote = await loadQuote(req, res);
+    if (!quote) return;
+    const pkg = await Package.findById(quote.package).lean();
+    renderQuotePdf(res, quote, await loadBranding(req.companyId), pkg);
+  } catch (e) {
+    console.error("getQuotePdf error:", e);
+    if (!res.headersSent) res.status(e.status || 500).json({ message: e.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Accept a quote: creates the booking pre-filled with the quote's
+ *          customer, dates, hotels and costing rows (status as for a new booking)
+ * @route   POST /api/quotes/:id/accept
+ * @access  Private (owner or admin)
+ */
+export const acceptQuote = async (req, res) => {
+  try {
+    const quote = await loadQuote(req, res);
+    if (!quote) return;
+    if (quote.status !== "open") {
+      return res.status(409).json({ message: `Quote is already ${quote.status}`, booking: quote.booking });
+    }
+    if (quote.validUntil && quote.validUntil < new Date()) {
+      return res.status(409).json({ message: "Quote has expired; create a new quote to re-price it" });
+    }
+
+    // Foreign rows keep the rates the quote was priced at (older quotes have none stored)
+    const rates = quote.costing?.rates;
+    const convert = rates?.size ? fixedRateConverter(rates, quote.currency) : undefined;
+    const booking = await buildNewBooking(bookingPayloadFromQuote(quote), req.user, {
+      companyId: req.companyId,
+      convert,
+    });
+    booking.inquiryId = quote.inquiry;
+    const pnrWarnings = await checkPnrConflicts(booking);
+
+    // Claim the quote first so two accepts cannot create two bookings
+    const claimed = await Quote.findOneAndUpdate(
+      { _id: quote._id, status: "open" },
+      { $set: { status: "accepted", booking: booking._id, acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return res.status(409).json({ message: "Quote was accepted by another request" });
+
+    try {
+      booking.setAuditActor(req.user, "create", { quote: quote.quoteNumber });
+      await booking.save();
+    } catch (e) {
+      await Quote.updateOne(
+        { _id: quote._id },
+        { $set: { status: "open" }, $unset: { booking: "", acceptedAt: "" } }
+      );
+      throw e;
+    }
+
+    res.status(201).json({ quote: claimed, booking, ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}) });
+  } catch (e) {
+    sendError(res, e, "acceptQuote");
+  }
+};
+
+// POST /api/quotes/:id/cancel
+export const cancelQuote = async (req, res) => {
+  try {
+    const quote = await loadQuote(req, res);
+    if (!quote) return;
+    if (quote.status !== "open") return res.status(409).json({ message: `Quote is already ${quote.status}` });
+    quote.status = "cancelled";
+    await quote.save();
+    res.json(quote);
+  } catch (e) {
+    sendError(res, e, "cancelQuote");
+  }
+};
@@ -0,0 +1,59 @@
+// controllers/roomingListController.js
+import Booking from "../models/Booking.js";
+import { loadBranding } from "../utils/branding.js";
+import { renderRoomingListPdf } from "../utils/pdf/roomingListPdf.js";
+import {
+  ROOMING_FORMATS,
+  buildRoomingList,
+  roomingListFilter,
+  writeRoomingListCsv,
+} from "../utils/roomingList.js";
+
+const MAX_DAYS = 90;
+
+const isoDay = (value) => {
+  const d = new Date(value);
+  return value && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * @desc    Rooming list for a hotel: guests grouped into rooms by the booked
+ *          room type, with bookings whose head count does not fit flagged
+ * @route   GET /api/bookings/rooming-list?hotel=Hilton&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|pdf
+ *          Agents only see their own bookings.
+ * @access  Private
+ */
+export const getRoomingList = async (req, res) => {
+  try {
+    const hotel = String(req.query.hotel || "").trim();
+    if (!hotel) return res.status(400).json({ message: "hotel is required" });
+
+    const from = isoDay(req.query.from);
+    const to = isoDay(req.query.to || req.query.from);
+    if (!from || !to) return res.status(400).json({ message: "from (and optional to) must be valid dates" });
+    if (to < from) return res.status(400).json({ message: "to must be on or after from" });
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_DAYS) {
+      return res.status(400).json({ message: `Date range is limited to ${MAX_DAYS} days` });
+    }
+
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!ROOMING_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${ROOMING_FORMATS.join(", ")}` });
+    }
+
+    const filter = roomingListFilter(hotel, { from, to });
+    if (req.user.role !== "admin") filter.agent = req.user._id;
+
+    const bookings = await Booking.find(filter)
+      .select("customerName agent status pnr pnrs date departureDate returnDate hotel hotels travellers travellerCounts adults children passengers visas visa")
+      .lean();
+    const rooming = buildRoomingList(bookings, { hotel, from, to });
+
+    if (format === "csv") return writeRoomingListCsv(res, rooming);
+    if (format === "pdf") return renderRoomingListPdf(res, rooming, await loadBranding(req.companyId));
+    res.json(rooming);
+  } catch (error) {
+    console.error("getRoomingList error:", error);
+    if (!res.headersSent) res.status(500).json({ message: error.message || "Server error" });
+  }
+};
@@ -0,0 +1,113 @@
+// controllers/trashController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Group from "../models/Group.js";
+import Inquiry from "../models/Inquiry.js";
+import Package from "../models/Package.js";
+import { checkPnrConflicts } from "../utils/pnrRegistry.js";
+import { TRASH_RETENTION_DAYS, purgeAfter } from "../utils/softDelete.js";
+
+// Trash kinds: model, the columns shown in the trash list and the links
+// checked on restore (path -> referenced model)
+const KINDS = {
+  bookings: {
+    Model: Booking,
+    fields: "customerName customerEmail package status pnr departureDate agent",
+    label: (d) => `${d.customerName}${d.package ? ` (${d.package})` : ""}`,
+    links: { group: Group, packageId: Package },
+  },
+  inquiries: {
+    Model: Inquiry,
+    fields: "customerName customerEmail status externalId packageDetails.packageName",
+    label: (d) => `${d.customerName}${d.packageDetails?.packageName ? ` (${d.packageDetails.packageName})` : ""}`,
+    links: { packageId: Package },
+  },
+};
+
+const TRASH_FIELDS = "deletedAt deletedBy deletedByName";
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * @desc    Deleted bookings and inquiries, newest first, with the date each is purged
+ * @route   GET /api/trash?type=bookings|inquiries&limit=100
+ * @access  Private/Admin
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const types = req.query.type ? [String(req.query.type)] : Object.keys(KINDS);
+    if (types.some((t) => !KINDS[t])) {
+      return res.status(400).json({ message: `type must be one of: ${Object.keys(KINDS).join(", ")}` });
+    }
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const lists = await Promise.all(
+      types.map(async (type) => {
+        const { Model, fields, label } = KINDS[type];
+        const docs = await Model.find({ deleted: true })
+          .select(`${fields} ${TRASH_FIELDS}`)
+          .sort({ deletedAt: -1 })
+          .limit(limit)
+          .lean();
+        return docs.map((d) => ({ type, label: label(d), ...d, purgeAfter: purgeAfter(d.deletedAt) }));
+      })
+    );
+    const data = lists.flat().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)).slice(0, limit);
+
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, count: data.length, data });
+  } catch (error) {
+    console.error("getTrash error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * @desc    Restore a deleted booking or inquiry. A booking whose PNRs were
+ *          taken by another active booking meanwhile follows PNR_DUPLICATE_POLICY.
+ *          Links to a group or package that no longer exists are cleared
+ *          and listed in `detached`.
+ * @route   POST /api/trash/:type/:id/restore
+ * @access  Private/Admin
+ */
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const kind = KINDS[req.params.type];
+    if (!kind) return res.status(404).json({ message: "Unknown trash type" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: "Invalid id" });
+
+    const doc = await kind.Model.findOne({ _id: req.params.id, deleted: true });
+    if (!doc) return res.status(404).json({ message: "Not found in trash" });
+
+    doc.restore();
+    const detached = [];
+    for (const [path, Ref] of Object.entries(kind.links)) {
+      const id = doc.get(path);
+      if (id && !(await Ref.exists({ _id: id }))) {
+        doc.set(path, undefined);
+        detached.push({ path, id });
+      }
+    }
+
+    let pnrWarnings = [];
+    if (kind.Model === Booking) {
+      pnrWarnings = await checkPnrConflicts(doc);
+      doc.setAuditActor(req.user, "restore");
+    }
+    await doc.save();
+
+    res.json({
+      message: "Restored",
+      type: req.params.type,
+      _id: doc._id,
+      ...(detached.length > 0 ? { detached } : {}),
+      ...(pnrWarnings.length > 0 ? { pnrWarnings } : {}),
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message, details: error.details });
+    console.error("restoreFromTrash error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,86 @@
+// controllers/travelDocumentController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { attachIdentities } from "../utils/identityResolver.js";
+import { checkBookingDocuments, upcomingDeparturesFilter } from "../utils/travelDocuments.js";
+
+const MAX_DAYS = 365;
+
+/**
+ * @desc    Passport/visa document check for one booking
+ * @route   GET /api/bookings/:id/documents
+ * @access  Private (owner or admin)
+ */
+export const getBookingDocuments = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid booking id" });
+    }
+    const booking = await Booking.findById(req.params.id)
+      .select("customerName agent status departureDate returnDate travellers travellerCounts")
+      .lean();
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!canAccessBooking(booking, req.user)) return res.status(403).json({ message: "Not authorized" });
+
+    res.json({ bookingId: booking._id, ...checkBookingDocuments(booking) });
+  } catch (error) {
+    console.error("getBookingDocuments error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Upcoming departures with unresolved document issues
+ * @route   GET /api/bookings/document-issues?days=60&from=YYYY-MM-DD&includeWarnings=true
+ *          Agents only see their own bookings.
+ * @access  Private
+ */
+export const getDocumentIssues = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 60 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({ message: `days must be a whole number between 1 and ${MAX_DAYS}` });
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (Number.isNaN(from.getTime())) return res.status(400).json({ message: "Invalid from date" });
+    const includeWarnings = ["1", "true", "yes"].includes(String(req.query.includeWarnings).toLowerCase());
+
+    const filter = upcomingDeparturesFilter(from, days);
+    if (req.user.role !== "admin") filter.agent = req.user._id;
+
+    const bookings = await Booking.find(filter)
+      .select("customerName customerEmail contactNumber agent status pnr departureDate returnDate travellers travellerCounts")
+      .sort({ departureDate: 1, _id: 1 })
+      .lean();
+
+    const data = [];
+    bookings.forEach((b) => {
+      const check = checkBookingDocuments(b);
+      if (check.ok && !(includeWarnings && check.warnings > 0)) return;
+      data.push({
+        bookingId: b._id,
+        customerName: b.customerName,
+        customerEmail: b.customerEmail,
+        contactNumber: b.contactNumber,
+        agent: b.agent,
+        status: b.status,
+        pnr: b.pnr,
+        travellers: b.travellers?.length || 0,
+        ...check,
+      });
+    });
+    await attachIdentities(data, "agent");
+
+    res.json({
+      from: from.toISOString().slice(0, 10),
+      days,
+      checked: bookings.length,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error("getDocumentIssues error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
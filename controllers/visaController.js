@@ -0,0 +1,205 @@
+// controllers/visaController.js
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import VisaApplication from "../models/VisaApplication.js";
+import { canAccessBooking } from "../utils/bookingAccess.js";
+import { attachIdentities } from "../utils/identityResolver.js";
+import { INACTIVE_STATUSES } from "../utils/pnrRegistry.js";
+import {
+  OPEN_VISA_STATUSES,
+  VISA_STATUSES,
+  applyVisaUpdate,
+  canWorkVisas,
+  newApplications,
+  visaReadiness,
+} from "../utils/visaApplications.js";
+
+const DAY_MS = 86400000;
+const DEFAULT_QUEUE_LIMIT = 100;
+const MAX_QUEUE_LIMIT = 500;
+
+const BOOKING_FIELDS = "customerName agent status pnr departureDate returnDate travellers visa visas";
+
+const sendError = (res, e, label) => {
+  if (e.status) return res.status(e.status).json({ message: e.message, details: e.details });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ message: "Server error" });
+};
+
+// Owner, admin or the visa team
+const loadBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid booking id" });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.id).select(BOOKING_FIELDS).lean();
+  if (!booking) {
+    res.status(404).json({ message: "Booking not found" });
+    return null;
+  }
+  if (!canAccessBooking(booking, req.user) && !canWorkVisas(req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return booking;
+};
+
+/**
+ * @desc    Visa applications of a booking with its readiness indicator
+ * @route   GET /api/bookings/:id/visa-applications
+ * @access  Private (owner, admin or visa team)
+ */
+export const getBookingVisaApplications = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    const applications = await VisaApplication.find({ booking: booking._id }).sort({ createdAt: 1 }).lean();
+    res.json({ bookingId: booking._id, readiness: visaReadiness(booking, applications), applications });
+  } catch (e) {
+    sendError(res, e, "getBookingVisaApplications");
+  }
+};
+
+/**
+ * @desc    Open visa applications for the booking's travellers that have none
+ * @route   POST /api/bookings/:id/visa-applications   { travellerIds?, visaType? }
+ * @access  Private (owner, admin or visa team)
+ */
+export const openBookingVisaApplications = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const existing = await VisaApplication.find({ booking: booking._id }).select("travellerId").lean();
+    const docs = newApplications(booking, existing, req.body || {}, req.user);
+    const created = docs.length > 0 ? await VisaApplication.insertMany(docs) : [];
+
+    const applications = await VisaApplication.find({ booking: booking._id }).sort({ createdAt: 1 }).lean();
+    res.status(created.length > 0 ? 201 : 200).json({
+      bookingId: booking._id,
+      created: created.length,
+      readiness: visaReadiness(booking, applications),
+      applications,
+    });
+  } catch (e) {
+    // Two requests opened the same traveller's application at once
+    if (e?.code === 11000) return res.status(409).json({ message: "A visa application already exists for this traveller" });
+    sendError(res, e, "openBookingVisaApplications");
+  }
+};
+
+/**
+ * @desc    Visa team queue, soonest departure first
+ * @route   GET /api/visa-applications/queue?status=submitted,approved&days=30&from=YYYY-MM-DD&limit=100
+ *          Default status: everything not yet issued. Cancelled/travelled bookings are left out.
+ * @access  Private (admin or visa team)
+ */
+export const getVisaQueue = async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(",").map((s) => s.trim()).filter(Boolean)
+      : OPEN_VISA_STATUSES;
+    const unknown = statuses.filter((s) => !VISA_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `status must be among: ${VISA_STATUSES.join(", ")}`, details: { unknown } });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_QUEUE_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUEUE_LIMIT) {
+      return res.status(400).json({ message: `limit must be between 1 and ${MAX_QUEUE_LIMIT}` });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    if (from && Number.isNaN(from.getTime())) return res.status(400).json({ message: "Invalid from date" });
+    const departure = {};
+    if (from) departure.$gte = from;
+    if (req.query.days !== undefined) {
+      const days = Number(req.query.days);
+      if (!Number.isInteger(days) || days < 1) return res.status(400).json({ message: "days must be a positive whole number" });
+      departure.$lte = new Date((from || new Date()).getTime() + days * DAY_MS);
+    }
+
+    // $lookup reads the collection directly, so trashed bookings are excluded here
+    const bookingMatch = { "booking.status": { $nin: INACTIVE_STATUSES }, "booking.deleted": { $ne: true } };
+    if (Object.keys(departure).length > 0) bookingMatch["booking.departureDate"] = departure;
+
+    const rows = await VisaApplication.aggregate([
+      { $match: { status: { $in: statuses } } },
+      { $lookup: { from: Booking.collection.name, localField: "booking", foreignField: "_id", as: "booking" } },
+      { $unwind: "$booking" },
+      { $match: bookingMatch },
+      // Undated departures go last
+      { $addFields: { undated: { $cond: [{ $ifNull: ["$booking.departureDate", false] }, 0, 1] } } },
+      { $sort: { undated: 1, "booking.departureDate": 1, status: 1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          undated: 0,
+          statusHistory: 0,
+          booking: { travellers: 0, costing: 0, payments: 0, card: 0, statusHistory: 0 },
+        },
+      },
+    ]);
+
+    const now = Date.now();
+    const data = rows.map(({ booking, ...app }) => ({
+      ...app,
+      bookingId: booking._id,
+      customerName: booking.customerName,
+      pnr: booking.pnr,
+      agent: booking.agent,
+      departureDate: booking.departureDate || null,
+      daysToDeparture: booking.departureDate
+        ? Math.ceil((new Date(booking.departureDate).getTime() - now) / DAY_MS)
+        : null,
+    }));
+    await attachIdentities(data, "agent");
+
+    res.json({ statuses, count: data.length, data });
+  } catch (e) {
+    sendError(res, e, "getVisaQueue");
+  }
+};
+
+// GET /api/visa-applications/:id  (visa team, admin, or the booking owner)
+export const getVisaApplication = async (req, res) => {
+  try {
+    const application = await VisaApplication.findById(req.params.id).lean();
+    if (!application) return res.status(404).json({ message: "Visa application not found" });
+    if (!canWorkVisas(req.user)) {
+      const booking = await Booking.findById(application.booking).select("agent").lean();
+      if (!canAccessBooking(booking, req.user)) return res.status(403).json({ message: "Not authorized" });
+    }
+    res.json(application);
+  } catch (e) {
+    sendError(res, e, "getVisaApplication");
+  }
+};
+
+/**
+ * @desc    Update a visa application: status (validated transition), visa
+ *          number, issue/expiry dates, visa type, notes
+ * @route   PUT /api/visa-applications/:id
+ *          { status?, statusReason?, visaNumber?, issueDate?, expiryDate?, visaType?, notes? }
+ * @access  Private (admin or visa team)
+ */
+export const updateVisaApplication = async (req, res) => {
+  try {
+    const application = await VisaApplication.findById(req.params.id);
+    if (!application) return res.status(404).json({ message: "Visa application not found" });
+
+    const booking = await Booking.findById(application.booking).select(BOOKING_FIELDS).lean();
+    const traveller = booking?.travellers?.find((t) => String(t._id) === String(application.travellerId));
+    if (req.body?.status === "submitted" && !traveller) {
+      return res.status(409).json({ message: "The traveller is no longer on the booking" });
+    }
+
+    applyVisaUpdate(application, req.body || {}, req.user, traveller);
+    await application.save();
+
+    const applications = booking ? await VisaApplication.find({ booking: booking._id }).lean() : [];
+    res.json({ ...application.toJSON(), readiness: booking ? visaReadiness(booking, applications) : null });
+  } catch (e) {
+    sendError(res, e, "updateVisaApplication");
+  }
+};
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    path: String,                       // e.g. "costing.rows.0.costPerQty"
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true },   // model name, e.g. "Booking"
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    action: { type: String, required: true },   // create | update | revert | delete | ...
+
+    // Who did it (User or Agent id + snapshot of name/role at the time)
+    actor: { type: mongoose.Schema.Types.ObjectId },
+    actorName: String,
+    actorRole: String,
+
+    changes: [FieldChangeSchema],
+    fields: [String],                            // top-level fields touched (for filtering)
+    snapshot: mongoose.Schema.Types.Mixed,       // document state after the change
+    meta: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ fields: 1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
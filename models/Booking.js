@@ -1,4 +1,12 @@
 import mongoose from "mongoose";
+import { BOOKING_STATUSES } from "../utils/bookingLifecycle.js";
+import { auditPlugin } from "../utils/auditTrail.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { maskCardNumber } from "../utils/cardVault.js";
+import { PAYMENT_METHODS, PAYMENT_STATES, ledgerSummary, withCurrentPaymentState } from "../utils/bookingLedger.js";
+import { reconcileInstallments } from "../utils/installments.js";
+import { pnrSet } from "../utils/pnrRegistry.js";
+import { GENDERS, RELATIONSHIPS, TRAVELLER_TYPES, applyTravellerCounts } from "../utils/travellers.js";
 
 const VisaPassengerSchema = new mongoose.Schema(
   {
@@ -20,6 +28,49 @@ const TransportLegSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Parsed from flights.raw by utils/gdsParser.js
+const FlightSegmentSchema = new mongoose.Schema(
+  {
+    segmentNo: Number,
+    carrier: String,
+    flightNumber: String,
+    bookingClass: String,
+    date: String,          // departure date, ISO (YYYY-MM-DD)
+    origin: String,
+    destination: String,
+    departureTime: String, // HH:MM, local
+    arrivalTime: String,
+    arrivalDate: String,
+    status: String,        // HK, KK, TK, ...
+    seats: Number,
+    raw: String,
+  },
+  { _id: false }
+);
+
+// One per person travelling (utils/travellers.js); keeps its _id across edits
+const TravellerSchema = new mongoose.Schema({
+  fullName: { type: String, required: true, trim: true }, // exactly as on the passport
+  gender: { type: String, enum: GENDERS },
+  dateOfBirth: Date,
+  passportNumber: { type: String, uppercase: true, trim: true },
+  passportIssueDate: Date,
+  passportExpiryDate: Date,
+  nationality: { type: String, trim: true },
+  relationship: { type: String, enum: RELATIONSHIPS }, // to the lead passenger ("self" = lead)
+  type: { type: String, enum: TRAVELLER_TYPES }, // derived from dateOfBirth on the departure date
+});
+
+const EmergencyContactSchema = new mongoose.Schema(
+  {
+    name: String,
+    relationship: String,
+    phone: String,
+    email: String,
+  },
+  { _id: false }
+);
+
 const CostRowSchema = new mongoose.Schema(
   {
     item: String,
@@ -27,6 +78,7 @@ const CostRowSchema = new mongoose.Schema(
     quantity: Number,
     costPerQty: Number,
     salePerQty: Number,
+    currency: { type: String, uppercase: true, trim: true }, // defaults to the booking currency
   },
   { _id: false }
 );
@@ -36,22 +88,76 @@ const InstallmentItemSchema = new mongoose.Schema(
     no: Number,
     date: String,
     amount: Number,
+    // Derived from ledger payments tagged with this installment (see utils/installments.js)
+    status: { type: String, enum: ["paid", "unpaid"], default: "unpaid" },
+    paidAmount: { type: Number, default: 0 },
+    paidAt: Date,
   },
   { _id: false }
 );
 
+// Payments ledger entry (voided entries are kept, never deleted)
+const PaymentEntrySchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: PAYMENT_METHODS, required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, uppercase: true, trim: true }, // defaults to the booking currency
+    convertedAmount: Number, // amount in the booking currency (rate on payment date)
+    date: { type: Date, default: Date.now },
+    reference: String, // Transaction reference or check number
+    notes: String,
+    installmentNo: Number, // flightPayments.installment.schedule[].no this pays, if any
+    recordedBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    recordedByName: String,
+    voided: { type: Boolean, default: false },
+    voidedAt: Date,
+    voidedBy: { type: mongoose.Schema.Types.ObjectId },
+    voidedByName: String,
+    voidReason: String,
+  },
+  { timestamps: true }
+);
+
+// One entry per lifecycle change (see utils/bookingLifecycle.js)
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, enum: ["status", "approvalStatus"], default: "status" },
+    from: String,
+    to: String,
+    actor: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    actorName: String,
+    actorRole: String,
+    reason: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Plaintext card fields still on bookings not yet migrated by scripts/tokenize-cards.js
+const LEGACY_CARD_FIELDS = ["cardNumber", "cvv", "expiryDate"];
+
+const withoutLegacyCard = (booking) => {
+  LEGACY_CARD_FIELDS.forEach((field) => delete booking[field]);
+  return booking;
+};
+
 const BookingSchema = new mongoose.Schema(
   {
     // ORIGINAL CORE FIELDS (kept)
     customerName: { type: String, required: true },
     customerEmail: { type: String, required: true },
     package: { type: String, required: true },
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: "Package", index: true }, // catalogue entry, if any
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "Group", index: true }, // shared itinerary (utils/groups.js)
+    inquiryId: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry", index: true }, // inquiry it was booked from, if any
     date: { type: Date, required: true },
+    currency: { type: String, default: "USD", uppercase: true, trim: true }, // sale currency
     status: {
       type: String,
-      enum: ["pending", "confirmed", "cancelled"],
+      enum: BOOKING_STATUSES,
       default: "pending",
     },
+    statusHistory: [StatusChangeSchema],
     agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: false },
 
     // LEGACY FIELDS (for backward compatibility)
@@ -69,10 +175,13 @@ const BookingSchema = new mongoose.Schema(
     approvalStatus: String,
     customerGroup: String,
     
-    // Credit card fields (stored at root level)
-    cardNumber: String,
-    expiryDate: String,
-    cvv: String,
+    // Credit card: number + expiry sealed by utils/cardVault.js, CVV never stored.
+    // `encrypted` is only loaded on demand (admin reveal).
+    card: {
+      encrypted: { type: String, select: false },
+      last4: String,
+      brand: String,
+    },
     cardholderName: String,
     
     // Flight class at root level
@@ -115,29 +224,44 @@ const BookingSchema = new mongoose.Schema(
     // PAYMENT TRACKING FIELDS
     paymentReceived: {
       amount: Number,
-      method: { type: String, enum: ['credit_card', 'zelle', 'wire_transfer', 'cash', 'check'] },
+      method: { type: String, enum: PAYMENT_METHODS },
       date: Date,
       reference: String, // Transaction reference or check number
     },
     paymentDue: {
       amount: Number,
-      method: { type: String, enum: ['credit_card', 'zelle', 'wire_transfer', 'cash', 'check'] },
+      method: { type: String, enum: PAYMENT_METHODS },
       dueDate: Date,
       notes: String,
     },
 
+    // PAYMENTS LEDGER (many entries; balance kept in paymentSummary on save).
+    // The stored state is never "overdue": reads derive it from dueDate.
+    payments: [PaymentEntrySchema],
+    paymentSummary: {
+      total: Number,
+      paid: Number,
+      balance: Number,
+      state: { type: String, enum: PAYMENT_STATES },
+      dueDate: Date,
+      lastPaymentAt: Date,
+    },
+
     // NEW FIELDS FROM REVISION
-    pnr: { type: String, minlength: 6, maxlength: 6 }, // optional at DB level; validate in controller when required (legacy single PNR)
-    pnrs: [{ type: String, minlength: 6, maxlength: 6 }], // Multiple PNRs support
+    // PNRs are one set (utils/pnrRegistry.js): `pnrs` holds all, `pnr` mirrors the first
+    pnr: { type: String, minlength: 6, maxlength: 6 }, // legacy single PNR
+    pnrs: { type: [{ type: String, minlength: 6, maxlength: 6 }], index: true },
 
     flights: {
       raw: String,           // pasted text
       itineraryLines: [String],
+      segments: [FlightSegmentSchema], // parsed from raw on save (server-side)
     },
 
     hotels: [
       {
         name: String,
+        city: String,        // "Makkah" / "Madina" (voucher groups hotels by city)
         roomType: String,    // Added roomType field
         checkIn: String,     // store ISO (or use Date if you prefer)
         checkOut: String,
@@ -154,13 +278,27 @@ const BookingSchema = new mongoose.Schema(
       legs: [TransportLegSchema],
     },
 
+    emergencyContacts: [EmergencyContactSchema], // printed on the travel voucher
+
+    // Structured travellers; counts are derived on save (legacy adults/children/passengers follow)
+    travellers: [TravellerSchema],
+    travellerCounts: {
+      adults: Number,
+      children: Number,
+      infants: Number,
+      total: Number,
+    },
+
+    // Totals are computed server-side from rows (utils/costing.js)
     costing: {
       rows: [CostRowSchema],
       totals: {
         totalCost: Number,
         totalSale: Number,
         profit: Number,
+        marginPct: Number,
       },
+      negativeMargin: { type: Boolean, default: false, index: true },
     },
 
     flightPayments: {
@@ -180,7 +318,56 @@ const BookingSchema = new mongoose.Schema(
       },
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      // Never send the sealed card; expose the masked number the UI already shows
+      transform: (_doc, ret) => {
+        withoutLegacyCard(ret);
+        if (ret.card) {
+          delete ret.card.encrypted;
+          if (ret.card.last4) ret.cardNumber = maskCardNumber(ret.card.last4);
+        }
+        return withCurrentPaymentState(ret);
+      },
+    },
+  }
 );
 
+// Booking lists (utils/bookingQuery.js): default sort, per-agent lists, common filters
+BookingSchema.index({ createdAt: -1, _id: -1 });
+BookingSchema.index({ agent: 1, createdAt: -1 });
+BookingSchema.index({ status: 1, departureDate: 1 });
+BookingSchema.index({ departureDate: 1, _id: 1 });
+
+// Keep the denormalised balance in step with the ledger and totals
+BookingSchema.pre("save", function () {
+  if (this.isNew || this.isModified("pnr") || this.isModified("pnrs")) {
+    const pnrs = pnrSet(this);
+    this.pnrs = pnrs;
+    this.pnr = pnrs[0];
+  }
+  if (this.isNew || this.isModified("travellers") || this.isModified("departureDate") || this.isModified("date")) {
+    applyTravellerCounts(this);
+  }
+  reconcileInstallments(this);
+  this.paymentSummary = ledgerSummary(this);
+});
+
+// Lean reads get the same card stripping and derived payment state as toJSON
+BookingSchema.post(["find", "findOne"], function (result) {
+  if (!this.mongooseOptions().lean || !result) return;
+  (Array.isArray(result) ? result : [result]).forEach((b) => withCurrentPaymentState(withoutLegacyCard(b)));
+});
+
+// Deletes go to the trash (hidden from every query until restored or purged)
+BookingSchema.plugin(softDeletePlugin);
+
+// Field-level audit trail (before/after diff + snapshot on every save)
+BookingSchema.plugin(auditPlugin, {
+  entity: "Booking",
+  ignore: ["statusHistory"],
+  redact: ["card.encrypted", ...LEGACY_CARD_FIELDS],
+});
+
 export default mongoose.model("Booking", BookingSchema);
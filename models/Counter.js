@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Named sequences (e.g. "invoice") incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, ...(session ? { session } : {}) }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// 1 `currency` = `rate` `baseCurrency`, effective from `effectiveDate` until the next entry
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, uppercase: true, trim: true, match: /^[A-Z]{3}$/ },
+    baseCurrency: { type: String, required: true, uppercase: true, trim: true, match: /^[A-Z]{3}$/ },
+    rate: { type: Number, required: true, min: 0 },
+    effectiveDate: { type: Date, required: true },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    createdByName: String,
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ baseCurrency: 1, currency: 1, effectiveDate: -1 }, { unique: true });
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+export default ExchangeRate;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const GroupTransportLegSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    vehicleType: { type: String, enum: ["Sedan", "SUV", "GMC", "Coaster", "COSTER", "BUS"] },
+    date: String, // ISO, like booking legs
+    time: String,
+  },
+  { _id: false }
+);
+
+// A party travelling together (utils/groups.js). Members are the bookings whose
+// `group` points here; the sections below are copied onto them on sync.
+const groupSchema = new mongoose.Schema(
+  {
+    groupNumber: { type: String, required: true, unique: true },
+    sequence: { type: Number, required: true },
+    name: { type: String, required: true, trim: true },
+    leader: {
+      name: String,
+      phone: String,
+      email: String,
+    },
+    agent: { type: mongoose.Schema.Types.ObjectId, index: true }, // User or Agent id
+    status: { type: String, enum: ["active", "cancelled"], default: "active", index: true },
+
+    // Shared itinerary
+    departureDate: Date,
+    returnDate: Date,
+    pnrs: [{ type: String, minlength: 6, maxlength: 6 }],
+    flights: {
+      raw: String,
+      itineraryLines: [String],
+      segments: [mongoose.Schema.Types.Mixed], // parsed by utils/gdsParser.js, for display
+    },
+    hotels: [
+      {
+        _id: false,
+        name: String,
+        city: String,
+        roomType: String,
+        checkIn: String,
+        checkOut: String,
+      },
+    ],
+    transportation: {
+      count: Number,
+      legs: [GroupTransportLegSchema],
+    },
+
+    notes: String,
+    lastSyncedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    createdByName: String,
+  },
+  { timestamps: true }
+);
+
+const Group = mongoose.model("Group", groupSchema);
+export default Group;
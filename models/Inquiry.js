@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const responseSchema = new mongoose.Schema(
   {
@@ -27,6 +28,9 @@ const inquirySchema = new mongoose.Schema(
     assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     responses: [responseSchema],
     
+    // Catalogue package (models/Package.js); packageDetails below is filled from it
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: "Package", index: true },
+
     // Package details fields (optional - only for package-specific inquiries)
     packageDetails: {
       packageName: String,
@@ -63,5 +67,8 @@ const inquirySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Deletes go to the trash (hidden from every query until restored or purged)
+inquirySchema.plugin(softDeletePlugin);
+
 const Inquiry = mongoose.model("Inquiry", inquirySchema);
 export default Inquiry;
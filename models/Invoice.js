@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    description: String,
+    quantity: Number,
+    unitPrice: Number,   // sale price, in the invoice currency
+    amount: Number,
+  },
+  { _id: false }
+);
+
+const InvoicePaymentSchema = new mongoose.Schema(
+  {
+    date: Date,
+    method: String,
+    reference: String,
+    amount: Number,      // in the invoice currency
+    originalAmount: Number,
+    originalCurrency: String,
+  },
+  { _id: false }
+);
+
+// An issued customer invoice. Everything needed to print it is copied from the
+// booking at issue time, so re-downloading gives the same document.
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true, unique: true },
+    sequence: { type: Number, required: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" }, // branding used when printing
+    status: { type: String, enum: ["issued", "superseded"], default: "issued" },
+    supersededBy: String, // invoiceNumber of the reissue
+
+    issuedAt: { type: Date, default: Date.now },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    issuedByName: String,
+
+    currency: { type: String, default: "USD" },
+    billTo: {
+      name: String,
+      email: String,
+      phone: String,
+    },
+    trip: {
+      package: String,
+      departureDate: Date,
+      returnDate: Date,
+      pnrs: [String],
+    },
+
+    lines: [InvoiceLineSchema],
+    subtotal: Number,
+    payments: [InvoicePaymentSchema],
+    paid: Number,
+    balanceDue: Number,
+    dueDate: Date,
+    terms: String,
+  },
+  { timestamps: true }
+);
+
+// At most one current invoice per booking
+invoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { status: "issued" }, name: "booking_current_invoice" });
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+export default Invoice;
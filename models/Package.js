@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import { HOLY_CITIES } from "../utils/hotels.js";
+
+const PackageHotelSchema = new mongoose.Schema(
+  {
+    city: { type: String, enum: HOLY_CITIES, required: true },
+    name: { type: String, required: true },
+    stars: Number,
+    distance: String, // e.g. "300 m from Haram"
+  },
+  { _id: false }
+);
+
+const RoomRateSchema = new mongoose.Schema(
+  { single: Number, double: Number, triple: Number, quad: Number },
+  { _id: false }
+);
+
+const PackageTransferSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    vehicleType: String,
+    capacity: { type: Number, min: 1 }, // seats per vehicle
+    cost: { type: Number, min: 0 }, // per vehicle
+  },
+  { _id: false }
+);
+
+// Catalogue entry (utils/packages.js). Bookings and inquiries point at it via `packageId`.
+const packageSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, uppercase: true, trim: true, unique: true, sparse: true },
+    description: String,
+    currency: { type: String, default: "USD", uppercase: true, trim: true, match: /^[A-Z]{3}$/ },
+
+    // Sale price per person by room occupancy; children and infants have their own price
+    pricing: {
+      single: Number,
+      double: Number,
+      triple: Number,
+      quad: Number,
+      child: Number,
+      infant: Number,
+    },
+    nights: {
+      makkah: { type: Number, min: 0, default: 0 },
+      madina: { type: Number, min: 0, default: 0 },
+    },
+    hotels: [PackageHotelSchema],
+    services: {
+      transportation: String,
+      visa: String,
+    },
+    inclusions: {
+      breakfast: { type: Boolean, default: false },
+      dinner: { type: Boolean, default: false },
+      visa: { type: Boolean, default: false },
+      ticket: { type: Boolean, default: false },
+      roundtrip: { type: Boolean, default: false },
+      ziyarat: { type: Boolean, default: false },
+      guide: { type: Boolean, default: false },
+    },
+
+    // Supplier costs the quote engine turns into costing rows (utils/quotes.js)
+    costs: {
+      currency: { type: String, uppercase: true, trim: true, match: /^[A-Z]{3}$/ }, // defaults to `currency`
+      roomNight: { makkah: RoomRateSchema, madina: RoomRateSchema }, // per room per night, by occupancy
+      visaPerPerson: Number,
+      flight: { adult: Number, child: Number, infant: Number },
+      transport: [PackageTransferSchema],
+    },
+
+    // Offered between these dates (open-ended when unset) while active
+    validFrom: Date,
+    validTo: Date,
+    active: { type: Boolean, default: true, index: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    createdByName: String,
+  },
+  { timestamps: true }
+);
+
+const Package = mongoose.model("Package", packageSchema);
+export default Package;
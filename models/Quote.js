@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { OCCUPANCIES } from "../utils/packages.js";
+
+const QuoteRowSchema = new mongoose.Schema(
+  {
+    item: String,
+    label: String,
+    quantity: Number,
+    costPerQty: Number,
+    salePerQty: Number,
+    currency: String,
+  },
+  { _id: false }
+);
+
+const QuoteHotelSchema = new mongoose.Schema(
+  {
+    city: String,
+    name: String,
+    roomType: String,
+    rooms: Number,
+    nights: Number,
+    checkIn: String, // ISO date, like booking hotels
+    checkOut: String,
+  },
+  { _id: false }
+);
+
+// Priced offer built from a package by utils/quotes.js. Accepting it creates the booking.
+const quoteSchema = new mongoose.Schema(
+  {
+    quoteNumber: { type: String, required: true, unique: true },
+    sequence: { type: Number, required: true },
+    package: { type: mongoose.Schema.Types.ObjectId, ref: "Package", required: true },
+    packageName: String,
+    inquiry: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry" },
+    agent: { type: mongoose.Schema.Types.ObjectId, index: true }, // User or Agent id
+
+    customer: {
+      name: { type: String, required: true },
+      email: { type: String, required: true },
+      phone: String,
+    },
+    departureDate: { type: Date, required: true },
+    returnDate: Date,
+    occupancy: { type: String, enum: OCCUPANCIES, required: true },
+    pax: {
+      adults: { type: Number, min: 1, required: true },
+      children: { type: Number, min: 0, default: 0 },
+      infants: { type: Number, min: 0, default: 0 },
+    },
+    rooms: Number,
+    hotels: [QuoteHotelSchema],
+
+    currency: { type: String, default: "USD" },
+    costing: {
+      rows: [QuoteRowSchema],
+      totals: {
+        totalCost: Number,
+        totalSale: Number,
+        profit: Number,
+        marginPct: Number,
+      },
+      negativeMargin: Boolean,
+      // Exchange rates used for rows in another currency (units of `currency` per 1),
+      // reused when the quote is accepted
+      rates: { type: Map, of: Number },
+      ratesDate: Date,
+    },
+
+    validUntil: Date,
+    notes: String,
+    status: { type: String, enum: ["open", "accepted", "cancelled"], default: "open", index: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }, // set on accept
+    acceptedAt: Date,
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    createdByName: String,
+  },
+  { timestamps: true }
+);
+
+const Quote = mongoose.model("Quote", quoteSchema);
+export default Quote;
@@ -6,7 +6,7 @@ const userSchema = new mongoose.Schema(
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     passwordHash: { type: String, required: true },
-    role: { type: String, enum: ["admin", "agent"], default: "agent" },
+    role: { type: String, enum: ["admin", "agent", "visa"], default: "agent" }, // "visa": visa processing team
     phone: { type: String },
     isActive: { type: Boolean, default: true },
   },
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { VISA_STATUSES, VISA_TYPES } from "../utils/visaApplications.js";
+
+const VisaStatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: VISA_STATUSES },
+    to: { type: String, enum: VISA_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    byName: String,
+    note: String,
+  },
+  { _id: false }
+);
+
+// One per traveller of a booking (utils/visaApplications.js), worked by the visa team
+const visaApplicationSchema = new mongoose.Schema(
+  {
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    travellerId: { type: mongoose.Schema.Types.ObjectId, required: true }, // booking.travellers[]._id
+
+    // Traveller as submitted (refreshed from the booking on submission)
+    travellerName: { type: String, required: true },
+    passportNumber: String,
+    nationality: String,
+
+    visaType: { type: String, enum: VISA_TYPES, default: "Umrah" },
+    status: { type: String, enum: VISA_STATUSES, default: "documents-pending", index: true },
+    statusHistory: [VisaStatusChangeSchema],
+
+    visaNumber: { type: String, trim: true },
+    issueDate: Date,
+    expiryDate: Date,
+    submittedAt: Date,
+    decidedAt: Date, // approved or rejected
+    notes: String,
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId }, // User or Agent id
+    createdByName: String,
+  },
+  { timestamps: true }
+);
+
+visaApplicationSchema.index({ booking: 1, travellerId: 1 }, { unique: true });
+
+const VisaApplication = mongoose.model("VisaApplication", visaApplicationSchema);
+export default VisaApplication;
@@ -10,9 +10,13 @@ const companySchema = new mongoose.Schema(
     phone: { type: String },
     address: { type: String },
 
-    // Branding (optional)
+    // Reporting currency (exchange rates are stored against it)
+    baseCurrency: { type: String, default: "USD", uppercase: true, trim: true },
+
+    // Branding (optional) — used by every generated PDF (utils/branding.js)
+    tagline: { type: String },
     primaryColor: { type: String, default: "#0ea5e9" },
-    logoUrl: { type: String },
+    logoUrl: { type: String }, // path under BRANDING_DIR, e.g. "logos/mustafa.png"
 
     isActive: { type: Boolean, default: true }
   },
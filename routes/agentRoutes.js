@@ -24,7 +24,7 @@ router.post("/login", loginAgent);
 router.post("/register", protect, admin, registerAgent);
 
 // Team performance (admin-only, no company requirement for single-tenant)
-router.get("/performance", protect, admin, getAgentPerformance);
+router.get("/performance", protect, admin, ensureCompany(false), getAgentPerformance);
 
 /** ---------- Validate :id once for all dynamic routes ---------- **/
 router.param("id", (req, res, next, id) => {
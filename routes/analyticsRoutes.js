@@ -1,9 +1,10 @@
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
 import { getAdminAnalytics } from "../controllers/analyticsController.js";
 
 const router = express.Router();
 
-router.get("/", protect, getAdminAnalytics);
+router.get("/", protect, ensureCompany(false), getAdminAnalytics);
 
 export default router;
@@ -0,0 +1,11 @@
+// routes/auditRoutes.js
+import express from "express";
+import { getAuditLogs } from "../controllers/auditController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/audit -> search audit entries (admin)
+router.get("/", protect, admin, getAuditLogs);
+
+export default router;
@@ -8,35 +8,123 @@ import {
   deleteBooking,
   getMyBookings,
   getBookingPdf, // <-- make sure this is exported from your controller
+  getBookingVoucherPdf,
+  parseItineraryPreview,
+  getBookingsByPnr,
+  exportBookings,
   approveBooking,
   rejectBooking,
+  changeBookingStatus,
+  getBookingHistory,
+  revealBookingCard,
 } from "../controllers/bookingController.js";
+import { getBookingAudit, revertBooking } from "../controllers/auditController.js";
+import {
+  getPayments,
+  addPayment,
+  voidPayment,
+  getOverdueInstallments,
+} from "../controllers/paymentController.js";
+import {
+  getBookingInvoicePdf,
+  issueBookingInvoice,
+  reissueBookingInvoice,
+  getBookingInvoices,
+} from "../controllers/invoiceController.js";
+import { getImportTemplate, importBookings } from "../controllers/importController.js";
+import { getBookingDocuments, getDocumentIssues } from "../controllers/travelDocumentController.js";
+import { getRoomingList } from "../controllers/roomingListController.js";
+import {
+  getBookingVisaApplications,
+  openBookingVisaApplications,
+} from "../controllers/visaController.js";
 import { protect, admin } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
 
 const router = express.Router();
 
 // /api/bookings
 router
   .route("/")
-  .post(protect, createBooking)      // create booking (agent/admin)
+  .post(protect, ensureCompany(false), createBooking) // create booking (agent/admin)
   .get(protect, admin, getBookings); // admin: list all bookings
 
 // /api/bookings/my  -> bookings for logged-in agent
 router.get("/my", protect, getMyBookings);
 
+// /api/bookings/installments/overdue -> unpaid installments past due (accounts)
+router.get("/installments/overdue", protect, admin, getOverdueInstallments);
+
+// /api/bookings/document-issues -> upcoming departures with passport/visa problems
+router.get("/document-issues", protect, getDocumentIssues);
+
+// /api/bookings/rooming-list -> guests per room for one hotel and date range (JSON/CSV/PDF)
+router.get("/rooming-list", protect, ensureCompany(false), getRoomingList);
+
+// /api/bookings/export -> CSV/XLSX download (same filters as the list)
+router.get("/export", protect, exportBookings);
+
+// /api/bookings/import -> CSV/XLSX upload (raw body); dry run unless ?dryRun=false
+const spreadsheetBody = express.raw({
+  type: ["text/csv", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/octet-stream"],
+  limit: "5mb",
+});
+router.get("/import/template", protect, getImportTemplate);
+router.post("/import", protect, ensureCompany(false), spreadsheetBody, importBookings);
+
+// /api/bookings/by-pnr/:pnr -> quick lookup (airport desk)
+router.get("/by-pnr/:pnr", protect, getBookingsByPnr);
+
+// /api/bookings/itinerary/parse -> preview parsed GDS segments (nothing saved)
+router.post("/itinerary/parse", protect, parseItineraryPreview);
+
 // IMPORTANT: define this BEFORE the /:id block
 // /api/bookings/:id/pdf -> download booking PDF
-router.get("/:id/pdf", protect, getBookingPdf);
+router.get("/:id/pdf", protect, ensureCompany(false), getBookingPdf);
+
+// /api/bookings/:id/voucher.pdf -> printable travel voucher (no financial data)
+router.get("/:id/voucher.pdf", protect, ensureCompany(false), getBookingVoucherPdf);
+
+// /api/bookings/:id/invoice -> issue the customer invoice; invoice.pdf downloads it (no cost/profit data)
+router.post("/:id/invoice", protect, ensureCompany(false), issueBookingInvoice);
+router.get("/:id/invoice.pdf", protect, ensureCompany(false), getBookingInvoicePdf);
+router.get("/:id/invoices", protect, getBookingInvoices);
+
+// /api/bookings/:id/documents -> passport validity / age checks for the travellers
+router.get("/:id/documents", protect, getBookingDocuments);
+
+// /api/bookings/:id/visa-applications -> per-traveller visa processing + readiness
+router
+  .route("/:id/visa-applications")
+  .get(protect, getBookingVisaApplications)   // owner, admin or visa team
+  .post(protect, openBookingVisaApplications); // opens applications for travellers without one
+
+// /api/bookings/:id/history -> lifecycle transitions (who/when/why)
+router.get("/:id/history", protect, getBookingHistory);
+
+// /api/bookings/:id/audit -> field-level change log (admin)
+router.get("/:id/audit", protect, admin, getBookingAudit);
 
 // /api/bookings/:id -> get/update/delete a single booking
 router
   .route("/:id")
   .get(protect, getBookingById) // admin or owner
-  .put(protect, updateBooking)  // admin or owner
+  .put(protect, ensureCompany(false), updateBooking) // admin or owner
   .delete(protect, deleteBooking); // admin or owner
 
 // Approve/Reject routes (must come AFTER /:id routes to avoid conflicts)
 router.put("/:id/approve", protect, admin, approveBooking);
 router.put("/:id/reject", protect, admin, rejectBooking);
+router.put("/:id/status", protect, changeBookingStatus); // owner or admin (checked in controller)
+router.post("/:id/revert/:auditId", protect, admin, revertBooking);
+router.post("/:id/invoice/reissue", protect, admin, ensureCompany(false), reissueBookingInvoice);
+router.post("/:id/card/reveal", protect, admin, revealBookingCard); // audited
+
+// Payments ledger
+router
+  .route("/:id/payments")
+  .get(protect, getPayments)  // admin or owner
+  .post(protect, ensureCompany(false), addPayment); // admin or owner
+router.post("/:id/payments/:paymentId/void", protect, admin, voidPayment);
 
 export default router;
@@ -0,0 +1,17 @@
+// routes/dispatchRoutes.js
+import express from "express";
+import { getDispatch, getManifestPdf } from "../controllers/dispatchController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
+
+const router = express.Router();
+
+router.use(protect, admin);
+
+// /api/dispatch?date= -> legs of the day, capacity checks, shared-vehicle suggestions
+router.get("/", getDispatch);
+
+// /api/dispatch/manifest.pdf?date=&legs= -> driver manifest for one vehicle
+router.get("/manifest.pdf", ensureCompany(false), getManifestPdf);
+
+export default router;
@@ -0,0 +1,38 @@
+// routes/exchangeRateRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  convertAmount,
+} from "../controllers/exchangeRateController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
+
+const router = express.Router();
+
+// Base currency comes from the company (optional context, falls back to default company)
+router.use(protect, ensureCompany(false));
+
+router.get("/convert", convertAmount);
+
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid exchange rate id" });
+  }
+  next();
+});
+
+router
+  .route("/")
+  .get(admin, getExchangeRates)
+  .post(admin, createExchangeRate);
+
+router
+  .route("/:id")
+  .put(admin, updateExchangeRate)
+  .delete(admin, deleteExchangeRate);
+
+export default router;
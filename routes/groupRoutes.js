@@ -0,0 +1,47 @@
+// routes/groupRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMembers,
+  removeGroupMember,
+  syncGroup,
+  getGroupSummary,
+} from "../controllers/groupController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid group id" });
+  }
+  next();
+});
+
+router.route("/").get(getGroups).post(createGroup);
+
+router
+  .route("/:id")
+  .get(getGroupById)
+  .put(updateGroup)
+  .delete(deleteGroup);
+
+// Members: adding copies the group itinerary onto the booking
+router.post("/:id/members", addGroupMembers);
+router.delete("/:id/members/:bookingId", removeGroupMember);
+
+// Push the shared itinerary to every member again
+router.post("/:id/sync", syncGroup);
+
+// Consolidated totals in the company base currency
+router.get("/:id/summary", ensureCompany(false), getGroupSummary);
+
+export default router;
@@ -0,0 +1,37 @@
+// routes/packageRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import {
+  getPackages,
+  getPublicPackages,
+  getPackageById,
+  createPackage,
+  updatePackage,
+  deletePackage,
+} from "../controllers/packageController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Public: packages currently offered (used by the external inquiry form)
+router.get("/public", getPublicPackages);
+
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid package id" });
+  }
+  next();
+});
+
+router
+  .route("/")
+  .get(protect, getPackages)
+  .post(protect, admin, createPackage);
+
+router
+  .route("/:id")
+  .get(protect, getPackageById)
+  .put(protect, admin, updatePackage)
+  .delete(protect, admin, deletePackage);
+
+export default router;
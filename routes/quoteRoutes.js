@@ -0,0 +1,33 @@
+// routes/quoteRoutes.js
+import express from "express";
+import {
+  previewQuote,
+  createQuote,
+  getQuotes,
+  getQuoteById,
+  getQuotePdf,
+  acceptQuote,
+  cancelQuote,
+} from "../controllers/quoteController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Price only (cost rows and margin included); nothing is saved
+router.post("/preview", ensureCompany(false), previewQuote);
+
+router.route("/").get(getQuotes).post(ensureCompany(false), createQuote);
+
+router.get("/:id", getQuoteById);
+
+// /api/quotes/:id/pdf -> customer quote (no cost/margin data)
+router.get("/:id/pdf", ensureCompany(false), getQuotePdf);
+
+// Accepting creates the booking from the quote
+router.post("/:id/accept", ensureCompany(false), acceptQuote);
+router.post("/:id/cancel", cancelQuote);
+
+export default router;
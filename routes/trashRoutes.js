@@ -0,0 +1,16 @@
+// routes/trashRoutes.js
+import express from "express";
+import { getTrash, restoreFromTrash } from "../controllers/trashController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect, admin);
+
+// /api/trash -> deleted bookings/inquiries (purged after TRASH_RETENTION_DAYS)
+router.get("/", getTrash);
+
+// /api/trash/bookings/:id/restore, /api/trash/inquiries/:id/restore
+router.post("/:type/:id/restore", restoreFromTrash);
+
+export default router;
@@ -0,0 +1,31 @@
+// routes/visaRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import {
+  getVisaQueue,
+  getVisaApplication,
+  updateVisaApplication,
+} from "../controllers/visaController.js";
+import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { VISA_ROLES } from "../utils/visaApplications.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid visa application id" });
+  }
+  next();
+});
+
+// /api/visa-applications/queue -> open applications, soonest departure first (visa team)
+router.get("/queue", authorizeRoles(...VISA_ROLES), getVisaQueue);
+
+router
+  .route("/:id")
+  .get(getVisaApplication) // visa team, admin or booking owner
+  .put(authorizeRoles(...VISA_ROLES), updateVisaApplication);
+
+export default router;
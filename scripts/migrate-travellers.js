@@ -0,0 +1,75 @@
+// scripts/migrate-travellers.js
+//
+// Build `travellers` for existing bookings from the legacy fields
+// (visas.passengers, visa.passportNumber / nationality) and derive
+// `travellerCounts`. Bookings that already have travellers are left alone, and
+// the legacy adults/children/passengers strings are not touched.
+// Bookings whose legacy head count is larger than the migrated list are reported
+// for review (the missing people have to be added by hand).
+// Usage: node scripts/migrate-travellers.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { countTravellers, legacyTravellers, travelReferenceDate, travellerType } from "../utils/travellers.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const headCount = (b) => {
+  const total = (Number(b.adults) || 0) + (Number(b.children) || 0);
+  return total || Number(b.passengers) || 0;
+};
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  await mongoose.connect(uri);
+
+  const bookings = mongoose.connection.db.collection("bookings");
+  const cursor = bookings.find(
+    { "travellers.0": { $exists: false } },
+    {
+      projection: {
+        customerName: 1,
+        date: 1,
+        departureDate: 1,
+        adults: 1,
+        children: 1,
+        passengers: 1,
+        visa: 1,
+        "visas.passengers": 1,
+      },
+    }
+  );
+
+  let checked = 0;
+  let migrated = 0;
+  let review = 0;
+  for await (const b of cursor) {
+    checked++;
+    const travellers = legacyTravellers(b);
+    if (travellers.length === 0) continue;
+
+    const onDate = travelReferenceDate(b);
+    travellers.forEach((t) => {
+      t._id = new mongoose.Types.ObjectId();
+      t.type = travellerType(t, onDate);
+    });
+    const travellerCounts = countTravellers(travellers, onDate);
+
+    if (headCount(b) > travellers.length) {
+      review++;
+      console.warn(`⚠️  Booking ${b._id} (${b.customerName}): ${headCount(b)} passengers on record, ${travellers.length} named`);
+    }
+
+    migrated++;
+    if (dryRun) continue;
+    await bookings.updateOne({ _id: b._id }, { $set: { travellers, travellerCounts } });
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}✅ Checked ${checked}, migrated ${migrated}, needs review ${review}`);
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
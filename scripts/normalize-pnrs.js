@@ -0,0 +1,64 @@
+// scripts/normalize-pnrs.js
+//
+// Bring existing bookings to the single PNR set (`pnrs` = all, `pnr` = first)
+// and list PNRs shared by more than one active booking.
+// Usage: node scripts/normalize-pnrs.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { INACTIVE_STATUSES, isValidPnr, pnrSet } from "../utils/pnrRegistry.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  await mongoose.connect(uri);
+
+  const bookings = mongoose.connection.db.collection("bookings");
+  const cursor = bookings.find(
+    { $or: [{ pnr: { $nin: [null, ""] } }, { "pnrs.0": { $exists: true } }] },
+    { projection: { pnr: 1, pnrs: 1, status: 1, customerName: 1 } }
+  );
+
+  let checked = 0;
+  let updated = 0;
+  let invalid = 0;
+  const holders = new Map(); // pnr -> active booking ids
+
+  for await (const b of cursor) {
+    checked++;
+    const all = pnrSet(b);
+    const pnrs = all.filter(isValidPnr);
+    if (pnrs.length !== all.length) {
+      invalid++;
+      console.warn(`⚠️  Booking ${b._id} (${b.customerName}): dropping invalid PNRs ${all.filter((p) => !isValidPnr(p)).join(", ")}`);
+    }
+
+    if (!INACTIVE_STATUSES.includes(b.status)) {
+      pnrs.forEach((p) => holders.set(p, [...(holders.get(p) || []), b._id]));
+    }
+
+    if (sameList(pnrs, b.pnrs) && b.pnr === pnrs[0]) continue;
+    updated++;
+    if (dryRun) continue;
+    await bookings.updateOne(
+      { _id: b._id },
+      pnrs.length > 0 ? { $set: { pnrs, pnr: pnrs[0] } } : { $set: { pnrs: [] }, $unset: { pnr: "" } }
+    );
+  }
+
+  const duplicates = [...holders].filter(([, ids]) => ids.length > 1);
+  duplicates.forEach(([pnr, ids]) => console.log(`🔁 ${pnr}: ${ids.join(", ")}`));
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}✅ Checked ${checked}, updated ${updated}, invalid ${invalid}, duplicate PNRs ${duplicates.length}`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
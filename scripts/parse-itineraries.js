@@ -0,0 +1,50 @@
+// scripts/parse-itineraries.js
+//
+// Parse flights.raw into flights.segments for bookings saved before the GDS
+// parser existed, so PDFs and route reports use real segments.
+// Usage: node scripts/parse-itineraries.js [--dry-run] [--all]
+//   --all  re-parse bookings that already have segments
+import "dotenv/config";
+import mongoose from "mongoose";
+import { parseItinerary } from "../utils/gdsParser.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const all = process.argv.includes("--all");
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  await mongoose.connect(uri);
+
+  const bookings = mongoose.connection.db.collection("bookings");
+  const filter = { "flights.raw": { $nin: [null, ""] } };
+  if (!all) filter["flights.segments.0"] = { $exists: false };
+  const cursor = bookings.find(filter, { projection: { "flights.raw": 1, date: 1, createdAt: 1 } });
+
+  let checked = 0;
+  let updated = 0;
+  let empty = 0;
+
+  for await (const b of cursor) {
+    checked++;
+    // GDS dates have no year: resolve them against when the booking was made
+    const { segments, unparsed } = parseItinerary(b.flights.raw, { referenceDate: b.date || b.createdAt });
+    if (segments.length === 0) {
+      empty++;
+      console.warn(`⚠️  Booking ${b._id}: no segments recognised (${unparsed.length} lines)`);
+      continue;
+    }
+
+    updated++;
+    if (dryRun) continue;
+    await bookings.updateOne({ _id: b._id }, { $set: { "flights.segments": segments } });
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}✅ Checked ${checked}, updated ${updated}, no segments ${empty}`);
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// scripts/purge-trash.js
+//
+// Permanently remove bookings and inquiries that have been in the trash for
+// longer than TRASH_RETENTION_DAYS (utils/softDelete.js), together with the
+// visa applications of the purged bookings. Invoices are kept as issued.
+// Each purge is recorded in the audit log. Run it daily (cron).
+// Usage: node scripts/purge-trash.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { recordAudit } from "../utils/auditTrail.js";
+import { TRASH_RETENTION_DAYS } from "../utils/softDelete.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const DAY_MS = 86400000;
+
+// collection -> AuditLog entity
+const TARGETS = { bookings: "Booking", inquiries: "Inquiry" };
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  await mongoose.connect(uri);
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const db = mongoose.connection.db;
+  const totals = {};
+
+  for (const [name, entity] of Object.entries(TARGETS)) {
+    const collection = db.collection(name);
+    const expired = await collection
+      .find(
+        { deleted: true, deletedAt: { $lte: cutoff } },
+        { projection: { customerName: 1, deletedAt: 1, deletedBy: 1, deletedByName: 1 } }
+      )
+      .toArray();
+    totals[name] = expired.length;
+    if (dryRun || expired.length === 0) continue;
+
+    const ids = expired.map((d) => d._id);
+    if (name === "bookings") {
+      const { deletedCount } = await db.collection("visaapplications").deleteMany({ booking: { $in: ids } });
+      if (deletedCount > 0) console.log(`🗑️  Removed ${deletedCount} visa application(s) of purged bookings`);
+    }
+    await collection.deleteMany({ _id: { $in: ids }, deleted: true });
+
+    for (const d of expired) {
+      await recordAudit({
+        entity,
+        entityId: d._id,
+        action: "purge",
+        meta: {
+          customerName: d.customerName,
+          deletedAt: d.deletedAt,
+          deletedBy: d.deletedBy,
+          deletedByName: d.deletedByName,
+          retentionDays: TRASH_RETENTION_DAYS,
+        },
+      });
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}✅ Purged ${totals.bookings} booking(s) and ${totals.inquiries} inquiry(ies) deleted before ${cutoff.toISOString()}`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+// scripts/recalculate-costing.js
+//
+// Recompute costing.totals from costing.rows for existing bookings so profit
+// reports agree with the rows. Rows in another currency are converted as on save,
+// and the stored paymentSummary follows the new sale total (the update goes
+// around the model's save hook). Every corrected booking gets an audit entry.
+// Usage: node scripts/recalculate-costing.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { ledgerSummary } from "../utils/bookingLedger.js";
+import { computeCostingTotals, findTotalsMismatches, normalizeCostingRows } from "../utils/costing.js";
+import { buildCostingConverter } from "../utils/currency.js";
+import { recordAudit } from "../utils/auditTrail.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  await mongoose.connect(uri);
+
+  // Raw collection so legacy documents that no longer pass validation are still fixed
+  const bookings = mongoose.connection.db.collection("bookings");
+  const cursor = bookings.find(
+    { "costing.rows.0": { $exists: true } },
+    {
+      projection: {
+        costing: 1,
+        customerName: 1,
+        currency: 1,
+        date: 1,
+        // ledgerSummary inputs
+        payments: 1,
+        totalAmount: 1,
+        amount: 1,
+        paymentReceived: 1,
+        paymentDue: 1,
+        departureDate: 1,
+      },
+    }
+  );
+
+  let checked = 0;
+  let fixed = 0;
+  let invalid = 0;
+  let negative = 0;
+
+  for await (const b of cursor) {
+    checked++;
+    let rows;
+    let convert;
+    try {
+      rows = normalizeCostingRows(b.costing.rows);
+      convert = await buildCostingConverter(rows, b.currency, b.date);
+    } catch (e) {
+      invalid++;
+      console.warn(`⚠️  Booking ${b._id} (${b.customerName}): ${e.message} - skipped`);
+      continue;
+    }
+
+    const totals = computeCostingTotals(rows, convert);
+    const negativeMargin = totals.profit < 0;
+    if (negativeMargin) negative++;
+
+    const mismatches = findTotalsMismatches(b.costing.totals || {}, totals);
+    const needsUpdate =
+      mismatches.length > 0 ||
+      b.costing.totals?.marginPct !== totals.marginPct ||
+      Boolean(b.costing.negativeMargin) !== negativeMargin ||
+      b.costing.totals?.totalCost === undefined ||
+      b.costing.totals?.totalSale === undefined;
+    if (!needsUpdate) continue;
+
+    fixed++;
+    mismatches.forEach((m) =>
+      console.log(`   ${b._id} ${m.field}: ${m.sent} -> ${m.computed}`)
+    );
+    if (dryRun) continue;
+
+    await bookings.updateOne(
+      { _id: b._id },
+      {
+        $set: {
+          "costing.rows": rows,
+          "costing.totals": totals,
+          "costing.negativeMargin": negativeMargin,
+          paymentSummary: ledgerSummary({ ...b, costing: { ...b.costing, totals } }),
+        },
+      }
+    );
+    await recordAudit({
+      entity: "Booking",
+      entityId: b._id,
+      action: "costing_recalc",
+      changes: mismatches.map((m) => ({ path: `costing.totals.${m.field}`, before: m.sent, after: m.computed })),
+      meta: { script: "recalculate-costing" },
+    });
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}✅ Checked ${checked}, updated ${fixed}, invalid ${invalid}, negative margin ${negative}`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
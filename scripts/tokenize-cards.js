@@ -0,0 +1,87 @@
+// scripts/tokenize-cards.js
+//
+// One-off migration: seal plaintext card data already stored on bookings.
+//   cardNumber + expiryDate  -> card { encrypted, last4, brand }
+//   cvv                      -> removed
+// Audit entries that captured the plaintext fields have them removed as well.
+// Usage: node scripts/tokenize-cards.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { sealCard } from "../utils/cardVault.js";
+import { recordAudit } from "../utils/auditTrail.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const PLAINTEXT_FIELDS = ["cardNumber", "cvv", "expiryDate"];
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error("MONGO_URI/MONGODB_URI missing");
+  if (!process.env.CARD_VAULT_KEY) throw new Error("CARD_VAULT_KEY missing");
+  await mongoose.connect(uri);
+
+  // Raw collection: the Booking model no longer knows the plaintext fields
+  const bookings = mongoose.connection.db.collection("bookings");
+  const cursor = bookings.find(
+    { $or: [{ cardNumber: { $exists: true } }, { cvv: { $exists: true } }, { expiryDate: { $exists: true } }] },
+    { projection: { cardNumber: 1, expiryDate: 1, cvv: 1, card: 1 } }
+  );
+
+  let sealed = 0;
+  let cleared = 0;
+  let failed = 0;
+
+  for await (const b of cursor) {
+    const update = { $unset: Object.fromEntries(PLAINTEXT_FIELDS.map((field) => [field, ""])) };
+    const digits = String(b.cardNumber || "").replace(/\D/g, "");
+
+    try {
+      if (digits && !b.card?.encrypted) {
+        update.$set = { card: sealCard({ number: digits, expiryDate: b.expiryDate }) };
+        sealed++;
+      } else {
+        cleared++;
+      }
+
+      if (!dryRun) {
+        await bookings.updateOne({ _id: b._id }, update);
+        await recordAudit({
+          entity: "Booking",
+          entityId: b._id,
+          action: "card_tokenize",
+          meta: { script: "tokenize-cards", last4: update.$set?.card.last4 },
+        });
+      }
+    } catch (e) {
+      failed++;
+      console.error(`❌ Booking ${b._id}: ${e.message}`);
+    }
+  }
+
+  // Snapshots and diffs recorded before these fields were redacted
+  const auditLogs = mongoose.connection.db.collection("auditlogs");
+  const auditFilter = {
+    entity: "Booking",
+    $or: [
+      ...PLAINTEXT_FIELDS.map((field) => ({ [`snapshot.${field}`]: { $exists: true } })),
+      { "changes.path": { $in: PLAINTEXT_FIELDS } },
+    ],
+  };
+  const scrubbed = dryRun
+    ? await auditLogs.countDocuments(auditFilter)
+    : (
+        await auditLogs.updateMany(auditFilter, {
+          $unset: Object.fromEntries(PLAINTEXT_FIELDS.map((field) => [`snapshot.${field}`, ""])),
+          $pull: { changes: { path: { $in: PLAINTEXT_FIELDS } }, fields: { $in: PLAINTEXT_FIELDS } },
+        })
+      ).modifiedCount;
+
+  console.log(`${dryRun ? "[dry run] " : ""}✅ Sealed ${sealed}, cleared ${cleared}, failed ${failed}`);
+  console.log(`${dryRun ? "[dry run] " : ""}✅ Scrubbed card fields from ${scrubbed} audit entries`);
+  await mongoose.disconnect();
+};
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -15,6 +15,14 @@ import bookingRoutes from "./routes/bookingRoutes.js";
 import inquiryRoutes from "./routes/inquiryRoutes.js";
 import agentRoutes from "./routes/agentRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import packageRoutes from "./routes/packageRoutes.js";
+import quoteRoutes from "./routes/quoteRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import dispatchRoutes from "./routes/dispatchRoutes.js";
+import visaRoutes from "./routes/visaRoutes.js";
+import trashRoutes from "./routes/trashRoutes.js";
 
 dotenv.config();
 await connectDB();
@@ -54,6 +62,7 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,Expires,Cache-Control,Pragma,x-company-id');
+    res.setHeader('Access-Control-Expose-Headers', 'X-List-Truncated');
     res.setHeader('Vary', 'Origin');
     
     // Handle preflight requests
@@ -186,6 +195,14 @@ app.use("/api/bookings", bookingRoutes);
 app.use("/api/inquiries", inquiryRoutes);
 app.use("/api/agent", agentRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/packages", packageRoutes);
+app.use("/api/quotes", quoteRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/dispatch", dispatchRoutes);
+app.use("/api/visa-applications", visaRoutes);
+app.use("/api/trash", trashRoutes);
 
 const PORT = Number(process.env.PORT) || 7000;
 
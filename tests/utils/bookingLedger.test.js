@@ -0,0 +1,96 @@
+import {
+  activePayments,
+  bookingTotal,
+  currentPaymentState,
+  ledgerSummary,
+  summarizePayments,
+  withCurrentPaymentState,
+} from "../../utils/bookingLedger.js";
+
+const NOW = new Date("2026-05-01T00:00:00Z");
+
+describe("bookingTotal", () => {
+  test("prefers the costing sale total, then totalAmount, then amount", () => {
+    expect(bookingTotal({ costing: { totals: { totalSale: 1200.555 } }, totalAmount: 900 })).toBe(1200.56);
+    expect(bookingTotal({ costing: { totals: { totalSale: 0 } }, totalAmount: 900, amount: 800 })).toBe(900);
+    expect(bookingTotal({ amount: "750" })).toBe(750);
+    expect(bookingTotal(undefined)).toBe(0);
+  });
+});
+
+describe("activePayments", () => {
+  test("drops voided entries", () => {
+    const payments = [{ amount: 100 }, { amount: 50, voided: true }];
+    expect(activePayments({ payments })).toEqual([{ amount: 100 }]);
+  });
+});
+
+describe("summarizePayments", () => {
+  const booking = (extra) => ({ totalAmount: 1000, departureDate: new Date("2026-06-01"), ...extra });
+
+  test("sums non-voided ledger entries and keeps the latest payment date", () => {
+    const summary = summarizePayments(
+      booking({
+        payments: [
+          { amount: 300, date: new Date("2026-02-01") },
+          { amount: 200.005, date: new Date("2026-03-01") },
+          { amount: 500, date: new Date("2026-04-01"), voided: true },
+        ],
+      }),
+      NOW
+    );
+    expect(summary).toEqual({
+      total: 1000,
+      paid: 500.01,
+      balance: 499.99,
+      state: "partially-paid",
+      dueDate: new Date("2026-06-01"),
+      lastPaymentAt: new Date("2026-03-01"),
+    });
+  });
+
+  test("counts payments in another currency at their converted amount", () => {
+    const summary = summarizePayments(booking({ payments: [{ amount: 100, currency: "EUR", convertedAmount: 400 }] }), NOW);
+    expect(summary).toMatchObject({ paid: 400, balance: 600 });
+  });
+
+  test("falls back to the legacy paymentReceived without ledger entries", () => {
+    const summary = summarizePayments(
+      booking({ paymentReceived: { amount: 1000, date: new Date("2026-01-10") } }),
+      NOW
+    );
+    expect(summary).toMatchObject({ paid: 1000, balance: 0, state: "paid", lastPaymentAt: new Date("2026-01-10") });
+  });
+
+  test("is unpaid with nothing received and overdue once the due date passes", () => {
+    expect(summarizePayments(booking(), NOW).state).toBe("unpaid");
+    const late = booking({ paymentDue: { dueDate: new Date("2026-04-15") }, payments: [{ amount: 10 }] });
+    expect(summarizePayments(late, NOW)).toMatchObject({ state: "overdue", dueDate: new Date("2026-04-15") });
+  });
+
+  test("an overpaid booking is paid, never overdue", () => {
+    const summary = summarizePayments(booking({ departureDate: new Date("2026-01-01"), payments: [{ amount: 1100 }] }), NOW);
+    expect(summary).toMatchObject({ balance: -100, state: "paid" });
+  });
+});
+
+describe("stored summary and current state", () => {
+  const booking = { totalAmount: 1000, paymentDue: { dueDate: new Date("2026-04-15") }, payments: [{ amount: 400 }] };
+
+  test("ledgerSummary never stores overdue", () => {
+    expect(ledgerSummary(booking)).toMatchObject({ paid: 400, balance: 600, state: "partially-paid" });
+  });
+
+  test("currentPaymentState derives overdue from the due date at read time", () => {
+    const stored = ledgerSummary(booking);
+    expect(currentPaymentState(stored, new Date("2026-04-01"))).toBe("partially-paid");
+    expect(currentPaymentState(stored, NOW)).toBe("overdue");
+    expect(currentPaymentState({ total: 1000, paid: 1000, balance: 0, dueDate: "2026-01-01" }, NOW)).toBe("paid");
+  });
+
+  test("withCurrentPaymentState refreshes a stored summary in place", () => {
+    const doc = { paymentSummary: ledgerSummary(booking) };
+    expect(withCurrentPaymentState(doc, NOW).paymentSummary.state).toBe("overdue");
+    expect(withCurrentPaymentState({}, NOW)).toEqual({});
+  });
+});
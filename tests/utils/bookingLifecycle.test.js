@@ -0,0 +1,85 @@
+import {
+  allowedTransitions,
+  canTransition,
+  initialHistoryEntry,
+  transitionBooking,
+} from "../../utils/bookingLifecycle.js";
+
+const admin = { _id: "u1", name: "Admin", role: "admin" };
+const agent = { _id: "u2", name: "Agent", role: "agent" };
+
+describe("allowedTransitions / canTransition", () => {
+  test("lists the next statuses, treating a missing status as pending", () => {
+    expect(allowedTransitions("draft")).toEqual(["pending", "cancelled"]);
+    expect(allowedTransitions(undefined)).toEqual(["approved", "confirmed", "cancelled"]);
+    expect(allowedTransitions("cancelled")).toEqual([]);
+  });
+
+  test("uses the approval table for approvalStatus", () => {
+    expect(canTransition("rejected", "approved", "approvalStatus")).toBe(true);
+    expect(canTransition("ticketed", "confirmed")).toBe(false);
+  });
+});
+
+describe("transitionBooking", () => {
+  test("moves the status and records who, from, to and why", () => {
+    const booking = { status: "pending" };
+    expect(transitionBooking(booking, "approved", { actor: admin, reason: "Docs checked" })).toBe(true);
+    expect(booking.status).toBe("approved");
+    expect(booking.statusHistory).toEqual([
+      expect.objectContaining({
+        field: "status",
+        from: "pending",
+        to: "approved",
+        actor: "u1",
+        actorName: "Admin",
+        actorRole: "admin",
+        reason: "Docs checked",
+        at: expect.any(Date),
+      }),
+    ]);
+  });
+
+  test("is a no-op when the booking is already in that state", () => {
+    const booking = { status: "confirmed", statusHistory: [] };
+    expect(transitionBooking(booking, "confirmed", { actor: admin })).toBe(false);
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+
+  test("rejects unknown values (400) and disallowed moves (409)", () => {
+    expect(() => transitionBooking({ status: "pending" }, "lost", { actor: admin })).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(() => transitionBooking({ status: "travelled" }, "pending", { actor: admin })).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+    expect(() => transitionBooking({}, "pending", { actor: admin, field: "agent" })).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+
+  test("only admins may approve, confirm or change the approval status", () => {
+    expect(() => transitionBooking({ status: "pending" }, "confirmed", { actor: agent })).toThrow(
+      expect.objectContaining({ status: 403 })
+    );
+    expect(() =>
+      transitionBooking({ approvalStatus: "pending" }, "approved", { actor: agent, field: "approvalStatus" })
+    ).toThrow(expect.objectContaining({ status: 403 }));
+
+    const booking = { status: "pending" };
+    expect(transitionBooking(booking, "cancelled", { actor: agent })).toBe(true);
+    expect(booking.statusHistory[0]).toMatchObject({ from: "pending", to: "cancelled", actorRole: "agent" });
+  });
+});
+
+describe("initialHistoryEntry", () => {
+  test("records the creation status with no previous state", () => {
+    expect(initialHistoryEntry("draft", agent)).toMatchObject({
+      field: "status",
+      from: null,
+      to: "draft",
+      actor: "u2",
+      reason: "Booking created",
+    });
+  });
+});
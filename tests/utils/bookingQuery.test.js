@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import {
+  buildBookingFilter,
+  decodeCursor,
+  encodeCursor,
+  findLegacyList,
+  hasListQuery,
+  parseSort,
+} from "../../utils/bookingQuery.js";
+
+const ID = "64b000000000000000000001";
+
+describe("parseSort", () => {
+  test("defaults to newest first and maps keys to paths", () => {
+    expect(parseSort()).toEqual({ key: "createdAt", path: "createdAt", direction: -1 });
+    expect(parseSort("totalSale")).toEqual({ key: "totalSale", path: "costing.totals.totalSale", direction: 1 });
+  });
+
+  test("rejects unknown keys with 400", () => {
+    expect(() => parseSort("-password")).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe("encodeCursor / decodeCursor", () => {
+  test("round-trips a date sort value and the _id", () => {
+    const sort = parseSort("-departureDate");
+    const cursor = encodeCursor({ _id: ID, departureDate: new Date("2026-03-01T00:00:00Z") }, sort);
+    const { value, id } = decodeCursor(cursor, sort);
+    expect(value).toEqual(new Date("2026-03-01T00:00:00Z"));
+    expect(id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(String(id)).toBe(ID);
+  });
+
+  test("reads nested paths and keeps missing values as null", () => {
+    const sort = parseSort("totalSale");
+    expect(decodeCursor(encodeCursor({ _id: ID, costing: { totals: { totalSale: 1500 } } }, sort), sort).value).toBe(1500);
+    expect(decodeCursor(encodeCursor({ _id: ID }, sort), sort).value).toBeNull();
+  });
+
+  test("rejects garbage and cursors from another sort", () => {
+    const sort = parseSort("-createdAt");
+    expect(() => decodeCursor("not-a-cursor", sort)).toThrow("Invalid cursor");
+    const other = encodeCursor({ _id: ID, customerName: "A" }, parseSort("customerName"));
+    expect(() => decodeCursor(other, sort)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe("buildBookingFilter", () => {
+  test("turns list params into a Mongo filter", () => {
+    const filter = buildBookingFilter({
+      status: "pending,approved",
+      agent: ID,
+      departureFrom: "2026-01-01",
+      departureTo: "2026-03-31",
+      q: "abc-123",
+    });
+    expect(filter.status).toEqual({ $in: ["pending", "approved"] });
+    expect(String(filter.agent)).toBe(ID);
+    expect(filter.departureDate).toEqual({
+      $gte: new Date("2026-01-01T00:00:00.000Z"),
+      $lte: new Date("2026-03-31T23:59:59.999Z"),
+    });
+    expect(filter.$or).toEqual(expect.arrayContaining([{ pnrs: "ABC123" }, { pnr: "ABC123" }]));
+  });
+
+  test("rejects malformed ids and dates with 400", () => {
+    expect(() => buildBookingFilter({ agent: "nope" })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => buildBookingFilter({ createdFrom: "yesterday" })).toThrow("Invalid createdFrom date");
+  });
+});
+
+describe("hasListQuery", () => {
+  test("is true only when a list param is present", () => {
+    expect(hasListQuery({})).toBe(false);
+    expect(hasListQuery({ foo: "1" })).toBe(false);
+    expect(hasListQuery({ limit: "10" })).toBe(true);
+  });
+});
+
+describe("findLegacyList", () => {
+  // Booking.find(filter)[.sort()][.limit()].lean() over `docs`, recording the calls
+  const fakeModel = (docs) => {
+    const calls = {};
+    const query = {
+      sort: (sort) => ((calls.sort = sort), query),
+      limit: (limit) => ((calls.limit = limit), query),
+      lean: async () => docs.slice(0, calls.limit ?? docs.length),
+    };
+    return { calls, Booking: { find: (filter) => ((calls.filter = filter), query) } };
+  };
+  const docs = [{ _id: 1 }, { _id: 2 }, { _id: 3 }];
+
+  let savedLimit;
+  beforeEach(() => {
+    savedLimit = process.env.LEGACY_LIST_LIMIT;
+    delete process.env.LEGACY_LIST_LIMIT;
+  });
+  afterEach(() => {
+    if (savedLimit === undefined) delete process.env.LEGACY_LIST_LIMIT;
+    else process.env.LEGACY_LIST_LIMIT = savedLimit;
+  });
+
+  test("returns every booking in the caller's order when no cap is set", async () => {
+    const { Booking, calls } = fakeModel(docs);
+    expect(await findLegacyList(Booking, { agent: "a" }, { createdAt: -1 })).toEqual({ data: docs, truncated: false });
+    expect(calls).toEqual({ filter: { agent: "a" }, sort: { createdAt: -1 } });
+  });
+
+  test("with LEGACY_LIST_LIMIT, returns the newest N and flags the rest", async () => {
+    process.env.LEGACY_LIST_LIMIT = "2";
+    const { Booking, calls } = fakeModel(docs);
+    expect(await findLegacyList(Booking)).toEqual({ data: docs.slice(0, 2), truncated: true });
+    expect(calls.sort).toEqual({ createdAt: -1, _id: -1 });
+  });
+});
@@ -0,0 +1,104 @@
+import {
+  cardFromPayload,
+  detectBrand,
+  isMaskedValue,
+  maskCardNumber,
+  openCard,
+  sealCard,
+} from "../../utils/cardVault.js";
+
+const KEY = "0f".repeat(32);
+
+let savedKey;
+
+beforeEach(() => {
+  savedKey = process.env.CARD_VAULT_KEY;
+  process.env.CARD_VAULT_KEY = KEY;
+});
+
+afterEach(() => {
+  if (savedKey === undefined) delete process.env.CARD_VAULT_KEY;
+  else process.env.CARD_VAULT_KEY = savedKey;
+});
+
+describe("sealCard / openCard", () => {
+  test("round-trips the number and expiry and keeps only last4/brand readable", () => {
+    const card = sealCard({ number: "4111 1111-1111 1111", expiryDate: "12/28" });
+    expect(card).toMatchObject({ last4: "1111", brand: "visa" });
+    expect(card.encrypted).toMatch(/^v1:/);
+    expect(card.encrypted).not.toContain("4111");
+    expect(openCard(card)).toEqual({ number: "4111111111111111", expiryDate: "12/28" });
+  });
+
+  test("uses a fresh IV for every seal", () => {
+    const a = sealCard({ number: "5500000000000004" });
+    const b = sealCard({ number: "5500000000000004" });
+    expect(a.encrypted).not.toBe(b.encrypted);
+  });
+
+  test("accepts a base64 key", () => {
+    process.env.CARD_VAULT_KEY = Buffer.from(KEY, "hex").toString("base64");
+    expect(openCard(sealCard({ number: "378282246310005" })).number).toBe("378282246310005");
+  });
+
+  test("rejects tampered ciphertext", () => {
+    const card = sealCard({ number: "4111111111111111" });
+    const parts = card.encrypted.split(":");
+    parts[3] = Buffer.from("tampered").toString("base64");
+    expect(() => openCard({ ...card, encrypted: parts.join(":") })).toThrow();
+  });
+
+  test("rejects card numbers of the wrong length with 400", () => {
+    expect(() => sealCard({ number: "4111" })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test("fails with 500 when the key is missing or the wrong size", () => {
+    delete process.env.CARD_VAULT_KEY;
+    expect(() => sealCard({ number: "4111111111111111" })).toThrow(expect.objectContaining({ status: 500 }));
+    process.env.CARD_VAULT_KEY = "abcd";
+    expect(() => sealCard({ number: "4111111111111111" })).toThrow("32 bytes");
+  });
+
+  test("404 when no card is stored", () => {
+    expect(() => openCard(undefined)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => openCard({ last4: "1111" })).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe("detectBrand / masking", () => {
+  test.each([
+    ["4111111111111111", "visa"],
+    ["5500000000000004", "mastercard"],
+    ["2221000000000009", "mastercard"],
+    ["378282246310005", "amex"],
+    ["6011111111111117", "discover"],
+    ["9999999999999999", "card"],
+  ])("%s -> %s", (number, brand) => {
+    expect(detectBrand(number)).toBe(brand);
+  });
+
+  test("masks to the last four digits", () => {
+    expect(maskCardNumber("1234")).toBe("**** **** **** 1234");
+    expect(maskCardNumber(undefined)).toBe("");
+    expect(isMaskedValue("**** **** **** 1234")).toBe(true);
+    expect(isMaskedValue("4111111111111111")).toBe(false);
+  });
+});
+
+describe("cardFromPayload", () => {
+  test("seals a new number and ignores the CVV", () => {
+    const card = cardFromPayload({ cardNumber: "4111111111111111", expiryDate: "01/30", cvv: "123" });
+    expect(card.last4).toBe("1111");
+    expect(openCard(card)).toEqual({ number: "4111111111111111", expiryDate: "01/30" });
+  });
+
+  test("a missing or masked number leaves the card unchanged", () => {
+    expect(cardFromPayload({})).toBeUndefined();
+    expect(cardFromPayload({ cardNumber: "**** **** **** 1111" })).toBeUndefined();
+  });
+
+  test("null or blank clears the card", () => {
+    expect(cardFromPayload({ cardNumber: null })).toBeNull();
+    expect(cardFromPayload({ cardNumber: "  " })).toBeNull();
+  });
+});
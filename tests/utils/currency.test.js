@@ -0,0 +1,148 @@
+import { jest } from "@jest/globals";
+import Company from "../../models/company.js";
+import ExchangeRate from "../../models/ExchangeRate.js";
+import {
+  bookingTotalsInBase,
+  bookingTotalsStages,
+  buildCostingConverter,
+  costingRates,
+  fixedRateConverter,
+  groupTotalsInBase,
+  loadRateTable,
+  normalizeCurrency,
+} from "../../utils/currency.js";
+
+// Rates against USD: 1 SAR = 0.26 USD until March, 0.27 from then; 1 EUR = 1.10 USD
+const RATES = [
+  { currency: "SAR", baseCurrency: "USD", rate: 0.26, effectiveDate: new Date("2026-01-01") },
+  { currency: "EUR", baseCurrency: "USD", rate: 1.1, effectiveDate: new Date("2026-01-01") },
+  { currency: "SAR", baseCurrency: "USD", rate: 0.27, effectiveDate: new Date("2026-03-01") },
+];
+
+let table;
+
+beforeAll(async () => {
+  jest.spyOn(ExchangeRate, "find").mockReturnValue({
+    sort: () => ({ lean: async () => [...RATES].sort((a, b) => a.effectiveDate - b.effectiveDate) }),
+  });
+  table = await loadRateTable("usd");
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("normalizeCurrency", () => {
+  test("upper-cases codes and falls back to the default", () => {
+    expect(normalizeCurrency(" sar ")).toBe("SAR");
+    expect(normalizeCurrency(undefined)).toBe("USD");
+    expect(normalizeCurrency("", "EUR")).toBe("EUR");
+  });
+});
+
+describe("loadRateTable", () => {
+  test("uses the rate effective on the date", () => {
+    expect(table.base).toBe("USD");
+    expect(table.rateOn("SAR", new Date("2026-02-15"))).toBe(0.26);
+    expect(table.rateOn("SAR", new Date("2026-03-01"))).toBe(0.27);
+    expect(table.rateOn("USD")).toBe(1);
+  });
+
+  test("uses the earliest rate for dates before it", () => {
+    expect(table.rateOn("SAR", new Date("2025-06-01"))).toBe(0.26);
+  });
+
+  test("converts through the base currency", () => {
+    const date = new Date("2026-04-01");
+    expect(table.convert(100, "SAR", "USD", date)).toBeCloseTo(27);
+    expect(table.convert(110, "EUR", "SAR", date)).toBeCloseTo((110 * 1.1) / 0.27);
+    expect(table.convert(50, "usd", "USD", date)).toBe(50);
+  });
+
+  test("throws 422 for a currency without rates", () => {
+    expect(() => table.convert(1, "GBP")).toThrow(expect.objectContaining({ status: 422 }));
+  });
+});
+
+describe("bookingTotalsInBase", () => {
+  test("converts the costing totals at the booking date rate", () => {
+    const booking = {
+      currency: "SAR",
+      date: new Date("2026-02-01"),
+      costing: { totals: { totalSale: 1000, totalCost: 800, profit: 200 } },
+    };
+    expect(bookingTotalsInBase(booking, table)).toEqual({ totalCost: 208, totalSale: 260, profit: 52 });
+  });
+});
+
+describe("buildCostingConverter", () => {
+  const COMPANY = "64b000000000000000000001";
+
+  test("converts foreign rows with the rate table of the given company", async () => {
+    const findById = jest.spyOn(Company, "findById").mockReturnValue({
+      select: () => ({ lean: async () => ({ baseCurrency: "USD" }) }),
+    });
+    const convert = await buildCostingConverter([{ currency: "SAR" }], "USD", new Date("2026-04-01"), COMPANY);
+    expect(findById).toHaveBeenCalledWith(COMPANY);
+    expect(convert(100, { currency: "SAR" })).toBeCloseTo(27);
+    findById.mockRestore();
+  });
+
+  test("needs no rates when every row is in the booking currency", async () => {
+    expect(await buildCostingConverter([{ currency: "usd" }, {}], "USD")).toBeUndefined();
+  });
+});
+
+describe("costingRates / fixedRateConverter", () => {
+  const rows = [{ currency: "SAR" }, { currency: "usd" }, {}];
+
+  test("records the rate applied to each foreign row currency", () => {
+    const convert = (amount, row) => table.convert(amount, row.currency, "USD", new Date("2026-02-01"));
+    expect(costingRates(rows, "USD", convert)).toEqual({ SAR: 0.26 });
+    expect(costingRates(rows, "USD", undefined)).toBeUndefined();
+    expect(costingRates([{ currency: "USD" }], "USD", convert)).toBeUndefined();
+  });
+
+  test("converts later at the stored rates, from a Map or a plain object", () => {
+    const fromMap = fixedRateConverter(new Map([["SAR", 0.26]]), "USD");
+    expect(fromMap(100, { currency: "SAR" })).toBeCloseTo(26);
+    expect(fromMap(100, {})).toBe(100);
+    expect(fixedRateConverter({ SAR: 0.26 }, "USD")(50, { currency: "sar" })).toBeCloseTo(13);
+  });
+
+  test("throws 422 for a currency without a stored rate", () => {
+    expect(() => fixedRateConverter({ SAR: 0.26 }, "USD")(1, { currency: "EUR" })).toThrow(
+      expect.objectContaining({ status: 422 })
+    );
+  });
+});
+
+describe("bookingTotalsStages", () => {
+  test("leaves cancelled and travelled bookings out", () => {
+    const [match, group] = bookingTotalsStages("$agent");
+    expect(match).toEqual({ $match: { status: { $nin: ["cancelled", "travelled"] } } });
+    expect(group.$group._id.key).toBe("$agent");
+  });
+});
+
+describe("groupTotalsInBase", () => {
+  test("sums per-currency/day partials per key and lists missing rates", () => {
+    const partials = [
+      { _id: { key: "a", currency: "SAR", day: "2026-02-01" }, bookings: 2, negativeMarginBookings: 1, totalSale: 1000, totalCost: 900, profit: 100 },
+      { _id: { key: "a", currency: "SAR", day: "2026-03-05" }, bookings: 1, negativeMarginBookings: 0, totalSale: 1000, totalCost: 900, profit: 100 },
+      { _id: { key: "b", currency: "USD", day: "2026-03-05" }, bookings: 1, negativeMarginBookings: 0, totalSale: 10.005, totalCost: 5, profit: 5.005 },
+      { _id: { key: "b", currency: "GBP", day: "2026-03-05" }, bookings: 3, negativeMarginBookings: 0, totalSale: 500, totalCost: 0, profit: 500 },
+    ];
+    const { rows, missingRates } = groupTotalsInBase(partials, table);
+    expect(rows).toEqual([
+      { _id: "a", bookings: 3, negativeMarginBookings: 1, revenue: 530, cost: 477, profit: 53 },
+      { _id: "b", bookings: 4, negativeMarginBookings: 0, revenue: 10.01, cost: 5, profit: 5.01 },
+    ]);
+    expect(missingRates).toEqual(["GBP"]);
+  });
+
+  test("groups partials without a key under null", () => {
+    const { rows } = groupTotalsInBase([{ _id: { currency: "USD", day: null }, bookings: 1, totalSale: 5 }], table);
+    expect(rows).toEqual([{ _id: null, bookings: 1, negativeMarginBookings: 0, revenue: 5, cost: 0, profit: 0 }]);
+  });
+});
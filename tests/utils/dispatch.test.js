@@ -0,0 +1,121 @@
+import {
+  dispatchLegs,
+  manifestLegs,
+  packVehicles,
+  suggestCombinations,
+  vehicleFor,
+  vehicleType,
+} from "../../utils/dispatch.js";
+
+const DAY = "2026-03-10";
+
+const booking = (id, passengers, legs) => ({
+  _id: id,
+  customerName: `Customer ${id}`,
+  travellerCounts: { adults: passengers, children: 0, infants: 0, total: passengers },
+  transportation: { legs: legs.map((leg) => ({ date: DAY, from: "Jeddah Airport", to: "Makkah Hotel", ...leg })) },
+});
+
+const leg = (key, passengers, extra = {}) => ({
+  key,
+  bookingId: key.split(":")[0],
+  from: "Jeddah Airport",
+  to: "Makkah Hotel",
+  passengers,
+  vehiclesNeeded: 1,
+  ...extra,
+});
+
+describe("vehicleType / vehicleFor", () => {
+  test("accepts known types and the legacy COSTER spelling", () => {
+    expect(vehicleType("GMC")).toBe("GMC");
+    expect(vehicleType("COSTER")).toBe("Coaster");
+    expect(vehicleType("Van")).toBeNull();
+  });
+
+  test("picks the smallest vehicle that seats the load", () => {
+    expect(vehicleFor(4)).toBe("Sedan");
+    expect(vehicleFor(5)).toBe("SUV");
+    expect(vehicleFor(7)).toBe("GMC");
+    expect(vehicleFor(8)).toBe("Coaster");
+    expect(vehicleFor(60)).toBe("BUS");
+  });
+});
+
+describe("packVehicles", () => {
+  test("combines parties into as few vehicles as possible, each right-sized", () => {
+    const vehicles = packVehicles([leg("a:0", 3), leg("b:0", 4), leg("c:0", 2)]);
+    expect(vehicles).toEqual([{ vehicleType: "Coaster", legs: ["b:0", "a:0", "c:0"], passengers: 9 }]);
+  });
+
+  test("splits parties larger than the largest vehicle", () => {
+    const vehicles = packVehicles([leg("a:0", 60), leg("b:0", 5)]);
+    expect(vehicles).toEqual([
+      { vehicleType: "BUS", legs: ["a:0"], passengers: 49 },
+      { vehicleType: "Coaster", legs: ["a:0", "b:0"], passengers: 16 },
+    ]);
+  });
+
+  test("opens a new vehicle when a party does not fit the open ones", () => {
+    const vehicles = packVehicles([leg("a:0", 45), leg("b:0", 10)]);
+    expect(vehicles.map((v) => [v.vehicleType, v.passengers])).toEqual([
+      ["BUS", 45],
+      ["Coaster", 10],
+    ]);
+  });
+});
+
+describe("suggestCombinations", () => {
+  const legs = dispatchLegs(
+    [
+      booking("b1", 2, [{ time: "10:00", vehicleType: "Sedan" }]),
+      booking("b2", 3, [{ time: "10:45", vehicleType: "Sedan" }]),
+      booking("b3", 2, [{ time: "11:30", vehicleType: "Sedan" }]),
+      booking("b4", 4, [{ time: "10:15", vehicleType: "Sedan", to: "Madinah Hotel" }]),
+      booking("b5", 2, [{ vehicleType: "Sedan" }]), // no time
+    ],
+    DAY
+  );
+
+  test("groups legs on the same route within the window", () => {
+    const [suggestion, ...rest] = suggestCombinations(legs, 60);
+    expect(rest).toHaveLength(0);
+    expect(suggestion).toMatchObject({
+      from: "Jeddah Airport",
+      to: "Makkah Hotel",
+      window: { start: "10:00", end: "10:45" },
+      legs: ["b1:0", "b2:0"],
+      bookings: 2,
+      passengers: 5,
+      currentVehicles: 2,
+      vehiclesSaved: 1,
+    });
+    expect(suggestion.vehicles).toEqual([{ vehicleType: "SUV", legs: ["b2:0", "b1:0"], passengers: 5 }]);
+  });
+
+  test("a wider window pulls in later legs", () => {
+    const [suggestion] = suggestCombinations(legs, 90);
+    expect(suggestion.legs).toEqual(["b1:0", "b2:0", "b3:0"]);
+    expect(suggestion.vehicles[0].vehicleType).toBe("GMC");
+  });
+
+  test("never suggests a window with a single booking", () => {
+    expect(suggestCombinations(legs, 10)).toEqual([]);
+  });
+});
+
+describe("manifestLegs", () => {
+  const legs = [leg("a:0", 3, { time: "10:30" }), leg("b:0", 3, { time: "10:00" }), leg("c:0", 2, { to: "Elsewhere" })];
+
+  test("sorts by time and picks a vehicle that fits", () => {
+    const manifest = manifestLegs(legs, ["a:0", "b:0"]);
+    expect(manifest.vehicleType).toBe("SUV");
+    expect(manifest.legs.map((l) => l.key)).toEqual(["b:0", "a:0"]);
+  });
+
+  test("rejects unknown legs, mixed routes and overfull vehicles", () => {
+    expect(() => manifestLegs(legs, ["x:0"])).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => manifestLegs(legs, ["a:0", "c:0"])).toThrow("same route");
+    expect(() => manifestLegs(legs, ["a:0", "b:0"], "Sedan")).toThrow(expect.objectContaining({ status: 409 }));
+  });
+});
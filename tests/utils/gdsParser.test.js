@@ -0,0 +1,129 @@
+import {
+  normalizeFlights,
+  parseGdsDate,
+  parseGdsTime,
+  parseItinerary,
+  parseSegmentLine,
+  routeSummary,
+} from "../../utils/gdsParser.js";
+
+const REF = new Date("2026-03-01T00:00:00Z");
+
+describe("parseGdsTime", () => {
+  test.each([
+    ["1130A", "11:30"],
+    ["650P", "18:50"],
+    ["1200A", "00:00"],
+    ["1215P", "12:15"],
+    ["2300", "23:00"],
+    ["1200N", "12:00"],
+    ["1200M", "00:00"],
+  ])("%s -> %s", (value, expected) => {
+    expect(parseGdsTime(value)).toBe(expected);
+  });
+
+  test("rejects malformed or out-of-range times", () => {
+    expect(parseGdsTime("2460")).toBeNull();
+    expect(parseGdsTime("12")).toBeNull();
+    expect(parseGdsTime("")).toBeNull();
+  });
+});
+
+describe("parseGdsDate", () => {
+  test("uses the reference year when the date is ahead", () => {
+    expect(parseGdsDate("15MAR", REF).toISOString()).toBe("2026-03-15T00:00:00.000Z");
+  });
+
+  test("rolls over to next year when more than 30 days in the past", () => {
+    expect(parseGdsDate("10JAN", REF).toISOString()).toBe("2027-01-10T00:00:00.000Z");
+  });
+
+  test("keeps dates up to 30 days before the reference", () => {
+    expect(parseGdsDate("10FEB", REF).toISOString()).toBe("2026-02-10T00:00:00.000Z");
+  });
+
+  test("rejects impossible dates and unknown months", () => {
+    expect(parseGdsDate("31APR", REF)).toBeNull();
+    expect(parseGdsDate("15XYZ", REF)).toBeNull();
+  });
+});
+
+describe("parseSegmentLine", () => {
+  test("parses an Amadeus segment with an arrival day offset", () => {
+    const s = parseSegmentLine(" 1  SV 020 Y 15MAR 7 JFKJED HK2  1130A 0650P+1 *1A/E*", REF);
+    expect(s).toMatchObject({
+      segmentNo: 1,
+      carrier: "SV",
+      flightNumber: "20",
+      bookingClass: "Y",
+      date: "2026-03-15",
+      origin: "JFK",
+      destination: "JED",
+      status: "HK",
+      seats: 2,
+      departureTime: "11:30",
+      arrivalTime: "18:50",
+      arrivalDate: "2026-03-16",
+    });
+  });
+
+  test("parses a Sabre segment", () => {
+    const s = parseSegmentLine(" 2 SV 1234Y 22MAR M JEDMED*HK2   130P  230P /DCSV /E", REF);
+    expect(s).toMatchObject({
+      segmentNo: 2,
+      flightNumber: "1234",
+      bookingClass: "Y",
+      origin: "JED",
+      destination: "MED",
+      departureTime: "13:30",
+      arrivalTime: "14:30",
+      arrivalDate: "2026-03-22",
+    });
+  });
+
+  test("returns null for non-segment lines", () => {
+    expect(parseSegmentLine("1.1SMITH/JOHN MR", REF)).toBeNull();
+  });
+});
+
+describe("parseItinerary", () => {
+  test("splits segments from unparsed lines and skips blanks", () => {
+    const raw = [
+      "1.1SMITH/JOHN MR",
+      " 1  SV 020 Y 15MAR 7 JFKJED HK2  1130A 0650P+1",
+      "",
+      " 2  SV 021 Y 30MAR 1 JEDJFK HK2  0135P 0730P",
+    ].join("\n");
+    const { segments, unparsed } = parseItinerary(raw, { referenceDate: REF });
+    expect(segments.map((s) => `${s.origin}${s.destination}`)).toEqual(["JFKJED", "JEDJFK"]);
+    expect(unparsed).toEqual([{ lineNo: 1, line: "1.1SMITH/JOHN MR" }]);
+  });
+});
+
+describe("routeSummary", () => {
+  test("chains consecutive segments and starts a new leg on a gap", () => {
+    const segments = [
+      { origin: "JFK", destination: "JED" },
+      { origin: "JED", destination: "MED" },
+      { origin: "MED", destination: "RUH" },
+      { origin: "DXB", destination: "JFK" },
+    ];
+    expect(routeSummary(segments)).toBe("JFK-JED-MED-RUH / DXB-JFK");
+  });
+});
+
+describe("normalizeFlights", () => {
+  test("re-parses segments from raw and ignores client-sent segments", () => {
+    const flights = normalizeFlights(
+      { raw: " 1  SV 020 Y 15MAR 7 JFKJED HK2  1130A 0650P+1\n", segments: [{ origin: "XXX" }] },
+      REF
+    );
+    expect(flights.segments).toHaveLength(1);
+    expect(flights.segments[0].origin).toBe("JFK");
+    expect(flights.itineraryLines).toEqual(["1  SV 020 Y 15MAR 7 JFKJED HK2  1130A 0650P+1"]);
+  });
+
+  test("passes empty payloads through", () => {
+    expect(normalizeFlights(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  buildInstallmentSchedule,
+  normalizeFlightPayments,
+  reconcileInstallments,
+} from "../../utils/installments.js";
+
+describe("buildInstallmentSchedule", () => {
+  test("splits the remainder monthly with the rounding on the last installment", () => {
+    const plan = buildInstallmentSchedule({
+      ticketTotal: 1000,
+      advancePaid: 100,
+      numberOfInstallments: 7,
+      startDate: "2026-01-15",
+    });
+    expect(plan.remaining).toBe(900);
+    expect(plan.perInstallment).toBe(128.57);
+    expect(plan.schedule.map((i) => i.amount)).toEqual([128.57, 128.57, 128.57, 128.57, 128.57, 128.57, 128.58]);
+    expect(plan.schedule.reduce((sum, i) => sum + Math.round(i.amount * 100), 0)).toBe(90000);
+    expect(plan.schedule.map((i) => i.date).slice(0, 3)).toEqual(["2026-01-15", "2026-02-15", "2026-03-15"]);
+  });
+
+  test("clamps to the last day of shorter months", () => {
+    const plan = buildInstallmentSchedule({ ticketTotal: 300, numberOfInstallments: 3, startDate: "2026-01-31" });
+    expect(plan.schedule.map((i) => i.date)).toEqual(["2026-01-31", "2026-02-28", "2026-03-31"]);
+  });
+
+  test.each([
+    [{ ticketTotal: 0, numberOfInstallments: 2, startDate: "2026-01-01" }, "ticketTotal"],
+    [{ ticketTotal: 100, advancePaid: 150, numberOfInstallments: 2, startDate: "2026-01-01" }, "advancePaid"],
+    [{ ticketTotal: 100, numberOfInstallments: 0, startDate: "2026-01-01" }, "numberOfInstallments"],
+    [{ ticketTotal: 100, numberOfInstallments: 37, startDate: "2026-01-01" }, "numberOfInstallments"],
+    [{ ticketTotal: 100, numberOfInstallments: 2, startDate: "soon" }, "startDate"],
+  ])("rejects %o (%s)", (input, field) => {
+    expect(() => buildInstallmentSchedule(input)).toThrow(field);
+  });
+});
+
+describe("normalizeFlightPayments", () => {
+  test("regenerates the schedule and ignores client-sent amounts", () => {
+    const result = normalizeFlightPayments({
+      mode: "installment",
+      installment: { ticketTotal: 200, numberOfInstallments: 2, startDate: "2026-05-01", perInstallment: 1, schedule: [] },
+    });
+    expect(result.installment.perInstallment).toBe(100);
+    expect(result.installment.schedule).toHaveLength(2);
+  });
+
+  test("leaves other modes untouched", () => {
+    const payload = { mode: "full" };
+    expect(normalizeFlightPayments(payload)).toBe(payload);
+  });
+});
+
+describe("reconcileInstallments", () => {
+  const booking = (payments) => ({
+    flightPayments: {
+      mode: "installment",
+      installment: buildInstallmentSchedule({ ticketTotal: 300, numberOfInstallments: 3, startDate: "2026-01-01" }),
+    },
+    payments,
+  });
+
+  test("marks installments paid from tagged, non-voided ledger payments", () => {
+    const b = booking([
+      { installmentNo: 1, amount: 60, date: new Date("2026-01-02") },
+      { installmentNo: 1, amount: 40, date: new Date("2026-01-05") },
+      { installmentNo: 2, amount: 100, voided: true },
+      { installmentNo: 3, amount: 50 },
+    ]);
+    reconcileInstallments(b);
+    const [first, second, third] = b.flightPayments.installment.schedule;
+    expect(first).toMatchObject({ status: "paid", paidAmount: 100, paidAt: new Date("2026-01-05") });
+    expect(second).toMatchObject({ status: "unpaid", paidAmount: 0 });
+    expect(third).toMatchObject({ status: "unpaid", paidAmount: 50 });
+  });
+
+  test("applies untagged payments above the advance to the oldest unpaid installments", () => {
+    const b = booking([
+      { amount: 50, date: new Date("2025-12-20") }, // the advance
+      { installmentNo: 2, amount: 100, date: new Date("2026-02-01") },
+      { amount: 130, date: new Date("2026-03-01") },
+    ]);
+    b.flightPayments.installment = buildInstallmentSchedule({
+      ticketTotal: 350,
+      advancePaid: 50,
+      numberOfInstallments: 3,
+      startDate: "2026-01-01",
+    });
+    reconcileInstallments(b);
+    const [first, second, third] = b.flightPayments.installment.schedule;
+    expect(first).toMatchObject({ status: "paid", paidAmount: 100, paidAt: new Date("2026-03-01") });
+    expect(second).toMatchObject({ status: "paid", paidAmount: 100, paidAt: new Date("2026-02-01") });
+    expect(third).toMatchObject({ status: "unpaid", paidAmount: 30 });
+    expect(third.paidAt).toBeUndefined();
+  });
+
+  test("tops up a partly paid installment before moving on and ignores any surplus", () => {
+    const b = booking([
+      { installmentNo: 1, amount: 60 },
+      { amount: 500, date: new Date("2026-01-10") },
+    ]);
+    reconcileInstallments(b);
+    expect(b.flightPayments.installment.schedule.map((i) => [i.status, i.paidAmount])).toEqual([
+      ["paid", 100],
+      ["paid", 100],
+      ["paid", 100],
+    ]);
+  });
+
+  test("uses the converted amount when the payment was in another currency", () => {
+    const b = booking([{ installmentNo: 1, amount: 90, convertedAmount: 100 }]);
+    reconcileInstallments(b);
+    expect(b.flightPayments.installment.schedule[0].status).toBe("paid");
+  });
+});
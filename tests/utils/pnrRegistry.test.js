@@ -0,0 +1,120 @@
+import { jest } from "@jest/globals";
+import Booking from "../../models/Booking.js";
+import {
+  checkPnrConflicts,
+  cleanPnr,
+  duplicatePolicy,
+  findPnrConflicts,
+  isValidPnr,
+  pnrSet,
+  validatePnrs,
+} from "../../utils/pnrRegistry.js";
+
+// Booking.find(...).select(...).lean() -> rows; the filter is kept for assertions
+const mockBookings = (rows) => {
+  const find = jest.spyOn(Booking, "find").mockReturnValue({ select: () => ({ lean: async () => rows }) });
+  return find;
+};
+
+let savedPolicy;
+
+beforeEach(() => {
+  savedPolicy = process.env.PNR_DUPLICATE_POLICY;
+  delete process.env.PNR_DUPLICATE_POLICY;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  if (savedPolicy === undefined) delete process.env.PNR_DUPLICATE_POLICY;
+  else process.env.PNR_DUPLICATE_POLICY = savedPolicy;
+});
+
+describe("cleanPnr / isValidPnr", () => {
+  test("strips separators and upper-cases", () => {
+    expect(cleanPnr(" ab-c 12d ")).toBe("ABC12D");
+    expect(cleanPnr(null)).toBe("");
+  });
+
+  test("requires exactly six letters or digits", () => {
+    expect(isValidPnr("abc12d")).toBe(true);
+    expect(isValidPnr("ABC12")).toBe(false);
+    expect(isValidPnr("ABC1234")).toBe(false);
+  });
+});
+
+describe("pnrSet / validatePnrs", () => {
+  test("merges pnr and pnrs into one cleaned list with pnr first", () => {
+    expect(pnrSet({ pnr: "xyz789", pnrs: ["ABC123", "xyz 789", "", null] })).toEqual(["XYZ789", "ABC123"]);
+    expect(pnrSet({})).toEqual([]);
+  });
+
+  test("names the invalid PNRs in a 400", () => {
+    expect(validatePnrs(["ABC123"])).toEqual(["ABC123"]);
+    expect(() => validatePnrs(["ABC123", "AB1", "TOOLONG1"])).toThrow(
+      expect.objectContaining({ status: 400, details: { invalid: ["AB1", "TOOLONG1"] } })
+    );
+  });
+});
+
+describe("duplicatePolicy", () => {
+  test("blocks unless set to warn", () => {
+    expect(duplicatePolicy()).toBe("block");
+    process.env.PNR_DUPLICATE_POLICY = "WARN";
+    expect(duplicatePolicy()).toBe("warn");
+    process.env.PNR_DUPLICATE_POLICY = "other";
+    expect(duplicatePolicy()).toBe("block");
+  });
+});
+
+describe("findPnrConflicts", () => {
+  test("looks up active bookings other than this one and reports each shared PNR", async () => {
+    const find = mockBookings([
+      { _id: "b2", pnr: "ABC123", pnrs: ["ABC123", "DEF456"], customerName: "Other", status: "pending", agent: "a1" },
+    ]);
+    const conflicts = await findPnrConflicts(["ABC123", "DEF456", "GHI789"], "b1");
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.status).toEqual({ $nin: ["cancelled", "travelled"] });
+    expect(filter._id).toEqual({ $ne: "b1" });
+    expect(conflicts).toEqual([
+      { pnr: "ABC123", bookingId: "b2", customerName: "Other", status: "pending", agent: "a1" },
+      { pnr: "DEF456", bookingId: "b2", customerName: "Other", status: "pending", agent: "a1" },
+    ]);
+  });
+
+  test("skips the query without PNRs", async () => {
+    const find = mockBookings([]);
+    expect(await findPnrConflicts([], "b1")).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe("checkPnrConflicts", () => {
+  const other = { _id: "b2", pnrs: ["ABC123"], customerName: "Other", status: "confirmed" };
+
+  test("throws 409 under the block policy", async () => {
+    mockBookings([other]);
+    await expect(checkPnrConflicts({ _id: "b1", pnrs: ["ABC123"] })).rejects.toMatchObject({
+      status: 409,
+      details: [expect.objectContaining({ pnr: "ABC123", bookingId: "b2" })],
+    });
+  });
+
+  test("returns the conflicts under the warn policy", async () => {
+    process.env.PNR_DUPLICATE_POLICY = "warn";
+    mockBookings([other]);
+    expect(await checkPnrConflicts({ _id: "b1", pnrs: ["ABC123"] })).toHaveLength(1);
+  });
+
+  test("only checks PNRs that were not already on the booking", async () => {
+    const find = mockBookings([other]);
+    expect(await checkPnrConflicts({ _id: "b1", pnrs: ["ABC123"] }, ["ABC123"])).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test("inactive bookings never conflict", async () => {
+    const find = mockBookings([other]);
+    expect(await checkPnrConflicts({ _id: "b1", status: "cancelled", pnrs: ["ABC123"] })).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import {
+  ageOn,
+  applyTravellerCounts,
+  countTravellers,
+  normalizeTravellers,
+  travellerType,
+} from "../../utils/travellers.js";
+
+const DEPARTURE = new Date("2026-06-15T00:00:00Z");
+
+describe("ageOn", () => {
+  test("counts whole years, the birthday itself included", () => {
+    expect(ageOn("2014-06-15", DEPARTURE)).toBe(12);
+    expect(ageOn("2014-06-16", DEPARTURE)).toBe(11);
+  });
+
+  test("is null without a valid date of birth", () => {
+    expect(ageOn(undefined, DEPARTURE)).toBeNull();
+    expect(ageOn("not a date", DEPARTURE)).toBeNull();
+  });
+});
+
+describe("travellerType age bands", () => {
+  test.each([
+    ["2024-06-16", "infant"], // 1 year old
+    ["2024-06-15", "child"], // turns 2 on departure
+    ["2014-06-16", "child"], // 11
+    ["2014-06-15", "adult"], // turns 12 on departure
+    [undefined, "adult"], // no date of birth
+  ])("born %s -> %s", (dateOfBirth, type) => {
+    expect(travellerType({ dateOfBirth }, DEPARTURE)).toBe(type);
+  });
+});
+
+describe("countTravellers / applyTravellerCounts", () => {
+  const travellers = [
+    { fullName: "A", dateOfBirth: "1980-01-01" },
+    { fullName: "B", dateOfBirth: "2018-01-01" },
+    { fullName: "C", dateOfBirth: "2025-12-01" },
+    { fullName: "D" },
+  ];
+
+  test("counts by band on the given date", () => {
+    expect(countTravellers(travellers, DEPARTURE)).toEqual({ adults: 2, children: 1, infants: 1, total: 4 });
+  });
+
+  test("sets types, counts and the legacy strings on the booking", () => {
+    const booking = { departureDate: DEPARTURE, travellers: travellers.map((t) => ({ ...t })) };
+    applyTravellerCounts(booking);
+    expect(booking.travellers.map((t) => t.type)).toEqual(["adult", "child", "infant", "adult"]);
+    expect(booking.travellerCounts.total).toBe(4);
+    expect([booking.adults, booking.children, booking.passengers]).toEqual(["2", "1", "4"]);
+  });
+
+  test("clears the counts when there are no travellers", () => {
+    const booking = { travellers: [], travellerCounts: { total: 3 } };
+    applyTravellerCounts(booking);
+    expect(booking.travellerCounts).toBeUndefined();
+  });
+});
+
+describe("normalizeTravellers", () => {
+  test("cleans names, passports and genders and makes the first traveller the lead", () => {
+    const [lead, other] = normalizeTravellers([
+      { fullName: "  John Smith ", gender: "M", passportNumber: "ab 123-456", type: "infant" },
+      { fullName: "Jane Smith", gender: "female", relationship: "Spouse", dateOfBirth: "1985-02-03" },
+    ]);
+    expect(lead).toMatchObject({ fullName: "John Smith", gender: "male", passportNumber: "AB123456", relationship: "self" });
+    expect(lead.type).toBeUndefined();
+    expect(other.relationship).toBe("spouse");
+    expect(other.dateOfBirth).toBeInstanceOf(Date);
+  });
+
+  test("keeps an explicit lead passenger", () => {
+    const list = normalizeTravellers([{ fullName: "A", relationship: "child" }, { fullName: "B", relationship: "self" }]);
+    expect(list.map((t) => t.relationship)).toEqual(["child", "self"]);
+  });
+
+  test("null clears the list", () => {
+    expect(normalizeTravellers(null)).toEqual([]);
+  });
+
+  test("reports every invalid field with its index", () => {
+    let error;
+    try {
+      normalizeTravellers([
+        { fullName: "", gender: "x" },
+        { fullName: "B", passportNumber: "12", passportIssueDate: "2030-01-01", passportExpiryDate: "2020-01-01" },
+      ]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.status).toBe(400);
+    expect(error.details.map((d) => `${d.index}:${d.field}`)).toEqual([
+      "0:fullName",
+      "0:gender",
+      "1:passportExpiryDate",
+      "1:passportNumber",
+    ]);
+  });
+
+  test("allows only one lead passenger", () => {
+    expect(() =>
+      normalizeTravellers([{ fullName: "A", relationship: "self" }, { fullName: "B", relationship: "self" }])
+    ).toThrow("Invalid traveller details");
+  });
+
+  test("rejects a non-array payload", () => {
+    expect(() => normalizeTravellers({})).toThrow("travellers must be an array");
+  });
+});
@@ -0,0 +1,172 @@
+// utils/auditTrail.js (ESM)
+//
+// Field-level audit trail for Mongoose documents. Models opt in with
+// `schema.plugin(auditPlugin, { entity: "Booking" })`; every save then writes an
+// AuditLog entry with the before/after diff and a snapshot of the document.
+// Controllers say who is acting via `doc.setAuditActor(req.user)` before saving.
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"];
+const REDACTED = "[redacted]";
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) &&
+  !(v instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(v);
+
+const normalizeLeaf = (v) => {
+  if (v instanceof Date) return v.toISOString();
+  if (v instanceof mongoose.Types.ObjectId) return v.toString();
+  if (Buffer.isBuffer(v)) return v.toString("base64");
+  return v;
+};
+
+const matchesPath = (path, list) =>
+  list.some((p) => path === p || path.startsWith(`${p}.`));
+
+/**
+ * Flatten a plain object into { "a.b.0.c": value } leaf paths.
+ */
+export const flattenPaths = (obj, prefix = "", out = {}) => {
+  if (Array.isArray(obj)) {
+    if (obj.length === 0 && prefix) out[prefix] = [];
+    obj.forEach((v, i) => flattenPaths(v, prefix ? `${prefix}.${i}` : String(i), out));
+    return out;
+  }
+  if (isPlainObject(obj)) {
+    const keys = Object.keys(obj);
+    if (keys.length === 0 && prefix) out[prefix] = {};
+    keys.forEach((k) => flattenPaths(obj[k], prefix ? `${prefix}.${k}` : k, out));
+    return out;
+  }
+  if (prefix) out[prefix] = normalizeLeaf(obj);
+  return out;
+};
+
+/**
+ * Leaf-level diff between two plain objects.
+ * Returns [{ path, before, after }] with redacted values masked.
+ */
+export const diffObjects = (before = {}, after = {}, { ignore = [], redact = [] } = {}) => {
+  const a = flattenPaths(before);
+  const b = flattenPaths(after);
+  const paths = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const skip = [...ALWAYS_IGNORED, ...ignore];
+
+  const changes = [];
+  for (const path of paths) {
+    if (matchesPath(path, skip)) continue;
+    if (JSON.stringify(a[path]) === JSON.stringify(b[path])) continue;
+    const hidden = matchesPath(path, redact);
+    changes.push({
+      path,
+      before: hidden && a[path] !== undefined ? REDACTED : a[path],
+      after: hidden && b[path] !== undefined ? REDACTED : b[path],
+    });
+  }
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+};
+
+const plainOf = (doc) =>
+  doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+
+// Copy without the redacted paths (safe to store in AuditLog).
+// Only the objects along each redacted path are cloned.
+const withoutRedacted = (plain, redact) => {
+  const obj = { ...plain };
+  for (const path of redact) {
+    const parts = path.split(".");
+    let cur = obj;
+    for (let i = 0; i < parts.length - 1 && cur; i++) {
+      if (!isPlainObject(cur[parts[i]])) {
+        cur = null;
+        break;
+      }
+      cur[parts[i]] = { ...cur[parts[i]] };
+      cur = cur[parts[i]];
+    }
+    if (cur) delete cur[parts[parts.length - 1]];
+  }
+  return obj;
+};
+
+const actorFields = (actor) =>
+  actor
+    ? { actor: actor._id, actorName: actor.name, actorRole: actor.role }
+    : { actorName: "system", actorRole: "system" };
+
+/**
+ * Write one audit entry directly (for actions that are not a plain save,
+ * e.g. deletes or sensitive reads).
+ */
+export const recordAudit = async ({ entity, entityId, action, actor, changes = [], snapshot, meta, session }) => {
+  const fields = [...new Set(changes.map((c) => c.path.split(".")[0]))];
+  const [entry] = await AuditLog.create(
+    [{ entity, entityId, action, ...actorFields(actor), changes, fields, snapshot, meta }],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+/**
+ * Mongoose plugin.
+ * @param {object} options
+ * @param {string} options.entity  Name stored on each AuditLog entry
+ * @param {string[]} [options.ignore]  Paths never diffed (e.g. embedded history)
+ * @param {string[]} [options.redact]  Paths whose values are masked / left out of snapshots
+ */
+export const auditPlugin = (schema, { entity, ignore = [], redact = [] } = {}) => {
+  schema.static("auditRedactedPaths", () => [...redact]);
+
+  // Snapshot safe to store (redacted paths removed), e.g. before a delete
+  schema.methods.auditSnapshot = function () {
+    return withoutRedacted(plainOf(this), redact);
+  };
+
+  schema.methods.setAuditActor = function (actor, action, meta) {
+    this.$locals.auditActor = actor;
+    if (action) this.$locals.auditAction = action;
+    if (meta) this.$locals.auditMeta = meta;
+    return this;
+  };
+
+  schema.post("init", function () {
+    this.$locals.auditBefore = plainOf(this);
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post("save", async function (doc) {
+    const after = plainOf(doc);
+    const before = doc.$locals.auditWasNew ? {} : doc.$locals.auditBefore || {};
+    const changes = diffObjects(before, after, { ignore, redact });
+
+    const action = doc.$locals.auditAction || (doc.$locals.auditWasNew ? "create" : "update");
+    if (changes.length > 0 || action !== "update") {
+      try {
+        await recordAudit({
+          entity,
+          entityId: doc._id,
+          action,
+          actor: doc.$locals.auditActor,
+          changes,
+          snapshot: withoutRedacted(after, redact),
+          meta: doc.$locals.auditMeta,
+          session: doc.$session(),
+        });
+      } catch (e) {
+        // The save itself already succeeded; never fail the request on the audit write
+        console.error(`Audit log write failed for ${entity} ${doc._id}:`, e.message);
+      }
+    }
+
+    // Subsequent saves of the same instance diff against this state
+    doc.$locals.auditBefore = after;
+    delete doc.$locals.auditAction;
+    delete doc.$locals.auditMeta;
+  });
+};
+
+export default auditPlugin;
@@ -0,0 +1,14 @@
+// utils/bookingAccess.js (ESM)
+
+/**
+ * Admins see every booking; everyone else only the bookings they own.
+ * Works with documents and lean objects (agent may be an id or a populated doc).
+ */
+export const canAccessBooking = (booking, user) => {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  const agentId = booking?.agent?._id || booking?.agent;
+  return agentId ? String(agentId) === String(user._id) : false;
+};
+
+export default canAccessBooking;
@@ -0,0 +1,183 @@
+// utils/bookingExport.js (ESM)
+//
+// Streams bookings as CSV or XLSX. Each booking is one row: hotels, visas and
+// transport legs are flattened into text columns, costing/ledger totals into
+// numeric ones. Card data is never read (excluded from the projection).
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import ExcelJS from "exceljs";
+import { currentPaymentState } from "./bookingLedger.js";
+import { attachIdentities } from "./identityResolver.js";
+import { routeSummary } from "./gdsParser.js";
+import { hotelCity, hotelsOf } from "./hotels.js";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const BATCH_SIZE = 200;
+
+// Never loaded for exports
+const EXCLUDED_FIELDS = "-card -cardholderName -payment -payments -statusHistory";
+
+const isoDate = (d) => {
+  if (!d) return "";
+  const date = new Date(d);
+  return Number.isNaN(date.getTime()) ? String(d) : date.toISOString().slice(0, 10);
+};
+
+const num = (n) => (n === undefined || n === null || n === "" ? "" : Number(n));
+
+const legsOf = (b) => (b.transportation?.legs?.length ? b.transportation.legs : b.transport?.legs || []);
+const visasOf = (b) => b.visas?.passengers || [];
+const pnrsOf = (b) => (b.pnrs?.length ? b.pnrs : b.pnr ? [b.pnr] : []);
+
+const hotelText = (h) =>
+  `${h.name || h.hotelName || "?"} (${hotelCity(h)}${h.roomType ? `, ${h.roomType}` : ""}) ${isoDate(h.checkIn)} to ${isoDate(h.checkOut)}`;
+
+const hotelsIn = (b, city) => hotelsOf(b).filter((h) => hotelCity(h) === city).map(hotelText).join("; ");
+
+/**
+ * Column registry: key (used in ?columns=), header and value getter.
+ */
+export const EXPORT_COLUMNS = [
+  { key: "id", header: "Booking ID", value: (b) => String(b._id) },
+  { key: "createdAt", header: "Created", value: (b) => isoDate(b.createdAt) },
+  { key: "date", header: "Booking Date", value: (b) => isoDate(b.date) },
+  { key: "customerName", header: "Customer", value: (b) => b.customerName || "" },
+  { key: "customerEmail", header: "Email", value: (b) => b.customerEmail || "" },
+  { key: "contactNumber", header: "Phone", value: (b) => b.contactNumber || "" },
+  { key: "package", header: "Package", value: (b) => b.package || "" },
+  { key: "status", header: "Status", value: (b) => b.status || "" },
+  { key: "approvalStatus", header: "Approval", value: (b) => b.approvalStatus || "" },
+  { key: "agentName", header: "Agent", value: (b) => b.agent?.name || "" },
+  { key: "agentEmail", header: "Agent Email", value: (b) => b.agent?.email || "" },
+  { key: "pnrs", header: "PNRs", value: (b) => pnrsOf(b).join(" ") },
+  { key: "route", header: "Route", value: (b) => routeSummary(b.flights?.segments || []) },
+  { key: "departureDate", header: "Departure", value: (b) => isoDate(b.departureDate) },
+  { key: "returnDate", header: "Return", value: (b) => isoDate(b.returnDate) },
+  { key: "adults", header: "Adults", value: (b) => num(b.adults) },
+  { key: "children", header: "Children", value: (b) => num(b.children) },
+  { key: "hotelCount", header: "Hotels", value: (b) => hotelsOf(b).length },
+  { key: "makkahHotels", header: "Makkah Hotels", value: (b) => hotelsIn(b, "Makkah") },
+  { key: "madinaHotels", header: "Madina Hotels", value: (b) => hotelsIn(b, "Madina") },
+  { key: "hotels", header: "All Hotels", value: (b) => hotelsOf(b).map(hotelText).join("; ") },
+  { key: "visaCount", header: "Visas", value: (b) => visasOf(b).length },
+  {
+    key: "visaPassengers",
+    header: "Visa Passengers",
+    value: (b) => visasOf(b).map((p) => `${p.fullName || "?"} (${p.nationality || "?"}, ${p.visaType || "?"})`).join("; "),
+  },
+  { key: "transportLegCount", header: "Transport Legs", value: (b) => legsOf(b).length },
+  {
+    key: "transportLegs",
+    header: "Transport",
+    value: (b) =>
+      legsOf(b)
+        .map((l) => `${l.from || "?"} to ${l.to || "?"} ${l.vehicleType || ""} ${l.date || ""} ${l.time || ""}`.replace(/\s+/g, " ").trim())
+        .join("; "),
+  },
+  { key: "currency", header: "Currency", value: (b) => b.currency || "USD" },
+  { key: "totalCost", header: "Total Cost", value: (b) => num(b.costing?.totals?.totalCost) },
+  { key: "totalSale", header: "Total Sale", value: (b) => num(b.costing?.totals?.totalSale) },
+  { key: "profit", header: "Profit", value: (b) => num(b.costing?.totals?.profit) },
+  { key: "marginPct", header: "Margin %", value: (b) => num(b.costing?.totals?.marginPct) },
+  { key: "negativeMargin", header: "Negative Margin", value: (b) => (b.costing?.negativeMargin ? "yes" : "no") },
+  { key: "paid", header: "Paid", value: (b) => num(b.paymentSummary?.paid) },
+  { key: "balance", header: "Balance", value: (b) => num(b.paymentSummary?.balance) },
+  { key: "paymentState", header: "Payment State", value: (b) => (b.paymentSummary ? currentPaymentState(b.paymentSummary) : "") },
+  { key: "paymentDueDate", header: "Payment Due", value: (b) => isoDate(b.paymentSummary?.dueDate) },
+];
+
+const exportError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * "?columns=id,customerName,totalSale" -> column definitions (all when empty).
+ */
+export const selectColumns = (value) => {
+  if (!value) return EXPORT_COLUMNS;
+  const keys = String(value).split(",").map((k) => k.trim()).filter(Boolean);
+  const unknown = keys.filter((k) => !EXPORT_COLUMNS.some((c) => c.key === k));
+  if (unknown.length > 0) {
+    throw exportError(`Unknown columns: ${unknown.join(", ")}. Available: ${EXPORT_COLUMNS.map((c) => c.key).join(", ")}`);
+  }
+  return keys.map((k) => EXPORT_COLUMNS.find((c) => c.key === k));
+};
+
+// Quote for CSV; cells that a spreadsheet would run as a formula are prefixed with '
+export const csvCell = (value) => {
+  let s = value === undefined || value === null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Lean bookings in batches, with agent names resolved per batch
+async function* bookingBatches(Booking, filter, sort) {
+  const cursor = Booking.find(filter)
+    .select(EXCLUDED_FIELDS)
+    .sort(sort)
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) {
+      yield await attachIdentities(batch, "agent");
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield await attachIdentities(batch, "agent");
+}
+
+async function* csvLines(batches, columns) {
+  yield `\uFEFF${columns.map((c) => csvCell(c.header)).join(",")}\r\n`; // BOM for Excel
+  for await (const batch of batches) {
+    yield batch.map((b) => columns.map((c) => csvCell(c.value(b))).join(",")).join("\r\n") + "\r\n";
+  }
+}
+
+// pipeline() handles backpressure and, when the client goes away, stops the
+// generator (which closes the cursor)
+const writeCsv = (res, batches, columns) => pipeline(Readable.from(csvLines(batches, columns)), res);
+
+const writeXlsx = async (res, batches, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet("Bookings");
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const batch of batches) {
+    // Client gone: leaving the loop closes the cursor
+    if (res.destroyed) return;
+    batch.forEach((b) => sheet.addRow(columns.map((c) => c.value(b))).commit());
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream the export to the response. `filter`/`sort` come from utils/bookingQuery.js.
+ */
+export const streamBookingExport = async (res, Booking, { filter, sort, columns, format = "csv" }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const batches = bookingBatches(Booking, filter, sort);
+
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="bookings-${stamp}.xlsx"`);
+    return writeXlsx(res, batches, columns);
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="bookings-${stamp}.csv"`);
+  try {
+    await writeCsv(res, batches, columns);
+  } catch (e) {
+    // The client aborted the download; nothing left to do
+    if (e.code !== "ERR_STREAM_PREMATURE_CLOSE") throw e;
+  }
+};
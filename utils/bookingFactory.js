@@ -0,0 +1,169 @@
+// utils/bookingFactory.js (ESM)
+//
+// Builds a new, unsaved Booking from a create payload. POST /api/bookings and the
+// spreadsheet import both go through here so they apply the same rules.
+// Invalid payloads throw with status 400 (and `details` where useful).
+import Booking from "../models/Booking.js";
+import { INITIAL_STATUSES, initialHistoryEntry } from "./bookingLifecycle.js";
+import { cardFromPayload } from "./cardVault.js";
+import { normalizeCosting } from "./costing.js";
+import { buildCostingConverter, isCurrencyCode, normalizeCurrency } from "./currency.js";
+import { normalizeFlights } from "./gdsParser.js";
+import { normalizeFlightPayments } from "./installments.js";
+import { pnrSet, validatePnrs } from "./pnrRegistry.js";
+import { normalizeTravellers } from "./travellers.js";
+import { findPackage } from "./packages.js";
+
+export const REQUIRED_FIELDS = ["customerName", "customerEmail", "package", "date"];
+
+const bookingError = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+/**
+ * Validate a create payload and build the Booking (not saved, PNR conflicts not checked).
+ * @param {object} payload  Body of POST /api/bookings, or a mapped import row
+ * @param {object} actor    Acting user; default agent and first statusHistory entry
+ * @param {object} [options] { companyId }: company whose rate table converts foreign-currency rows;
+ *                            { convert }: converter to use instead (e.g. the rates a quote was priced at)
+ */
+export const buildNewBooking = async (payload, actor, { companyId, convert: fixedConvert } = {}) => {
+  const {
+    // original
+    customerName,
+    customerEmail,
+    package: pkg,
+    packageId, // catalogue package; fills in the name and currency when they are not sent
+    date,
+    currency, // sale currency (defaults to the package currency, then USD)
+    agent, // Accept agent from request body (for admin creating bookings for other agents)
+
+    // new (revision)
+    pnr,
+    flights,
+    hotels,
+    visas,
+    transportation,
+    emergencyContacts,
+    travellers,
+    costing,
+    flightPayments,
+    status, // optional set by admin/agent
+    
+    // Additional fields
+    contactNumber,
+    passengers,
+    adults,
+    children,
+    departureDate,
+    returnDate,
+    packagePrice,
+    additionalServices,
+    amount,
+    totalAmount,
+    paymentMethod,
+    
+    // Payment tracking
+    paymentReceived,
+    paymentDue,
+    payment,
+    
+    // Credit card (cvv is accepted by the UI but never stored)
+    cardNumber,
+    expiryDate,
+    cardholderName,
+    
+    // Legacy fields
+    hotel,
+    visa,
+    transport,
+    flight,
+  } = payload || {};
+
+  const catalogue = packageId ? await findPackage(packageId) : null;
+  const packageName = pkg || catalogue?.name;
+
+  if (!customerName || !customerEmail || !packageName || !date) {
+    const given = { customerName, customerEmail, package: packageName, date };
+    throw bookingError("Missing required fields.", REQUIRED_FIELDS.filter((field) => !given[field]));
+  }
+
+  // pnr + pnrs are one set; every entry must be 6 alphanumerics (throws 400)
+  const pnrList = validatePnrs(pnrSet({ pnr, pnrs: payload.pnrs }));
+
+  const bookingCurrency = normalizeCurrency(currency || catalogue?.currency);
+  if (!isCurrencyCode(bookingCurrency)) {
+    throw bookingError("currency must be a 3-letter ISO code (e.g. USD, SAR)");
+  }
+
+  // New bookings start as draft or pending; later states go through the lifecycle
+  const initialStatus = status || "pending";
+  if (!INITIAL_STATUSES.includes(initialStatus)) {
+    throw bookingError(`New bookings must start as one of: ${INITIAL_STATUSES.join(", ")}`);
+  }
+
+  // Agent from the payload if provided (admin booking for another agent), otherwise the actor
+  const agentId = agent || actor._id;
+
+  // Rows in another currency are converted at the rate on the booking date
+  const convert = fixedConvert || (await buildCostingConverter(costing?.rows, bookingCurrency, date, companyId));
+
+  return new Booking({
+    customerName,
+    customerEmail,
+    package: packageName,
+    packageId: catalogue?._id,
+    date,
+    currency: bookingCurrency,
+    status: initialStatus,
+    approvalStatus: "pending", // Set approval status to pending
+    statusHistory: [initialHistoryEntry(initialStatus, actor)],
+    agent: agentId,
+
+    // Additional fields
+    contactNumber,
+    passengers,
+    adults,
+    children,
+    departureDate,
+    returnDate,
+    packagePrice,
+    additionalServices,
+    amount: amount || totalAmount,
+    totalAmount: totalAmount || amount,
+    paymentMethod,
+
+    // Credit card info (sealed by the card vault)
+    card: cardFromPayload({ cardNumber, expiryDate }) || undefined,
+    cardholderName,
+    
+    // Flight class
+    flightClass: flight?.flightClass || undefined,
+
+    // Payment tracking
+    paymentReceived,
+    paymentDue,
+    payment,
+
+    // revision sections (optional)
+    pnr: pnrList[0],
+    pnrs: pnrList,
+    flights: normalizeFlights(flights, date) || undefined, // segments parsed from the pasted GDS text
+    hotels: Array.isArray(hotels) ? hotels : undefined,
+    visas: visas || undefined,
+    transportation: transportation || undefined,
+    transport: transport || undefined,
+    emergencyContacts: Array.isArray(emergencyContacts) ? emergencyContacts : undefined,
+    travellers: travellers !== undefined ? normalizeTravellers(travellers) : undefined, // counts derived on save
+    costing: normalizeCosting(costing, { convert }) || undefined, // totals computed from rows
+    flightPayments: normalizeFlightPayments(flightPayments) || undefined, // installment schedule built server-side
+    
+    // Legacy fields
+    hotel: hotel || undefined,
+    visa: visa || undefined,
+    flight: flight || undefined,
+  });
+};
@@ -0,0 +1,155 @@
+// utils/bookingImport.js (ESM)
+//
+// Spreadsheet rows -> create payloads for utils/bookingFactory.js.
+// Columns are matched to booking fields by the template headers (the same
+// headers the export uses, so an export can be edited and imported back) or by
+// field key; a `mapping` of { "<column header>": "<field key>" } overrides both.
+import ExcelJS from "exceljs";
+import { csvCell } from "./bookingExport.js";
+import { REQUIRED_FIELDS } from "./bookingFactory.js";
+
+export const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+const text = (value) => value;
+const integer = (value) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error("must be a whole number");
+  return n;
+};
+const amount = (value) => {
+  const n = Number(String(value).replace(/,/g, ""));
+  if (!Number.isFinite(n) || n < 0) throw new Error("must be a non-negative number");
+  return n;
+};
+const list = (value) => value.split(/[\s,;]+/).filter(Boolean);
+
+/**
+ * Importable fields: key (payload field, also accepted as a header), template
+ * header and parser. Parsers get non-empty text and throw on bad values.
+ */
+export const IMPORT_FIELDS = [
+  { key: "customerName", header: "Customer", parse: text },
+  { key: "customerEmail", header: "Email", parse: text },
+  { key: "contactNumber", header: "Phone", parse: text },
+  { key: "package", header: "Package", parse: text },
+  { key: "date", header: "Booking Date", parse: text },
+  { key: "departureDate", header: "Departure", parse: text },
+  { key: "returnDate", header: "Return", parse: text },
+  { key: "adults", header: "Adults", parse: integer },
+  { key: "children", header: "Children", parse: integer },
+  { key: "passengers", header: "Passengers", parse: text },
+  { key: "pnrs", header: "PNRs", parse: list },
+  { key: "itinerary", header: "Itinerary", parse: text },
+  { key: "currency", header: "Currency", parse: text },
+  { key: "packagePrice", header: "Package Price", parse: amount },
+  { key: "totalAmount", header: "Total Amount", parse: amount },
+  { key: "paymentMethod", header: "Payment Method", parse: text },
+  { key: "status", header: "Status", parse: text },
+];
+
+const importError = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+const fieldByKey = (key) => IMPORT_FIELDS.find((f) => f.key === key);
+const headerOf = (key) => fieldByKey(key)?.header || key;
+
+/**
+ * Work out which column feeds which field.
+ * @param {string[]} headers  Column headers of the uploaded file
+ * @param {object|string} [mapping]  { "<column header>": "<field key>" } (object or JSON)
+ * @returns {{ columns: object, unmapped: string[] }}  header -> field key, and ignored headers
+ */
+export const resolveColumns = (headers, mapping) => {
+  let custom = mapping || {};
+  if (typeof custom === "string") {
+    try {
+      custom = JSON.parse(custom);
+    } catch {
+      throw importError("mapping must be a JSON object of { \"<column header>\": \"<field key>\" }");
+    }
+  }
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw importError("mapping must be a JSON object of { \"<column header>\": \"<field key>\" }");
+  }
+
+  const unknownFields = Object.values(custom).filter((key) => !fieldByKey(key));
+  if (unknownFields.length > 0) {
+    throw importError(
+      `Unknown fields in mapping: ${unknownFields.join(", ")}. Available: ${IMPORT_FIELDS.map((f) => f.key).join(", ")}`
+    );
+  }
+  const missingHeaders = Object.keys(custom).filter((h) => !headers.includes(h));
+  if (missingHeaders.length > 0) throw importError(`Mapped columns not found in the file: ${missingHeaders.join(", ")}`);
+
+  const columns = {};
+  const unmapped = [];
+  headers.forEach((h) => {
+    const wanted = h.toLowerCase();
+    const field = custom[h]
+      ? fieldByKey(custom[h])
+      : IMPORT_FIELDS.find((f) => f.header.toLowerCase() === wanted || f.key.toLowerCase() === wanted);
+    if (field) columns[h] = field.key;
+    else unmapped.push(h);
+  });
+
+  const fed = Object.values(columns);
+  const twice = fed.filter((key, i) => fed.indexOf(key) !== i);
+  if (twice.length > 0) throw importError(`More than one column maps to: ${[...new Set(twice)].join(", ")}`);
+  const missing = REQUIRED_FIELDS.filter((key) => !fed.includes(key));
+  if (missing.length > 0) {
+    throw importError(`No column for required fields: ${missing.map(headerOf).join(", ")}`, missing);
+  }
+  return { columns, unmapped };
+};
+
+/**
+ * One spreadsheet row -> create payload. Values that fail to parse are reported
+ * in `errors` ([{ field, column, message }]) and left out of the payload.
+ */
+export const rowToPayload = (values, columns) => {
+  const payload = {};
+  const errors = [];
+  Object.entries(columns).forEach(([column, key]) => {
+    const raw = values[column];
+    if (raw === undefined || raw === "") return;
+    try {
+      payload[key] = fieldByKey(key).parse(raw);
+    } catch (e) {
+      errors.push({ field: key, column, message: `${column} ${e.message}` });
+    }
+  });
+
+  // Pasted GDS text goes where the booking form puts it
+  if (payload.itinerary) payload.flights = { raw: payload.itinerary };
+  delete payload.itinerary;
+  return { payload, errors };
+};
+
+/**
+ * Empty template (header row only) in the requested format, written to `res`.
+ */
+export const writeImportTemplate = async (res, format = "csv") => {
+  const headers = IMPORT_FIELDS.map((f) => f.header);
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", 'attachment; filename="booking-import-template.xlsx"');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Bookings");
+    sheet.columns = headers.map((header) => ({ header, width: Math.max(12, header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    return res.end(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="booking-import-template.csv"');
+  return res.end(`\uFEFF${headers.map(csvCell).join(",")}\r\n`);
+};
+
+/**
+ * Field list for building a mapping in the UI.
+ */
+export const importFieldList = () =>
+  IMPORT_FIELDS.map((f) => ({ key: f.key, header: f.header, required: REQUIRED_FIELDS.includes(f.key) }));
@@ -0,0 +1,76 @@
+// utils/bookingLedger.js (ESM)
+//
+// Payments ledger maths: what a booking is worth, what has been paid against it
+// and the resulting state (unpaid / partially-paid / paid / overdue).
+
+export const PAYMENT_METHODS = ["credit_card", "zelle", "wire_transfer", "cash", "check"];
+
+export const PAYMENT_STATES = ["unpaid", "partially-paid", "paid", "overdue"];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Amount the customer owes in total: costing sale total when present,
+ * otherwise the legacy totalAmount / amount.
+ */
+export const bookingTotal = (booking) => {
+  const totalSale = Number(booking?.costing?.totals?.totalSale) || 0;
+  if (totalSale > 0) return round2(totalSale);
+  return round2(booking?.totalAmount || booking?.amount || 0);
+};
+
+// Value of a ledger entry in the booking currency
+export const paymentValue = (p) => Number(p?.convertedAmount ?? p?.amount) || 0;
+
+// Ledger entries that count (voided ones stay for the record only)
+export const activePayments = (booking) =>
+  (booking?.payments || []).filter((p) => !p.voided);
+
+/**
+ * Payment state from a summary's numbers at `now`. "overdue" depends on the
+ * clock, so it is never stored: stored summaries are re-read through this.
+ */
+export const currentPaymentState = ({ total, paid, balance, dueDate } = {}, now = new Date()) => {
+  let state = "unpaid";
+  if (total > 0 && balance <= 0) state = "paid";
+  else if (paid > 0) state = "partially-paid";
+  if (state !== "paid" && balance > 0 && dueDate && new Date(dueDate) < now) state = "overdue";
+  return state;
+};
+
+/**
+ * Balance of a booking as stored in `paymentSummary` (state without "overdue").
+ * Bookings without ledger entries fall back to the legacy `paymentReceived`.
+ */
+export const ledgerSummary = (booking) => {
+  const entries = activePayments(booking);
+  const total = bookingTotal(booking);
+
+  let paid;
+  let lastPaymentAt = null;
+  if (entries.length > 0) {
+    paid = entries.reduce((sum, p) => sum + paymentValue(p), 0);
+    lastPaymentAt = entries.reduce((last, p) => (!last || p.date > last ? p.date : last), null);
+  } else {
+    paid = Number(booking?.paymentReceived?.amount) || 0;
+    lastPaymentAt = booking?.paymentReceived?.date || null;
+  }
+  paid = round2(paid);
+  const balance = round2(total - paid);
+  const dueDate = booking?.paymentDue?.dueDate || booking?.departureDate || null;
+
+  const summary = { total, paid, balance, dueDate, lastPaymentAt };
+  return { ...summary, state: currentPaymentState({ ...summary, dueDate: null }) };
+};
+
+// Live balance of a booking, overdue included
+export const summarizePayments = (booking, now = new Date()) => {
+  const summary = ledgerSummary(booking);
+  return { ...summary, state: currentPaymentState(summary, now) };
+};
+
+// Stored summary (lean or toJSON output) with its state brought up to `now`
+export const withCurrentPaymentState = (booking, now = new Date()) => {
+  if (booking?.paymentSummary) booking.paymentSummary.state = currentPaymentState(booking.paymentSummary, now);
+  return booking;
+};
@@ -0,0 +1,115 @@
+// utils/bookingLifecycle.js (ESM)
+//
+// Booking lifecycle: the allowed status / approval transitions and the helper
+// that applies them while recording who made the change, when and why.
+
+export const BOOKING_STATUSES = [
+  "draft",
+  "pending",
+  "approved",
+  "confirmed",
+  "ticketed",
+  "travelled",
+  "cancelled",
+];
+
+export const APPROVAL_STATUSES = ["pending", "approved", "rejected"];
+
+// status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  draft: ["pending", "cancelled"],
+  pending: ["approved", "confirmed", "cancelled"],
+  approved: ["confirmed", "pending", "cancelled"],
+  confirmed: ["ticketed", "cancelled"],
+  ticketed: ["travelled", "cancelled"],
+  travelled: [],
+  cancelled: [],
+};
+
+const APPROVAL_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["pending", "rejected"],
+  rejected: ["pending", "approved"],
+};
+
+// Target states that only an admin may move a booking into
+const ADMIN_ONLY_STATUSES = ["approved", "confirmed"];
+
+// Statuses a booking may be created in
+export const INITIAL_STATUSES = ["draft", "pending"];
+
+const transitionError = (message, status = 409) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const TABLES = {
+  status: { transitions: STATUS_TRANSITIONS, values: BOOKING_STATUSES, initial: "pending" },
+  approvalStatus: { transitions: APPROVAL_TRANSITIONS, values: APPROVAL_STATUSES, initial: "pending" },
+};
+
+/**
+ * Next statuses reachable from `from` for the given field ("status" | "approvalStatus").
+ */
+export const allowedTransitions = (from, field = "status") => {
+  const table = TABLES[field];
+  return table.transitions[from || table.initial] || [];
+};
+
+export const canTransition = (from, to, field = "status") =>
+  allowedTransitions(from, field).includes(to);
+
+/**
+ * Move `booking[field]` to `to`, appending an entry to `booking.statusHistory`.
+ * Throws an Error carrying `status` (400/403/409) when the change is not allowed.
+ * Returns false (and records nothing) when the booking is already in that state.
+ */
+export const transitionBooking = (booking, to, { actor, reason, field = "status" } = {}) => {
+  const table = TABLES[field];
+  if (!table) throw transitionError(`Unknown lifecycle field "${field}"`, 400);
+
+  if (!table.values.includes(to)) {
+    throw transitionError(`Invalid ${field} "${to}". Expected one of: ${table.values.join(", ")}`, 400);
+  }
+
+  const from = booking[field] || table.initial;
+  if (from === to) return false;
+
+  if (!canTransition(from, to, field)) {
+    throw transitionError(`Cannot change ${field} from "${from}" to "${to}"`);
+  }
+
+  const isAdmin = actor?.role === "admin";
+  if (!isAdmin && (field === "approvalStatus" || ADMIN_ONLY_STATUSES.includes(to))) {
+    throw transitionError(`Only an admin can set ${field} to "${to}"`, 403);
+  }
+
+  booking[field] = to;
+  booking.statusHistory = booking.statusHistory || [];
+  booking.statusHistory.push({
+    field,
+    from,
+    to,
+    actor: actor?._id,
+    actorName: actor?.name,
+    actorRole: actor?.role,
+    reason: reason || undefined,
+    at: new Date(),
+  });
+  return true;
+};
+
+/**
+ * First history entry for a freshly created booking.
+ */
+export const initialHistoryEntry = (status, actor) => ({
+  field: "status",
+  from: null,
+  to: status,
+  actor: actor?._id,
+  actorName: actor?.name,
+  actorRole: actor?.role,
+  reason: "Booking created",
+  at: new Date(),
+});
@@ -0,0 +1,214 @@
+// utils/bookingQuery.js (ESM)
+//
+// Query-string -> Mongo filter / sort / keyset cursor for booking lists.
+//   ?status=pending,approved&approvalStatus=approved&agent=<id>
+//   &departureFrom=2026-01-01&departureTo=2026-03-31&createdFrom=&createdTo=
+//   &package=umrah&packageId=<id>&group=<id>&q=<customer name / email / phone / PNR>
+//   &sort=-departureDate&limit=25&cursor=<pageInfo.nextCursor>
+import mongoose from "mongoose";
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+
+// Public sort keys -> document paths
+export const BOOKING_SORTS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  date: "date",
+  departureDate: "departureDate",
+  customerName: "customerName",
+  status: "status",
+  totalSale: "costing.totals.totalSale",
+  balance: "paymentSummary.balance",
+};
+
+const DATE_SORTS = ["createdAt", "updatedAt", "date", "departureDate"];
+
+const queryError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Query-string date -> Date; throws (status 400) naming the parameter when malformed
+export const dateParam = (value, name, endOfDay = false) => {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw queryError(`Invalid ${name} date`);
+  // A bare YYYY-MM-DD upper bound includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) d.setUTCHours(23, 59, 59, 999);
+  return d;
+};
+
+const rangeParam = (from, to, name) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = dateParam(from, `${name}From`);
+  if (to) range.$lte = dateParam(to, `${name}To`, true);
+  return range;
+};
+
+// Query keys that switch a list endpoint to the paginated envelope
+export const LIST_QUERY_KEYS = [
+  "status", "approvalStatus", "agent", "departureFrom", "departureTo", "createdFrom", "createdTo",
+  "package", "packageId", "group", "q", "sort", "limit", "cursor",
+];
+
+export const hasListQuery = (query = {}) => LIST_QUERY_KEYS.some((k) => query[k] !== undefined);
+
+// Optional cap on the legacy array response (LEGACY_LIST_LIMIT); 0 / unset = no cap
+export const legacyListLimit = () => Math.max(parseInt(process.env.LEGACY_LIST_LIMIT, 10) || 0, 0);
+
+/**
+ * Legacy list (no list params): every matching booking, in `sort` order, as before.
+ * With LEGACY_LIST_LIMIT set, only the newest that many; `truncated` then says
+ * older ones were left out (use the paged list).
+ */
+export const findLegacyList = async (Booking, filter = {}, sort) => {
+  const limit = legacyListLimit();
+  if (!limit) {
+    const query = Booking.find(filter);
+    if (sort) query.sort(sort);
+    return { data: await query.lean(), truncated: false };
+  }
+
+  const docs = await Booking.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const truncated = docs.length > limit;
+  return { data: truncated ? docs.slice(0, limit) : docs, truncated };
+};
+
+/**
+ * Filter for the list query. Throws (status 400) on malformed values.
+ */
+export const buildBookingFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.status) filter.status = { $in: listParam(query.status) };
+  if (query.approvalStatus) filter.approvalStatus = { $in: listParam(query.approvalStatus) };
+
+  if (query.agent) {
+    if (!mongoose.Types.ObjectId.isValid(String(query.agent))) throw queryError("Invalid agent id");
+    filter.agent = new mongoose.Types.ObjectId(String(query.agent));
+  }
+
+  const departure = rangeParam(query.departureFrom, query.departureTo, "departure");
+  if (departure) filter.departureDate = departure;
+  const created = rangeParam(query.createdFrom, query.createdTo, "created");
+  if (created) filter.createdAt = created;
+
+  if (query.package) filter.package = { $regex: escapeRegex(query.package), $options: "i" };
+  if (query.packageId) {
+    if (!mongoose.Types.ObjectId.isValid(String(query.packageId))) throw queryError("Invalid packageId");
+    filter.packageId = new mongoose.Types.ObjectId(String(query.packageId));
+  }
+  if (query.group) {
+    if (!mongoose.Types.ObjectId.isValid(String(query.group))) throw queryError("Invalid group");
+    filter.group = new mongoose.Types.ObjectId(String(query.group));
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const q = String(query.q).trim();
+    const rx = { $regex: escapeRegex(q), $options: "i" };
+    const or = [{ customerName: rx }, { customerEmail: rx }, { contactNumber: rx }];
+    const pnr = q.replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+    if (pnr.length === 6) or.push({ pnrs: pnr }, { pnr });
+    filter.$or = or;
+  }
+
+  return filter;
+};
+
+/**
+ * "?sort=-departureDate" -> { key, path, direction }
+ */
+export const parseSort = (value = "-createdAt") => {
+  const raw = String(value || "-createdAt").trim();
+  const direction = raw.startsWith("-") ? -1 : 1;
+  const key = raw.replace(/^[-+]/, "");
+  if (!BOOKING_SORTS[key]) {
+    throw queryError(`sort must be one of: ${Object.keys(BOOKING_SORTS).join(", ")} (prefix "-" for descending)`);
+  }
+  return { key, path: BOOKING_SORTS[key], direction };
+};
+
+const getPath = (obj, path) => path.split(".").reduce((cur, k) => (cur == null ? undefined : cur[k]), obj);
+
+// Cursor = base64url({ k: sortKey, v: last sort value, id: last _id })
+export const encodeCursor = (doc, sort) => {
+  const value = getPath(doc, sort.path);
+  return Buffer.from(JSON.stringify({ k: sort.key, v: value ?? null, id: String(doc._id) })).toString("base64url");
+};
+
+export const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw queryError("Invalid cursor");
+  }
+  if (parsed?.k !== sort.key || !mongoose.Types.ObjectId.isValid(parsed.id)) {
+    throw queryError("Cursor does not match this sort; start again without a cursor");
+  }
+  const value = parsed.v !== null && DATE_SORTS.includes(sort.key) ? new Date(parsed.v) : parsed.v;
+  return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+};
+
+/**
+ * Documents after the cursor position for (sort field, _id) ordering.
+ * Missing values sort first ascending / last descending, as in MongoDB.
+ */
+const afterCursor = ({ value, id }, { path, direction }) => {
+  const idOp = direction === 1 ? "$gt" : "$lt";
+  const valueOp = direction === 1 ? "$gt" : "$lt";
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [path]: null, _id: { $gt: id } }, { [path]: { $ne: null } }] }
+      : { [path]: null, _id: { $lt: id } };
+  }
+  const or = [{ [path]: { [valueOp]: value } }, { [path]: value, _id: { [idOp]: id } }];
+  if (direction === -1) or.push({ [path]: null });
+  return { $or: or };
+};
+
+/**
+ * Run a paginated list query.
+ * Returns { data, pageInfo: { limit, sort, hasNextPage, nextCursor }, total }.
+ */
+export const findBookingsPage = async (Booking, baseFilter, query = {}) => {
+  const sort = parseSort(query.sort);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pageFilter = query.cursor
+    ? { $and: [baseFilter, afterCursor(decodeCursor(query.cursor, sort), sort)] }
+    : baseFilter;
+
+  const [docs, total] = await Promise.all([
+    Booking.find(pageFilter)
+      .sort({ [sort.path]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .lean(),
+    Booking.countDocuments(baseFilter),
+  ]);
+
+  const hasNextPage = docs.length > limit;
+  const data = hasNextPage ? docs.slice(0, limit) : docs;
+  return {
+    data,
+    pageInfo: {
+      limit,
+      sort: `${sort.direction === -1 ? "-" : ""}${sort.key}`,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(data[data.length - 1], sort) : null,
+    },
+    total,
+  };
+};
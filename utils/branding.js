@@ -0,0 +1,91 @@
+// utils/branding.js (ESM)
+//
+// Branding for generated PDFs, taken from the Company record: name, tagline,
+// contact footer, primary colour and logo. Logos are read from local storage
+// (BRANDING_DIR, default ./uploads); remote URLs are not fetched.
+import fs from "fs/promises";
+import path from "path";
+import { findCompany } from "./companyLookup.js";
+
+// Used when no company record exists (single-tenant installs)
+export const DEFAULT_BRANDING = {
+  name: "MUSTAFA TRAVELS & TOUR",
+  tagline: "Luxury Umrah Partner",
+  email: "info@mustafatravelsandtour.com",
+  phone: "+1 845-359-3888",
+  website: "www.mustafatravelsandtour.com",
+  address: "",
+  primaryColor: "#000000",
+  logo: null,
+};
+
+const BRANDING_FIELDS = "name tagline email phone address domain primaryColor logoUrl";
+const LOGO_TYPES = [".png", ".jpg", ".jpeg"]; // formats pdfkit can embed
+
+const brandingRoot = () => path.resolve(process.env.BRANDING_DIR || "uploads");
+
+const isHexColor = (c) => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(c || ""));
+
+// "#abc" -> "#aabbcc"
+const expandHex = (c) =>
+  c.length === 4 ? `#${c[1]}${c[1]}${c[2]}${c[2]}${c[3]}${c[3]}` : c;
+
+/**
+ * Black or white, whichever reads better on `hex`.
+ */
+export const contrastColor = (hex) => {
+  const c = expandHex(hex);
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(c.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 160 ? "#000000" : "#ffffff";
+};
+
+// Cached by absolute path + mtime so replaced logos are picked up
+const logoCache = new Map();
+
+/**
+ * Logo bytes for a `logoUrl` stored on the company, or null.
+ * Only files inside the branding directory are read.
+ */
+export const loadLogo = async (logoUrl) => {
+  if (!logoUrl || /^[a-z]+:\/\//i.test(logoUrl)) return null;
+
+  const root = brandingRoot();
+  const relative = logoUrl.replace(/^\/+/, "").replace(/^uploads\//, "");
+  const file = path.resolve(root, relative);
+  if (!file.startsWith(root + path.sep)) return null;
+  if (!LOGO_TYPES.includes(path.extname(file).toLowerCase())) return null;
+
+  try {
+    const { mtimeMs } = await fs.stat(file);
+    const cached = logoCache.get(file);
+    if (cached?.mtimeMs === mtimeMs) return cached.data;
+    const data = await fs.readFile(file);
+    logoCache.set(file, { mtimeMs, data });
+    return data;
+  } catch (e) {
+    console.warn(`Company logo not readable (${logoUrl}):`, e.message);
+    return null;
+  }
+};
+
+/**
+ * Branding for PDFs of the given company (falls back to DEFAULT_BRANDING).
+ */
+export const loadBranding = async (companyId) => {
+  const company = await findCompany(companyId, BRANDING_FIELDS);
+  if (!company) return { ...DEFAULT_BRANDING };
+
+  return {
+    name: company.name || DEFAULT_BRANDING.name,
+    tagline: company.tagline || "",
+    email: company.email || "",
+    phone: company.phone || "",
+    website: company.domain ? `www.${company.domain.replace(/^www\./, "")}` : "",
+    address: company.address || "",
+    primaryColor: isHexColor(company.primaryColor) ? expandHex(company.primaryColor) : DEFAULT_BRANDING.primaryColor,
+    logo: await loadLogo(company.logoUrl),
+  };
+};
+
+// "email | phone | website" line for footers
+export const contactLine = (brand) => [brand.email, brand.phone, brand.website].filter(Boolean).join(" | ");
@@ -0,0 +1,85 @@
+// utils/cardVault.js (ESM)
+//
+// Card data at rest: the card number and expiry are sealed with AES-256-GCM using
+// CARD_VAULT_KEY (32 bytes, hex or base64). Only last4/brand stay readable.
+// CVV is never stored.
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+const vaultError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const getKey = () => {
+  const raw = process.env.CARD_VAULT_KEY;
+  if (!raw) throw vaultError("Card vault key not configured (CARD_VAULT_KEY)");
+
+  const key = /^[0-9a-fA-F]{64}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) throw vaultError("CARD_VAULT_KEY must be 32 bytes (64 hex chars or base64)");
+  return key;
+};
+
+export const detectBrand = (number) => {
+  if (/^4/.test(number)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(number)) return "mastercard";
+  if (/^3[47]/.test(number)) return "amex";
+  if (/^6(011|5)/.test(number)) return "discover";
+  return "card";
+};
+
+export const maskCardNumber = (last4) => (last4 ? `**** **** **** ${last4}` : "");
+
+// Masked values echoed back by the UI ("**** **** **** 1234") mean "unchanged"
+export const isMaskedValue = (value) => typeof value === "string" && value.includes("*");
+
+/**
+ * Encrypt card number + expiry. Returns the value stored under `booking.card`.
+ */
+export const sealCard = ({ number, expiryDate }) => {
+  const digits = String(number || "").replace(/\D/g, "");
+  if (digits.length < 12 || digits.length > 19) {
+    throw vaultError("Card number must be 12–19 digits", 400);
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const plain = JSON.stringify({ number: digits, expiryDate: expiryDate || null });
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return {
+    encrypted: [VERSION, iv.toString("base64"), tag.toString("base64"), data.toString("base64")].join(":"),
+    last4: digits.slice(-4),
+    brand: detectBrand(digits),
+  };
+};
+
+/**
+ * Decrypt a sealed card (requires the `card.encrypted` path to be selected).
+ */
+export const openCard = (card) => {
+  if (!card?.encrypted) throw vaultError("No card stored for this booking", 404);
+
+  const [version, iv, tag, data] = card.encrypted.split(":");
+  if (version !== VERSION) throw vaultError(`Unsupported card vault version "${version}"`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+  return JSON.parse(plain);
+};
+
+/**
+ * Card fields from a create/update payload -> value for `booking.card`.
+ * Returns undefined when nothing new was sent (missing or masked number),
+ * null when the client cleared the card. CVV is ignored on purpose.
+ */
+export const cardFromPayload = ({ cardNumber, expiryDate } = {}) => {
+  if (cardNumber === undefined || isMaskedValue(cardNumber)) return undefined;
+  if (cardNumber === null || String(cardNumber).trim() === "") return null;
+  return sealCard({ number: cardNumber, expiryDate });
+};
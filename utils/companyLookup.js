@@ -0,0 +1,19 @@
+// utils/companyLookup.js (ESM)
+import mongoose from "mongoose";
+import Company from "../models/company.js";
+
+/**
+ * Company for a request: explicit id, DEFAULT_COMPANY_ID, or the first company.
+ * Returns a lean document with the selected fields, or null.
+ */
+export const findCompany = async (companyId, select) => {
+  const id = companyId || process.env.DEFAULT_COMPANY_ID;
+  let company = null;
+  if (id && mongoose.Types.ObjectId.isValid(String(id))) {
+    company = await Company.findById(id).select(select).lean();
+  }
+  if (!company) company = await Company.findOne().sort({ createdAt: 1 }).select(select).lean();
+  return company;
+};
+
+export default findCompany;
@@ -0,0 +1,104 @@
+// utils/costing.js (ESM)
+//
+// Costing is computed on the server from `costing.rows`
+// (quantity × costPerQty / salePerQty). Client-sent totals are only checked,
+// never trusted.
+
+const TOLERANCE = 0.01;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const costingError = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+// "" / null / undefined -> 0; anything else must be a finite, non-negative number
+const toAmount = (value, label) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw costingError(`${label} must be a non-negative number`);
+  return n;
+};
+
+/**
+ * Clean rows: numeric fields coerced and validated, label/item kept in step.
+ */
+export const normalizeCostingRows = (rows = []) => {
+  if (!Array.isArray(rows)) throw costingError("costing.rows must be an array");
+  return rows.map((row, i) => {
+    const where = `costing.rows[${i}]`;
+    const name = row?.label || row?.item;
+    return {
+      ...row,
+      item: row?.item || name,
+      label: row?.label || name,
+      quantity: toAmount(row?.quantity, `${where}.quantity`),
+      costPerQty: toAmount(row?.costPerQty, `${where}.costPerQty`),
+      salePerQty: toAmount(row?.salePerQty, `${where}.salePerQty`),
+    };
+  });
+};
+
+/**
+ * Totals for a set of rows. `convert(amount, row)` lets callers bring rows in
+ * another currency to the booking currency (identity by default).
+ */
+export const computeCostingTotals = (rows = [], convert = (amount) => amount) => {
+  let totalCost = 0;
+  let totalSale = 0;
+  rows.forEach((row) => {
+    const qty = Number(row.quantity) || 0;
+    totalCost += convert(qty * (Number(row.costPerQty) || 0), row);
+    totalSale += convert(qty * (Number(row.salePerQty) || 0), row);
+  });
+  totalCost = round2(totalCost);
+  totalSale = round2(totalSale);
+  const profit = round2(totalSale - totalCost);
+  const marginPct = totalSale > 0 ? round2((profit / totalSale) * 100) : 0;
+  return { totalCost, totalSale, profit, marginPct };
+};
+
+// Client totals may use either the current or the legacy key names
+const CLIENT_TOTAL_KEYS = {
+  totalCost: ["totalCost", "totalCostPrice"],
+  totalSale: ["totalSale", "totalSalePrice"],
+  profit: ["profit"],
+};
+
+/**
+ * Compare client-sent totals with the computed ones.
+ * Returns [{ field, sent, computed }] for every mismatch.
+ */
+export const findTotalsMismatches = (sentTotals = {}, computed) => {
+  const mismatches = [];
+  Object.entries(CLIENT_TOTAL_KEYS).forEach(([field, keys]) => {
+    const key = keys.find((k) => sentTotals[k] !== undefined && sentTotals[k] !== null && sentTotals[k] !== "");
+    if (!key) return;
+    const sent = Number(sentTotals[key]);
+    if (!Number.isFinite(sent) || Math.abs(sent - computed[field]) > TOLERANCE) {
+      mismatches.push({ field, sent: sentTotals[key], computed: computed[field] });
+    }
+  });
+  return mismatches;
+};
+
+/**
+ * Costing payload -> value stored on the booking.
+ * Throws (status 400) on invalid rows or totals that disagree with the rows.
+ */
+export const normalizeCosting = (costing, { convert } = {}) => {
+  if (!costing) return costing;
+
+  const rows = normalizeCostingRows(costing.rows || []);
+  const totals = computeCostingTotals(rows, convert);
+
+  const mismatches = findTotalsMismatches(costing.totals || {}, totals);
+  if (mismatches.length > 0) {
+    throw costingError("Costing totals do not match costing rows", mismatches);
+  }
+
+  return { rows, totals, negativeMargin: totals.profit < 0 };
+};
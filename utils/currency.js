@@ -0,0 +1,192 @@
+// utils/currency.js (ESM)
+//
+// Currency conversion through the admin-managed ExchangeRate table.
+// Rates are stored against the company's base currency; the rate used is the
+// latest one effective on the given date.
+import ExchangeRate from "../models/ExchangeRate.js";
+import { findCompany } from "./companyLookup.js";
+import { INACTIVE_STATUSES } from "./pnrRegistry.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(String(code || ""));
+
+export const normalizeCurrency = (code, fallback = DEFAULT_CURRENCY) =>
+  code ? String(code).trim().toUpperCase() : fallback;
+
+const currencyError = (message, status = 422) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Base currency of the company (explicit id, DEFAULT_COMPANY_ID, or the first company).
+ */
+export const getBaseCurrency = async (companyId) => {
+  const company = await findCompany(companyId, "baseCurrency");
+  return normalizeCurrency(company?.baseCurrency || process.env.BASE_CURRENCY);
+};
+
+/**
+ * Load every rate for a base currency once and convert in memory.
+ * Returns { base, rateOn(currency, date), convert(amount, from, to, date) }.
+ */
+export const loadRateTable = async (baseCurrency) => {
+  const base = normalizeCurrency(baseCurrency || (await getBaseCurrency()));
+  const rows = await ExchangeRate.find({ baseCurrency: base }).sort({ effectiveDate: 1 }).lean();
+
+  const byCurrency = new Map();
+  rows.forEach((r) => {
+    if (!byCurrency.has(r.currency)) byCurrency.set(r.currency, []);
+    byCurrency.get(r.currency).push(r);
+  });
+
+  // Units of base per 1 `currency` on `date`
+  const rateOn = (currency, date = new Date()) => {
+    const code = normalizeCurrency(currency, base);
+    if (code === base) return 1;
+    const list = byCurrency.get(code);
+    if (!list?.length) throw currencyError(`No exchange rate for ${code} → ${base}`);
+
+    const when = new Date(date || Date.now());
+    let match = null;
+    for (const r of list) {
+      if (r.effectiveDate <= when) match = r;
+      else break;
+    }
+    // Dates before the first recorded rate use the earliest rate we have
+    return (match || list[0]).rate;
+  };
+
+  const convert = (amount, from, to = base, date) => {
+    const src = normalizeCurrency(from, base);
+    const dst = normalizeCurrency(to, base);
+    if (src === dst) return Number(amount) || 0;
+    return ((Number(amount) || 0) * rateOn(src, date)) / rateOn(dst, date);
+  };
+
+  return { base, rateOn, convert };
+};
+
+/**
+ * Converter for utils/costing.js: rows in another currency are brought to the
+ * booking currency at the rate on the booking date, from the rate table of
+ * `companyId` (see getBaseCurrency). Only hits the database when some row is
+ * actually in a different currency.
+ */
+export const buildCostingConverter = async (rows = [], bookingCurrency, bookingDate, companyId) => {
+  const currency = normalizeCurrency(bookingCurrency);
+  const foreign = (rows || []).some((r) => r?.currency && normalizeCurrency(r.currency) !== currency);
+  if (!foreign) return undefined;
+
+  const table = await loadRateTable(await getBaseCurrency(companyId));
+  return (amount, row) => table.convert(amount, row.currency || currency, currency, bookingDate);
+};
+
+/**
+ * Rates a converter applied to the foreign rows: { [row currency]: units of
+ * `currency` per 1 }, or undefined when every row is already in `currency`.
+ */
+export const costingRates = (rows = [], currency, convert) => {
+  if (!convert) return undefined;
+  const target = normalizeCurrency(currency);
+  const codes = new Set((rows || []).map((r) => normalizeCurrency(r?.currency, target)));
+  codes.delete(target);
+  if (codes.size === 0) return undefined;
+  return Object.fromEntries([...codes].map((code) => [code, convert(1, { currency: code })]));
+};
+
+/**
+ * Converter from rates stored by costingRates (plain object or Mongoose Map),
+ * so a priced document can be re-costed later at the same rates.
+ */
+export const fixedRateConverter = (rates, currency) => {
+  const target = normalizeCurrency(currency);
+  const rateOf = (code) => (rates instanceof Map ? rates.get(code) : rates?.[code]);
+  return (amount, row) => {
+    const code = normalizeCurrency(row.currency, target);
+    if (code === target) return Number(amount) || 0;
+    const rate = rateOf(code);
+    if (rate === undefined) throw currencyError(`No stored rate for ${code} → ${target}`);
+    return (Number(amount) || 0) * rate;
+  };
+};
+
+/**
+ * A booking's costing totals in the base currency, at the rate on the booking date.
+ */
+export const bookingTotalsInBase = (booking, table) => {
+  const totals = booking?.costing?.totals || {};
+  const currency = normalizeCurrency(booking?.currency);
+  const date = booking?.date || booking?.createdAt;
+  return {
+    totalCost: round2(table.convert(totals.totalCost || 0, currency, table.base, date)),
+    totalSale: round2(table.convert(totals.totalSale || 0, currency, table.base, date)),
+    profit: round2(table.convert(totals.profit || 0, currency, table.base, date)),
+  };
+};
+
+/**
+ * Aggregation stages summing costing totals of active bookings per (`key`, currency, day).
+ * The day is the booking date (else its creation date), so each partial can be
+ * converted at that day's rate without loading the bookings themselves.
+ * `key` is an aggregation expression (e.g. "$agent"), null for a single total.
+ */
+export const bookingTotalsStages = (key = null) => [
+  { $match: { status: { $nin: INACTIVE_STATUSES } } },
+  {
+    $group: {
+      _id: {
+        key,
+        currency: "$currency",
+        day: { $dateToString: { format: "%Y-%m-%d", date: { $ifNull: ["$date", "$createdAt"] } } },
+      },
+      bookings: { $sum: 1 },
+      negativeMarginBookings: { $sum: { $cond: ["$costing.negativeMargin", 1, 0] } },
+      totalSale: { $sum: "$costing.totals.totalSale" },
+      totalCost: { $sum: "$costing.totals.totalCost" },
+      profit: { $sum: "$costing.totals.profit" },
+    },
+  },
+];
+
+/**
+ * Convert the partials of bookingTotalsStages to the base currency and sum them
+ * per key. Partials in a currency with no rate still count their bookings but
+ * are left out of the money totals; those currencies are listed in `missingRates`.
+ */
+export const groupTotalsInBase = (partials, table) => {
+  const groups = new Map();
+  const missingRates = new Set();
+
+  partials.forEach(({ _id: { key = null, currency, day } = {}, ...p }) => {
+    const id = String(key);
+    if (!groups.has(id)) {
+      groups.set(id, { _id: key, bookings: 0, revenue: 0, cost: 0, profit: 0, negativeMarginBookings: 0 });
+    }
+    const g = groups.get(id);
+    g.bookings += p.bookings || 0;
+    g.negativeMarginBookings += p.negativeMarginBookings || 0;
+
+    try {
+      const from = normalizeCurrency(currency);
+      const date = day ? new Date(day) : undefined;
+      g.revenue += table.convert(p.totalSale || 0, from, table.base, date);
+      g.cost += table.convert(p.totalCost || 0, from, table.base, date);
+      g.profit += table.convert(p.profit || 0, from, table.base, date);
+    } catch {
+      missingRates.add(normalizeCurrency(currency));
+    }
+  });
+
+  const rows = [...groups.values()].map((g) => ({
+    ...g,
+    revenue: round2(g.revenue),
+    cost: round2(g.cost),
+    profit: round2(g.profit),
+  }));
+  return { rows, missingRates: [...missingRates] };
+};
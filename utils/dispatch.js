@@ -0,0 +1,196 @@
+// utils/dispatch.js (ESM)
+//
+// Ground transport dispatch: every transport leg on a day across bookings,
+// booked vehicles checked against their seats, and suggestions to put
+// bookings on the same route and time window into shared vehicles. Legs are
+// addressed as "<bookingId>:<legIndex>" so a manifest can be printed for any
+// set of them.
+import { INACTIVE_STATUSES } from "./pnrRegistry.js";
+
+// Passenger seats per vehicle (driver excluded); "COSTER" is the legacy spelling
+export const VEHICLE_CAPACITY = { Sedan: 4, SUV: 6, GMC: 7, Coaster: 22, BUS: 49 };
+const VEHICLE_ALIASES = { COSTER: "Coaster" };
+
+// Smallest first, for picking the vehicle that fits a load
+const VEHICLES_BY_SIZE = Object.entries(VEHICLE_CAPACITY).sort((a, b) => a[1] - b[1]);
+const LARGEST = VEHICLES_BY_SIZE[VEHICLES_BY_SIZE.length - 1];
+
+// Legs within this many minutes of the first leg in a window can share a vehicle
+export const DISPATCH_WINDOW_MINUTES = Number(process.env.DISPATCH_WINDOW_MINUTES) || 60;
+
+const dispatchError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+export const vehicleType = (value) => {
+  const type = VEHICLE_ALIASES[value] || value;
+  return VEHICLE_CAPACITY[type] ? type : null;
+};
+
+const legsOf = (b) => (b.transportation?.legs?.length ? b.transportation.legs : b.transport?.legs || []);
+
+const place = (value) => String(value || "").trim().replace(/\s+/g, " ");
+const routeKey = (leg) => `${place(leg.from).toLowerCase()}|${place(leg.to).toLowerCase()}`;
+
+const minutesOf = (time) => {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(time || "").trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// Seats a booking needs (infants travel on a lap)
+const seatsOf = (b) => {
+  if (b.travellerCounts?.total) return (b.travellerCounts.adults || 0) + (b.travellerCounts.children || 0);
+  return (Number(b.adults) || 0) + (Number(b.children) || 0) || Number(b.passengers) || 0;
+};
+
+// Smallest vehicle that seats `passengers`, else the largest (the caller splits the load)
+export const vehicleFor = (passengers) =>
+  (VEHICLES_BY_SIZE.find(([, seats]) => seats >= passengers) || LARGEST)[0];
+
+/**
+ * MongoDB filter for bookings with a leg on `day` (YYYY-MM-DD; leg dates are
+ * stored as ISO strings, sometimes with a time part).
+ */
+export const dispatchFilter = (day) => {
+  const onDay = { $regex: `^${day}` };
+  return {
+    status: { $nin: INACTIVE_STATUSES },
+    $or: [{ "transportation.legs.date": onDay }, { "transport.legs.date": onDay }],
+  };
+};
+
+/**
+ * Legs of `bookings` on `day`, sorted by time then route.
+ */
+export const dispatchLegs = (bookings, day) =>
+  bookings
+    .flatMap((b) =>
+      legsOf(b).map((leg, index) => ({ b, leg, index })).filter(({ leg }) => String(leg.date || "").startsWith(day))
+    )
+    .map(({ b, leg, index }) => {
+      const type = vehicleType(leg.vehicleType);
+      const passengers = seatsOf(b);
+      const capacity = type ? VEHICLE_CAPACITY[type] : null;
+      return {
+        key: `${b._id}:${index}`,
+        bookingId: b._id,
+        legIndex: index,
+        customerName: b.customerName,
+        contactNumber: b.contactNumber || null,
+        pnr: b.pnrs?.[0] || b.pnr || null,
+        agent: b.agent,
+        from: place(leg.from),
+        to: place(leg.to),
+        date: day,
+        time: leg.time || null,
+        vehicleType: type || leg.vehicleType || null,
+        passengers,
+        capacity,
+        // Vehicles of the booked type needed for the party
+        vehiclesNeeded: capacity ? Math.max(1, Math.ceil(passengers / capacity)) : 1,
+        overCapacity: capacity !== null && passengers > capacity,
+      };
+    })
+    .sort((a, b) => (minutesOf(a.time) ?? 9999) - (minutesOf(b.time) ?? 9999) || a.from.localeCompare(b.from));
+
+// First-fit decreasing into the largest vehicle, then each load gets the smallest vehicle that fits
+export const packVehicles = (legs) => {
+  const loads = [];
+  [...legs]
+    .sort((a, b) => b.passengers - a.passengers)
+    .forEach((leg) => {
+      let remaining = leg.passengers;
+      // Parties bigger than the largest vehicle fill whole vehicles first
+      while (remaining > LARGEST[1]) {
+        loads.push({ legs: [leg.key], passengers: LARGEST[1] });
+        remaining -= LARGEST[1];
+      }
+      const load = loads.find((l) => l.passengers + remaining <= LARGEST[1]);
+      if (load) {
+        load.legs.push(leg.key);
+        load.passengers += remaining;
+      } else {
+        loads.push({ legs: [leg.key], passengers: remaining });
+      }
+    });
+  return loads.map((l) => ({ vehicleType: vehicleFor(l.passengers), ...l }));
+};
+
+/**
+ * Suggested shared vehicles: legs on the same route whose times fall within
+ * `windowMinutes` of the first leg of the window. Only windows with more than
+ * one booking are returned. Legs without a time are left as booked.
+ */
+export const suggestCombinations = (legs, windowMinutes = DISPATCH_WINDOW_MINUTES) => {
+  const byRoute = new Map();
+  legs
+    .filter((l) => minutesOf(l.time) !== null)
+    .forEach((l) => {
+      const key = routeKey(l);
+      if (!byRoute.has(key)) byRoute.set(key, []);
+      byRoute.get(key).push(l);
+    });
+
+  const suggestions = [];
+  byRoute.forEach((routeLegs) => {
+    let window = null;
+    const flush = () => {
+      if (window && new Set(window.legs.map((l) => String(l.bookingId))).size > 1) {
+        const passengers = window.legs.reduce((sum, l) => sum + l.passengers, 0);
+        const vehicles = packVehicles(window.legs);
+        const currentVehicles = window.legs.reduce((sum, l) => sum + l.vehiclesNeeded, 0);
+        suggestions.push({
+          from: window.legs[0].from,
+          to: window.legs[0].to,
+          window: { start: window.legs[0].time, end: window.legs[window.legs.length - 1].time },
+          legs: window.legs.map((l) => l.key),
+          bookings: new Set(window.legs.map((l) => String(l.bookingId))).size,
+          passengers,
+          currentVehicles,
+          vehicles,
+          vehiclesSaved: Math.max(0, currentVehicles - vehicles.length),
+        });
+      }
+    };
+    routeLegs.forEach((leg) => {
+      const at = minutesOf(leg.time);
+      if (window && at - window.start <= windowMinutes) {
+        window.legs.push(leg);
+      } else {
+        flush();
+        window = { start: at, legs: [leg] };
+      }
+    });
+    flush();
+  });
+
+  return suggestions.sort(
+    (a, b) => b.vehiclesSaved - a.vehiclesSaved || minutesOf(a.window.start) - minutesOf(b.window.start)
+  );
+};
+
+/**
+ * Legs for one vehicle's manifest (keys from dispatchLegs). All legs must
+ * exist, share a route and fit the vehicle.
+ */
+export const manifestLegs = (legs, keys, type) => {
+  const picked = keys.map((key) => legs.find((l) => l.key === key));
+  const missing = keys.filter((key, i) => !picked[i]);
+  if (missing.length > 0) throw dispatchError(`Legs not found on this day: ${missing.join(", ")}`, 404);
+  if (new Set(picked.map(routeKey)).size > 1) throw dispatchError("Legs on one manifest must share the same route");
+
+  const vehicle = vehicleType(type) || (picked.length === 1 ? vehicleType(picked[0].vehicleType) : null);
+  const passengers = picked.reduce((sum, l) => sum + l.passengers, 0);
+  const chosen = vehicle || vehicleFor(passengers);
+  if (passengers > VEHICLE_CAPACITY[chosen]) {
+    throw dispatchError(`${passengers} passengers do not fit one ${chosen} (${VEHICLE_CAPACITY[chosen]} seats)`, 409);
+  }
+  return {
+    vehicleType: chosen,
+    capacity: VEHICLE_CAPACITY[chosen],
+    passengers,
+    legs: picked.sort((a, b) => (minutesOf(a.time) ?? 9999) - (minutesOf(b.time) ?? 9999)),
+  };
+};
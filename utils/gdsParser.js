@@ -0,0 +1,143 @@
+// utils/gdsParser.js (ESM)
+//
+// Parses flight segments out of itinerary text pasted from Amadeus or Sabre, e.g.
+//   Amadeus:  " 1  SV 020 Y 15MAR 7 JFKJED HK2  1130A 0650P+1 *1A/E*"
+//   Sabre:    " 2 SV 1234Y 22MAR M JEDMED*HK2   130P  230P /DCSV /E"
+// Lines that are not segments (names, remarks, ticketing lines) are returned in
+// `unparsed` so the UI can show what was skipped.
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// segNo? carrier flightNo[opSuffix]? class date dayOfWeek? ORGDST *?status+seats depTime arrTime(+n)?
+const SEGMENT_RE = new RegExp(
+  [
+    "^\\s*(?:(\\d{1,2})\\.?\\s+)?",                 // 1  segment number
+    "([A-Z0-9]{2})\\*?\\s*",                         // 2  carrier
+    "(\\d{1,4})[A-Z]?\\s*",                          // 3  flight number (operational suffix dropped)
+    "([A-Z])\\s+",                                   // 4  booking class
+    "(\\d{1,2}[A-Z]{3})",                            // 5  date, e.g. 15MAR
+    "(?:\\s+[1-7MTWQFJS])?\\s+",                     //    day of week (Amadeus digits, Sabre letters)
+    "([A-Z]{3})\\s*([A-Z]{3})\\s*\\*?\\s*",          // 6, 7  origin + destination
+    "([A-Z]{2})(\\d{1,2})?\\s+",                     // 8, 9  status + seats, e.g. HK2
+    "(\\d{3,4}[APNM]?)\\s+",                         // 10 departure time
+    "(\\d{3,4}[APNM]?)",                             // 11 arrival time
+    "(?:\\s*([+-]\\d))?",                            // 12 arrival day offset
+  ].join("")
+);
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * "1130A" / "650P" / "2300" / "12N" -> "HH:MM" (24h), or null.
+ */
+export const parseGdsTime = (value) => {
+  const m = String(value || "").match(/^(\d{1,2}?)(\d{2})([APNM]?)$/);
+  if (!m) return null;
+  let hours = Number(m[1] || 0);
+  const minutes = Number(m[2]);
+  const suffix = m[3];
+  if (suffix === "P" && hours < 12) hours += 12;
+  if (suffix === "A" && hours === 12) hours = 0;
+  if (suffix === "M") hours = 0;   // Sabre midnight
+  if (suffix === "N") hours = 12;  // Sabre noon
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad2(hours)}:${pad2(minutes)}`;
+};
+
+/**
+ * "15MAR" -> Date (UTC). GDS dates have no year: the first occurrence not more
+ * than 30 days before `referenceDate` is used.
+ */
+export const parseGdsDate = (value, referenceDate = new Date()) => {
+  const m = String(value || "").match(/^(\d{1,2})([A-Z]{3})$/);
+  if (!m) return null;
+  const month = MONTHS.indexOf(m[2]);
+  const day = Number(m[1]);
+  if (month === -1 || day < 1 || day > 31) return null;
+
+  const ref = new Date(referenceDate);
+  const base = Number.isNaN(ref.getTime()) ? new Date() : ref;
+  const earliest = new Date(base.getTime() - 30 * 86400000);
+  let date = new Date(Date.UTC(base.getUTCFullYear(), month, day));
+  if (date < earliest) date = new Date(Date.UTC(base.getUTCFullYear() + 1, month, day));
+  return date.getUTCDate() === day ? date : null; // e.g. 31APR
+};
+
+const toISODate = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * Parse one line; returns a segment or null.
+ */
+export const parseSegmentLine = (line, referenceDate) => {
+  const m = String(line || "").toUpperCase().match(SEGMENT_RE);
+  if (!m) return null;
+
+  const date = parseGdsDate(m[5], referenceDate);
+  const departureTime = parseGdsTime(m[10]);
+  const arrivalTime = parseGdsTime(m[11]);
+  if (!date || !departureTime || !arrivalTime) return null;
+
+  const dayOffset = m[12] ? Number(m[12]) : 0;
+  const arrivalDate = new Date(date.getTime() + dayOffset * 86400000);
+
+  return {
+    segmentNo: m[1] ? Number(m[1]) : undefined,
+    carrier: m[2],
+    flightNumber: String(Number(m[3])),
+    bookingClass: m[4],
+    date: toISODate(date),
+    origin: m[6],
+    destination: m[7],
+    departureTime,
+    arrivalTime,
+    arrivalDate: toISODate(arrivalDate),
+    status: m[8],
+    seats: m[9] ? Number(m[9]) : undefined,
+    raw: String(line).trim(),
+  };
+};
+
+/**
+ * Parse pasted itinerary text.
+ * Returns { segments, unparsed: [{ lineNo, line }] }; segments are in pasted order.
+ */
+export const parseItinerary = (raw, { referenceDate } = {}) => {
+  const segments = [];
+  const unparsed = [];
+  String(raw || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      const segment = parseSegmentLine(line, referenceDate);
+      if (segment) segments.push(segment);
+      else unparsed.push({ lineNo: i + 1, line: line.trim() });
+    });
+  return { segments, unparsed };
+};
+
+/**
+ * "JFK-JED-MED / MED-JFK": consecutive segments are chained; a gap starts a new leg.
+ */
+export const routeSummary = (segments = []) => {
+  const legs = [];
+  segments.forEach((s) => {
+    const current = legs[legs.length - 1];
+    if (current && current[current.length - 1] === s.origin) current.push(s.destination);
+    else legs.push([s.origin, s.destination]);
+  });
+  return legs.map((codes) => codes.join("-")).join(" / ");
+};
+
+/**
+ * Normalise a `flights` payload: segments are always re-parsed from `raw`
+ * (client-sent segments are ignored) and `itineraryLines` defaults to the raw lines.
+ */
+export const normalizeFlights = (flights, referenceDate) => {
+  if (!flights) return flights;
+  const raw = flights.raw || "";
+  const { segments } = parseItinerary(raw, { referenceDate });
+  const lines = Array.isArray(flights.itineraryLines) && flights.itineraryLines.length
+    ? flights.itineraryLines
+    : raw.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  return { ...flights, itineraryLines: lines, segments };
+};
@@ -0,0 +1,169 @@
+// utils/groups.js (ESM)
+//
+// Group bookings: one Group owns the itinerary a party travels on together
+// (PNRs, flights, hotels, transport, dates). Member bookings point at it via
+// `booking.group` and receive a copy of those sections on sync; payments,
+// travellers and costing stay per booking.
+import { bookingTotalsInBase, normalizeCurrency } from "./currency.js";
+import { normalizeFlights } from "./gdsParser.js";
+import { hotelCity } from "./hotels.js";
+import { pnrSet, validatePnrs } from "./pnrRegistry.js";
+
+// Sections copied from the group onto every member
+export const SHARED_SECTIONS = ["pnrs", "flights", "hotels", "transportation", "departureDate", "returnDate"];
+
+export const formatGroupNumber = (seq) =>
+  `${process.env.GROUP_PREFIX || "GRP-"}${String(seq).padStart(6, "0")}`;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const groupError = (message, status = 400, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Create/update payload -> fields to set on the Group. On update only the sent
+ * fields are returned. Throws (400) with details [{ field, message }].
+ */
+export const normalizeGroup = (payload = {}, { partial = false } = {}) => {
+  const problems = [];
+  const invalid = (field, message) => problems.push({ field, message });
+  const has = (key) => payload[key] !== undefined;
+  const out = {};
+
+  if (has("name") || !partial) {
+    out.name = String(payload.name || "").trim();
+    if (!out.name) invalid("name", "name is required");
+  }
+  if (has("leader")) {
+    out.leader = { name: payload.leader?.name, phone: payload.leader?.phone, email: payload.leader?.email };
+  }
+  if (has("notes")) out.notes = payload.notes;
+
+  ["departureDate", "returnDate"].forEach((key) => {
+    if (!has(key)) return;
+    const d = toDate(payload[key]);
+    if (d === undefined) invalid(key, `${key} must be a valid date`);
+    else out[key] = d;
+  });
+  if (out.departureDate && out.returnDate && out.departureDate > out.returnDate) {
+    invalid("returnDate", "returnDate must be after departureDate");
+  }
+
+  if (has("pnrs") || has("pnr")) {
+    const pnrs = pnrSet({ pnr: payload.pnr, pnrs: Array.isArray(payload.pnrs) ? payload.pnrs : [] });
+    try {
+      out.pnrs = validatePnrs(pnrs);
+    } catch (e) {
+      invalid("pnrs", `${e.message} Invalid: ${e.details.invalid.join(", ")}`);
+    }
+  }
+
+  if (has("flights")) out.flights = normalizeFlights(payload.flights || {}, out.departureDate || new Date());
+
+  if (has("hotels")) {
+    if (!Array.isArray(payload.hotels)) invalid("hotels", "hotels must be an array");
+    else out.hotels = payload.hotels.map((h) => ({ ...h, city: hotelCity(h) }));
+  }
+
+  if (has("transportation")) {
+    const legs = payload.transportation?.legs;
+    if (legs !== undefined && !Array.isArray(legs)) invalid("transportation.legs", "transportation.legs must be an array");
+    else out.transportation = { count: payload.transportation?.count, legs: legs || [] };
+  }
+
+  if (problems.length > 0) throw groupError("Invalid group", 400, problems);
+  return out;
+};
+
+/**
+ * Copy the group's shared sections onto a member booking (unsaved).
+ * Sections the group leaves empty keep the booking's own value.
+ */
+export const applyGroupItinerary = (booking, group) => {
+  booking.group = group._id;
+  if (group.pnrs?.length) {
+    booking.pnrs = [...group.pnrs];
+    booking.pnr = group.pnrs[0];
+  }
+  if (group.flights?.raw || group.flights?.itineraryLines?.length) {
+    // Segment dates are re-read against the member's booking date
+    booking.flights = normalizeFlights(
+      { raw: group.flights.raw, itineraryLines: group.flights.itineraryLines },
+      booking.date
+    );
+  }
+  if (group.hotels?.length) booking.hotels = group.hotels.map((h) => ({ ...(h.toObject?.() || h) }));
+  if (group.transportation?.legs?.length) {
+    booking.transportation = {
+      count: group.transportation.count,
+      legs: group.transportation.legs.map((l) => ({ ...(l.toObject?.() || l) })),
+    };
+  }
+  if (group.departureDate) booking.departureDate = group.departureDate;
+  if (group.returnDate) booking.returnDate = group.returnDate;
+  return booking;
+};
+
+/**
+ * Consolidated money view of the members. Each member is reported in its own
+ * currency; group totals are in the base currency of `table` (utils/currency.js).
+ * Members whose currency has no rate are listed but left out of the totals.
+ */
+export const summarizeGroupFinances = (bookings, table) => {
+  const totals = { total: 0, paid: 0, balance: 0, cost: 0, profit: 0 };
+  const states = {};
+  const missingRates = new Set();
+  let travellers = 0;
+
+  const members = bookings.map((b) => {
+    const summary = b.paymentSummary || {};
+    const currency = normalizeCurrency(b.currency);
+    const count = b.travellerCounts?.total || 0;
+    travellers += count;
+    states[summary.state || "unpaid"] = (states[summary.state || "unpaid"] || 0) + 1;
+
+    try {
+      const date = b.date || b.createdAt;
+      const t = bookingTotalsInBase(b, table);
+      totals.total += table.convert(summary.total || 0, currency, table.base, date);
+      totals.paid += table.convert(summary.paid || 0, currency, table.base, date);
+      totals.balance += table.convert(summary.balance || 0, currency, table.base, date);
+      totals.cost += t.totalCost;
+      totals.profit += t.profit;
+    } catch {
+      missingRates.add(currency);
+    }
+
+    return {
+      bookingId: b._id,
+      customerName: b.customerName,
+      status: b.status,
+      currency,
+      travellers: count,
+      total: summary.total || 0,
+      paid: summary.paid || 0,
+      balance: summary.balance || 0,
+      state: summary.state || "unpaid",
+    };
+  });
+
+  return {
+    baseCurrency: table.base,
+    bookings: members.length,
+    travellers,
+    totals: Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, round2(v)])),
+    paymentStates: states,
+    members,
+    missingRates: [...missingRates],
+  };
+};
@@ -0,0 +1,35 @@
+// utils/hotels.js (ESM)
+//
+// Hotel helpers shared by the voucher, exports and rooming lists.
+
+export const HOLY_CITIES = ["Makkah", "Madina"];
+
+// Hotel city from the explicit field, else guessed from the hotel name
+export const hotelCity = (hotel) => {
+  const value = hotel?.city || hotel?.name || hotel?.hotelName || "";
+  if (/makk|mecca/i.test(value)) return "Makkah";
+  if (/madin|medin/i.test(value)) return "Madina";
+  return hotel?.city || "Other";
+};
+
+// `hotels` with a fallback to the legacy single `hotel`
+export const hotelsOf = (booking) =>
+  booking?.hotels?.length
+    ? booking.hotels
+    : booking?.hotel?.name || booking?.hotel?.hotelName
+      ? [booking.hotel]
+      : [];
+
+// Free-text room types ("Double", "DBL", "Quad sharing") -> beds per room
+const ROOM_TYPES = [
+  { type: "single", capacity: 1, pattern: /single|\bsgl\b/i },
+  { type: "double", capacity: 2, pattern: /double|twin|\bdbl\b/i },
+  { type: "triple", capacity: 3, pattern: /triple|\btpl\b|\btrpl\b/i },
+  { type: "quad", capacity: 4, pattern: /quad|\bqdp?l?\b/i },
+];
+
+// { type, capacity } for a booked room type, or null when it is not recognised
+export const roomOccupancy = (roomType) => {
+  const match = ROOM_TYPES.find((r) => r.pattern.test(String(roomType || "")));
+  return match ? { type: match.type, capacity: match.capacity } : null;
+};
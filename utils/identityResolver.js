@@ -0,0 +1,122 @@
+// utils/identityResolver.js (ESM)
+//
+// Resolves user/agent ids (booking.agent, inquiry.assignedAgent, ...) to
+// { _id, name, email, role } in bulk: one query per collection for all ids,
+// with a short-lived in-memory cache. An id may live in either the Agent or the
+// User collection; `prefer` decides which wins when both exist.
+import mongoose from "mongoose";
+import Agent from "../models/Agent.js";
+import User from "../models/User.js";
+
+const FETCH_FIELDS = "name email role phone"; // superset cached per id
+const DEFAULT_FIELDS = "name email role";
+const TTL_MS = Number(process.env.IDENTITY_CACHE_TTL_MS) || 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+const SOURCES = { agent: Agent, user: User };
+
+// source -> Map(id -> { doc | null, expires })
+const cache = { agent: new Map(), user: new Map() };
+
+const idOf = (value) => {
+  const raw = value?._id ?? value;
+  if (raw == null) return null;
+  const id = String(raw);
+  return mongoose.Types.ObjectId.isValid(id) && id.length === 24 ? id : null;
+};
+
+const pick = (doc, fields) => {
+  const out = { _id: doc._id };
+  fields.forEach((f) => {
+    if (doc[f] !== undefined) out[f] = doc[f];
+  });
+  return out;
+};
+
+const remember = (source, id, doc) => {
+  const store = cache[source];
+  if (store.size >= MAX_ENTRIES) store.delete(store.keys().next().value); // drop oldest
+  store.set(id, { doc, expires: Date.now() + TTL_MS });
+};
+
+// Look up ids in one collection: cached hits + a single $in query for the rest
+const loadFrom = async (source, ids) => {
+  const now = Date.now();
+  const found = new Map();
+  const missing = [];
+  ids.forEach((id) => {
+    const hit = cache[source].get(id);
+    if (hit && hit.expires > now) {
+      if (hit.doc) found.set(id, hit.doc);
+    } else {
+      missing.push(id);
+    }
+  });
+
+  if (missing.length > 0) {
+    const docs = await SOURCES[source].find({ _id: { $in: missing } }).select(FETCH_FIELDS).lean();
+    const byId = new Map(docs.map((d) => [String(d._id), d]));
+    missing.forEach((id) => {
+      const doc = byId.get(id) || null;
+      remember(source, id, doc); // misses are cached too
+      if (doc) found.set(id, doc);
+    });
+  }
+  return found;
+};
+
+/**
+ * Resolve many ids at once.
+ * @param {Array} ids  ObjectIds, strings or populated docs (invalid values are skipped)
+ * @param {object} [options]
+ * @param {"agent"|"user"} [options.prefer="agent"]  Collection that wins when an id is in both
+ * @param {string} [options.fields="name email role"]  Fields returned besides _id
+ * @returns {Promise<Map<string, object>>}  id -> identity
+ */
+export const resolveIdentities = async (ids, { prefer = "agent", fields = DEFAULT_FIELDS } = {}) => {
+  const unique = [...new Set((ids || []).map(idOf).filter(Boolean))];
+  const result = new Map();
+  if (unique.length === 0) return result;
+
+  const order = prefer === "user" ? ["user", "agent"] : ["agent", "user"];
+  const [first, second] = await Promise.all(order.map((source) => loadFrom(source, unique)));
+  const wanted = fields.split(/\s+/).filter(Boolean);
+
+  unique.forEach((id) => {
+    const doc = first.get(id) || second.get(id);
+    if (doc) result.set(id, pick(doc, wanted));
+  });
+  return result;
+};
+
+/**
+ * Resolve a single id (null when it is in neither collection).
+ */
+export const resolveIdentity = async (id, options) => {
+  const map = await resolveIdentities([id], options);
+  return map.get(idOf(id)) || null;
+};
+
+/**
+ * Replace `record[path]` with the resolved identity on every record (plain
+ * objects). Unresolved references are left as they are.
+ */
+export const attachIdentities = async (records, path, options) => {
+  const list = records || [];
+  const map = await resolveIdentities(list.map((r) => r?.[path]), options);
+  list.forEach((r) => {
+    const identity = r && map.get(idOf(r[path]));
+    if (identity) r[path] = identity;
+  });
+  return list;
+};
+
+/**
+ * Drop cached entries for an id (e.g. after an agent is renamed or deleted).
+ */
+export const forgetIdentity = (id) => {
+  const key = idOf(id);
+  if (!key) return;
+  cache.agent.delete(key);
+  cache.user.delete(key);
+};
@@ -0,0 +1,132 @@
+// utils/installments.js (ESM)
+//
+// Flight installment plans: the server builds the schedule from the ticket total,
+// advance, number of installments and start date, and marks each installment
+// paid/unpaid from ledger payments tagged with its `installmentNo`. Untagged
+// payments cover the advance first, then the oldest unpaid installments.
+import { activePayments, paymentValue } from "./bookingLedger.js";
+
+const MAX_INSTALLMENTS = 36;
+
+const installmentError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+
+export const toISODate = (d) => new Date(d).toISOString().slice(0, 10);
+
+// Same day-of-month `months` later, clamped to the month's last day (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+};
+
+/**
+ * Build a monthly schedule. Amounts are floored to the cent and the
+ * rounding remainder goes on the final installment.
+ */
+export const buildInstallmentSchedule = ({ ticketTotal, advancePaid = 0, numberOfInstallments, startDate }) => {
+  const totalCents = toCents(ticketTotal);
+  const advanceCents = toCents(advancePaid);
+  const count = Number(numberOfInstallments);
+  const start = new Date(startDate);
+
+  if (!(totalCents > 0)) throw installmentError("ticketTotal must be greater than 0");
+  if (advanceCents < 0 || advanceCents > totalCents) {
+    throw installmentError("advancePaid must be between 0 and ticketTotal");
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_INSTALLMENTS) {
+    throw installmentError(`numberOfInstallments must be a whole number between 1 and ${MAX_INSTALLMENTS}`);
+  }
+  if (!startDate || Number.isNaN(start.getTime())) throw installmentError("startDate must be a valid date");
+
+  const remainingCents = totalCents - advanceCents;
+  const perCents = Math.floor(remainingCents / count);
+
+  const schedule = Array.from({ length: count }, (_, i) => {
+    const isLast = i === count - 1;
+    const cents = isLast ? remainingCents - perCents * (count - 1) : perCents;
+    return { no: i + 1, date: toISODate(addMonths(start, i)), amount: cents / 100, status: "unpaid", paidAmount: 0 };
+  });
+
+  return {
+    ticketTotal: totalCents / 100,
+    advancePaid: advanceCents / 100,
+    numberOfInstallments: count,
+    startDate: toISODate(start),
+    remaining: remainingCents / 100,
+    perInstallment: perCents / 100,
+    schedule,
+  };
+};
+
+/**
+ * Normalise a flightPayments payload from the client: installment plans are
+ * regenerated server-side, client-sent schedule/remaining/perInstallment are ignored.
+ */
+export const normalizeFlightPayments = (flightPayments) => {
+  if (!flightPayments || flightPayments.mode !== "installment") return flightPayments;
+  return {
+    ...flightPayments,
+    installment: buildInstallmentSchedule(flightPayments.installment || {}),
+  };
+};
+
+/**
+ * Mark each scheduled installment paid/unpaid from the ledger (mutates the booking).
+ * Tagged payments count towards their installment. Untagged ones, oldest first,
+ * go to the advance and then fill the oldest installments still short.
+ */
+export const reconcileInstallments = (booking) => {
+  const plan = booking?.flightPayments?.installment;
+  if (booking?.flightPayments?.mode !== "installment" || !plan?.schedule?.length) return;
+
+  const items = [...plan.schedule].sort((a, b) => Number(a.no) - Number(b.no));
+  const paid = new Map(items.map((item) => [item, { cents: 0, lastAt: null }]));
+  const credit = (item, cents, date) => {
+    const entry = paid.get(item);
+    entry.cents += cents;
+    if (date && (!entry.lastAt || date > entry.lastAt)) entry.lastAt = date;
+  };
+
+  const payments = activePayments(booking);
+  payments
+    .filter((p) => p.installmentNo != null)
+    .forEach((p) => {
+      const item = items.find((i) => Number(i.no) === Number(p.installmentNo));
+      if (item) credit(item, toCents(paymentValue(p)), p.date);
+    });
+
+  let advanceLeft = toCents(plan.advancePaid);
+  payments
+    .filter((p) => p.installmentNo == null)
+    .sort((a, b) => (a.date ? new Date(a.date) : 0) - (b.date ? new Date(b.date) : 0))
+    .forEach((p) => {
+      let cents = toCents(paymentValue(p));
+      const toAdvance = Math.min(cents, advanceLeft);
+      advanceLeft -= toAdvance;
+      cents -= toAdvance;
+
+      for (const item of items) {
+        if (cents <= 0) break;
+        const short = toCents(item.amount) - paid.get(item).cents;
+        if (short <= 0) continue;
+        const applied = Math.min(short, cents);
+        credit(item, applied, p.date);
+        cents -= applied;
+      }
+    });
+
+  items.forEach((item) => {
+    const { cents, lastAt } = paid.get(item);
+    const isPaid = cents >= toCents(item.amount);
+    item.paidAmount = cents / 100;
+    item.status = isPaid ? "paid" : "unpaid";
+    item.paidAt = isPaid ? lastAt : undefined;
+  });
+};
@@ -0,0 +1,161 @@
+// utils/invoices.js (ESM)
+//
+// Customer invoices. Issuing copies the billable part of a booking (sale-price
+// lines, payments, balance) into an Invoice document with the next sequential
+// number; cost and profit figures are never copied.
+import Counter from "../models/Counter.js";
+import Invoice from "../models/Invoice.js";
+import { recordAudit } from "./auditTrail.js";
+import { activePayments, bookingTotal, paymentValue } from "./bookingLedger.js";
+import { buildCostingConverter, normalizeCurrency } from "./currency.js";
+
+const DEFAULT_TERMS =
+  "Payment is due by the due date shown. Cancellations and changes are subject to airline, hotel and visa provider rules.";
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export const formatInvoiceNumber = (seq) =>
+  `${process.env.INVOICE_PREFIX || "INV-"}${String(seq).padStart(6, "0")}`;
+
+// Sale-price lines from the costing rows (rows in another currency are converted)
+const invoiceLines = async (booking, currency, companyId) => {
+  const rows = (booking.costing?.rows || []).filter((r) => Number(r.quantity) > 0 && Number(r.salePerQty) > 0);
+  if (rows.length === 0) {
+    const total = bookingTotal(booking);
+    return total > 0
+      ? [{ description: booking.package || "Travel package", quantity: 1, unitPrice: total, amount: total }]
+      : [];
+  }
+
+  const convert = (await buildCostingConverter(rows, currency, booking.date, companyId)) || ((amount) => amount);
+  return rows.map((row) => {
+    const quantity = Number(row.quantity);
+    const unitPrice = round2(convert(Number(row.salePerQty), row));
+    return {
+      description: row.label || row.item || "Item",
+      quantity,
+      unitPrice,
+      amount: round2(convert(quantity * Number(row.salePerQty), row)),
+    };
+  });
+};
+
+const invoicePayments = (booking, currency) => {
+  const entries = activePayments(booking);
+  if (entries.length === 0) {
+    const legacy = booking.paymentReceived;
+    return Number(legacy?.amount) > 0
+      ? [{ date: legacy.date, method: legacy.method, reference: legacy.reference, amount: round2(legacy.amount) }]
+      : [];
+  }
+  return [...entries]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((p) => {
+      const foreign = p.currency && normalizeCurrency(p.currency) !== currency;
+      return {
+        date: p.date,
+        method: p.method,
+        reference: p.reference,
+        amount: round2(paymentValue(p)),
+        ...(foreign ? { originalAmount: p.amount, originalCurrency: p.currency } : {}),
+      };
+    });
+};
+
+/**
+ * Invoice fields for a booking as it stands now (without number/issuer).
+ * Lines in another currency use the rate table of `companyId`.
+ */
+export const buildInvoiceData = async (booking, companyId) => {
+  const currency = normalizeCurrency(booking.currency);
+  const lines = await invoiceLines(booking, currency, companyId);
+  const payments = invoicePayments(booking, currency);
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const paid = round2(payments.reduce((sum, p) => sum + p.amount, 0));
+
+  return {
+    booking: booking._id,
+    currency,
+    billTo: {
+      name: booking.customerName,
+      email: booking.customerEmail,
+      phone: booking.contactNumber,
+    },
+    trip: {
+      package: booking.package,
+      departureDate: booking.departureDate,
+      returnDate: booking.returnDate,
+      pnrs: booking.pnrs?.length ? booking.pnrs : booking.pnr ? [booking.pnr] : [],
+    },
+    lines,
+    subtotal,
+    payments,
+    paid,
+    balanceDue: round2(subtotal - paid),
+    dueDate: booking.paymentDue?.dueDate || booking.departureDate,
+    terms: process.env.INVOICE_TERMS || DEFAULT_TERMS,
+  };
+};
+
+export const findCurrentInvoice = (bookingId) => Invoice.findOne({ booking: bookingId, status: "issued" });
+
+/**
+ * Issue an invoice for the booking. Returns the current one unless `reissue`
+ * is set, in which case the current invoice is marked superseded.
+ */
+export const issueInvoice = async (booking, actor, { reissue = false, companyId } = {}) => {
+  const current = await findCurrentInvoice(booking._id);
+  if (current && !reissue) return current;
+
+  const data = await buildInvoiceData(booking, companyId);
+  if (data.lines.length === 0) {
+    const err = new Error("Booking has no billable items to invoice");
+    err.status = 422;
+    throw err;
+  }
+
+  // Superseding the current invoice and creating the new one succeed or fail together
+  let invoice;
+  try {
+    invoice = await Invoice.db.transaction(async (session) => {
+      const sequence = await Counter.next("invoice", session);
+      const invoiceNumber = formatInvoiceNumber(sequence);
+      if (current) {
+        current.status = "superseded";
+        current.supersededBy = invoiceNumber;
+        await current.save({ session });
+      }
+      const [created] = await Invoice.create(
+        [
+          {
+            ...data,
+            invoiceNumber,
+            sequence,
+            company: companyId || undefined,
+            issuedBy: actor?._id,
+            issuedByName: actor?.name,
+          },
+        ],
+        { session }
+      );
+      return created;
+    });
+  } catch (e) {
+    // Another request issued the first invoice at the same time: use that one
+    if (e?.code === 11000 && !reissue) {
+      const existing = await findCurrentInvoice(booking._id);
+      if (existing) return existing;
+    }
+    throw e;
+  }
+  const { invoiceNumber } = invoice;
+
+  await recordAudit({
+    entity: "Booking",
+    entityId: booking._id,
+    action: reissue ? "invoice_reissue" : "invoice_issue",
+    actor,
+    meta: { invoiceNumber, previous: current?.invoiceNumber, subtotal: data.subtotal, balanceDue: data.balanceDue },
+  });
+  return invoice;
+};
@@ -0,0 +1,222 @@
+// utils/packages.js (ESM)
+//
+// Package catalogue helpers: payload validation, availability (active flag +
+// validity dates), per-person price by room occupancy and the legacy
+// `packageDetails` shape still stored on inquiries.
+import mongoose from "mongoose";
+import Package from "../models/Package.js";
+import { isCurrencyCode, normalizeCurrency } from "./currency.js";
+import { HOLY_CITIES, hotelCity } from "./hotels.js";
+
+// Per-person prices are quoted by how many adults share the room
+export const OCCUPANCIES = ["single", "double", "triple", "quad"];
+export const ROOM_CAPACITY = { single: 1, double: 2, triple: 3, quad: 4 };
+export const PACKAGE_INCLUSIONS = ["breakfast", "dinner", "visa", "ticket", "roundtrip", "ziyarat", "guide"];
+
+const PRICE_KEYS = [...OCCUPANCIES, "child", "infant"];
+
+const packageError = (message, status = 400, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const toCost = (value, field, invalid) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    invalid(field, `${field} must be a non-negative number`);
+    return undefined;
+  }
+  return n;
+};
+
+const pickCosts = (source, keys, prefix, invalid) =>
+  Object.fromEntries(
+    keys
+      .map((key) => [key, toCost(source?.[key], `${prefix}.${key}`, invalid)])
+      .filter(([, value]) => value !== undefined)
+  );
+
+const normalizeCosts = (costs, invalid) => {
+  const out = {};
+  if (costs.currency) {
+    out.currency = normalizeCurrency(costs.currency);
+    if (!isCurrencyCode(out.currency)) invalid("costs.currency", "costs.currency must be a 3-letter ISO code");
+  }
+  out.roomNight = {
+    makkah: pickCosts(costs.roomNight?.makkah, OCCUPANCIES, "costs.roomNight.makkah", invalid),
+    madina: pickCosts(costs.roomNight?.madina, OCCUPANCIES, "costs.roomNight.madina", invalid),
+  };
+  const visa = toCost(costs.visaPerPerson, "costs.visaPerPerson", invalid);
+  if (visa !== undefined) out.visaPerPerson = visa;
+  out.flight = pickCosts(costs.flight, ["adult", "child", "infant"], "costs.flight", invalid);
+
+  if (costs.transport !== undefined && !Array.isArray(costs.transport)) {
+    invalid("costs.transport", "costs.transport must be an array");
+  } else {
+    out.transport = (costs.transport || []).map((leg, i) => {
+      const capacity = Number(leg?.capacity);
+      if (leg?.capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1)) {
+        invalid(`costs.transport[${i}].capacity`, "capacity must be a whole number of seats");
+      }
+      return {
+        from: leg?.from,
+        to: leg?.to,
+        vehicleType: leg?.vehicleType,
+        capacity: leg?.capacity !== undefined ? capacity : undefined,
+        cost: toCost(leg?.cost, `costs.transport[${i}].cost`, invalid) ?? 0,
+      };
+    });
+  }
+  return out;
+};
+
+/**
+ * Create/update payload -> fields to set on the Package. On update only the
+ * sent sections are returned. Throws (400) with details [{ field, message }].
+ */
+export const normalizePackage = (payload = {}, { partial = false } = {}) => {
+  const problems = [];
+  const invalid = (field, message) => problems.push({ field, message });
+  const has = (key) => payload[key] !== undefined;
+  const out = {};
+
+  if (has("name") || !partial) {
+    out.name = String(payload.name || "").trim();
+    if (!out.name) invalid("name", "name is required");
+  }
+  if (has("code")) out.code = payload.code ? String(payload.code).trim().toUpperCase() : undefined;
+  if (has("description")) out.description = payload.description;
+
+  if (has("currency") || !partial) {
+    out.currency = normalizeCurrency(payload.currency);
+    if (!isCurrencyCode(out.currency)) invalid("currency", "currency must be a 3-letter ISO code (e.g. USD, SAR)");
+  }
+
+  if (has("pricing") || !partial) {
+    const pricing = payload.pricing || {};
+    out.pricing = {};
+    PRICE_KEYS.forEach((key) => {
+      if (pricing[key] === undefined || pricing[key] === null || pricing[key] === "") return;
+      const n = Number(pricing[key]);
+      if (!Number.isFinite(n) || n < 0) invalid(`pricing.${key}`, `pricing.${key} must be a non-negative number`);
+      else out.pricing[key] = n;
+    });
+    if (!OCCUPANCIES.some((o) => out.pricing[o] !== undefined)) {
+      invalid("pricing", `pricing needs a price for at least one occupancy (${OCCUPANCIES.join(", ")})`);
+    }
+  }
+
+  if (has("nights") || !partial) {
+    const nights = payload.nights || {};
+    out.nights = {};
+    ["makkah", "madina"].forEach((city) => {
+      const n = Number(nights[city] ?? 0);
+      if (!Number.isInteger(n) || n < 0) invalid(`nights.${city}`, `nights.${city} must be a whole number`);
+      else out.nights[city] = n;
+    });
+  }
+
+  if (has("hotels")) {
+    if (!Array.isArray(payload.hotels)) {
+      invalid("hotels", "hotels must be an array");
+    } else {
+      out.hotels = payload.hotels.map((h, i) => {
+        const city = hotelCity(h);
+        if (!HOLY_CITIES.includes(city)) invalid(`hotels[${i}].city`, `city must be one of: ${HOLY_CITIES.join(", ")}`);
+        if (!h?.name) invalid(`hotels[${i}].name`, "hotel name is required");
+        return { ...h, city };
+      });
+    }
+  }
+
+  if (has("costs")) out.costs = normalizeCosts(payload.costs || {}, invalid);
+
+  if (has("services")) out.services = payload.services;
+  if (has("inclusions")) {
+    out.inclusions = {};
+    PACKAGE_INCLUSIONS.forEach((key) => {
+      if (payload.inclusions?.[key] !== undefined) out.inclusions[key] = Boolean(payload.inclusions[key]);
+    });
+  }
+
+  ["validFrom", "validTo"].forEach((key) => {
+    if (!has(key)) return;
+    const d = toDate(payload[key]);
+    if (d === undefined) invalid(key, `${key} must be a valid date`);
+    else out[key] = d;
+  });
+  if (out.validFrom && out.validTo && out.validFrom > out.validTo) invalid("validTo", "validTo must be after validFrom");
+
+  if (has("active")) out.active = Boolean(payload.active);
+
+  if (problems.length > 0) throw packageError("Invalid package", 400, problems);
+  return out;
+};
+
+/**
+ * Active and within its validity dates on `on` (open-ended when a date is unset).
+ */
+export const isPackageAvailable = (pkg, on = new Date()) => {
+  if (!pkg?.active) return false;
+  const day = new Date(on);
+  if (pkg.validFrom && day < new Date(pkg.validFrom)) return false;
+  if (pkg.validTo && day > new Date(pkg.validTo)) return false;
+  return true;
+};
+
+// MongoDB filter equivalent of isPackageAvailable
+export const availablePackagesFilter = (on = new Date()) => ({
+  active: true,
+  $and: [
+    { $or: [{ validFrom: null }, { validFrom: { $lte: on } }] },
+    { $or: [{ validTo: null }, { validTo: { $gte: on } }] },
+  ],
+});
+
+/**
+ * Per-person price for an occupancy (undefined when the package has none).
+ */
+export const occupancyPrice = (pkg, occupancy) => pkg?.pricing?.[occupancy];
+
+/**
+ * Load a package referenced by id (bookings, inquiries, quotes).
+ * @param {object} [options]
+ * @param {boolean} [options.available]  Also require it to be active and valid today
+ */
+export const findPackage = async (id, { available = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw packageError("packageId is not a valid id");
+  const pkg = await Package.findById(id);
+  if (!pkg) throw packageError("Package not found", 404);
+  if (available && !isPackageAvailable(pkg)) throw packageError(`Package "${pkg.name}" is not currently offered`);
+  return pkg;
+};
+
+/**
+ * Package -> the `packageDetails` object inquiries (and their webhook) carry.
+ */
+export const packageDetailsOf = (pkg) => {
+  const hotelIn = (city) => (pkg.hotels || []).find((h) => h.city === city)?.name || null;
+  const price = (key) => (pkg.pricing?.[key] !== undefined ? String(pkg.pricing[key]) : null);
+  const nights = pkg.nights || {};
+  return {
+    packageName: pkg.name,
+    pricing: { double: price("double"), triple: price("triple"), quad: price("quad"), currency: pkg.currency },
+    duration: {
+      nightsMakkah: String(nights.makkah ?? 0),
+      nightsMadina: String(nights.madina ?? 0),
+      totalNights: String((nights.makkah || 0) + (nights.madina || 0)),
+    },
+    hotels: { makkah: hotelIn("Makkah"), madina: hotelIn("Madina") },
+    services: { transportation: pkg.services?.transportation || null, visa: pkg.services?.visa || null },
+    inclusions: Object.fromEntries(PACKAGE_INCLUSIONS.map((key) => [key, Boolean(pkg.inclusions?.[key])])),
+  };
+};
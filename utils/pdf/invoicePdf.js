@@ -0,0 +1,132 @@
+// utils/pdf/invoicePdf.js (ESM)
+//
+// Renders a stored Invoice document. Only sale prices, payments and the
+// balance are printed; the booking itself is not read here.
+import { createPdfResponse, drawFooters, drawHeader, formatDate, formatMoney, sectionTitle } from "./layout.js";
+
+const METHOD_NAMES = {
+  credit_card: "Credit Card",
+  zelle: "Zelle",
+  wire_transfer: "Wire Transfer",
+  bank_transfer: "Bank Transfer",
+  cash: "Cash",
+  check: "Check",
+};
+
+// Column x-positions / widths for the line-item table
+const COLS = [
+  { key: "description", label: "Description", x: 50, width: 245, align: "left" },
+  { key: "quantity", label: "Qty", x: 300, width: 50, align: "right" },
+  { key: "unitPrice", label: "Unit Price", x: 355, width: 90, align: "right" },
+  { key: "amount", label: "Amount", x: 450, width: 95, align: "right" },
+];
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+    doc.y = doc.page.margins.top;
+  }
+};
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  ensureSpace(doc, 18);
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  let height = 0;
+  COLS.forEach((col) => {
+    const text = String(values[col.key] ?? "");
+    doc.text(text, col.x, y, { width: col.width, align: col.align });
+    height = Math.max(height, doc.heightOfString(text, { width: col.width }));
+  });
+  doc.y = y + height + 4;
+};
+
+const totalLine = (doc, label, value, { bold = false } = {}) => {
+  ensureSpace(doc, 16);
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  doc.text(label, 300, y, { width: 145, align: "right" });
+  doc.text(value, 450, y, { width: 95, align: "right" });
+  doc.y = y + 16;
+};
+
+/**
+ * Stream the invoice PDF to the response, branded with `brand` (utils/branding.js).
+ */
+export const renderInvoicePdf = (res, invoice, brand) => {
+  const doc = createPdfResponse(res, `invoice-${invoice.invoiceNumber}.pdf`);
+  const money = (n) => formatMoney(n, invoice.currency);
+
+  drawHeader(doc, brand, "INVOICE");
+
+  // Invoice meta (right) + bill to (left)
+  const top = doc.y;
+  doc.fontSize(10).font("Helvetica-Bold").text("Bill To", 50, top);
+  doc.font("Helvetica");
+  doc.text(invoice.billTo?.name || "—");
+  if (invoice.billTo?.email) doc.text(invoice.billTo.email);
+  if (invoice.billTo?.phone) doc.text(invoice.billTo.phone);
+  const leftBottom = doc.y;
+
+  doc.font("Helvetica-Bold").text(`Invoice No: ${invoice.invoiceNumber}`, 330, top, { width: 215, align: "right" });
+  doc.font("Helvetica");
+  doc.text(`Issue Date: ${formatDate(invoice.issuedAt)}`, 330, doc.y, { width: 215, align: "right" });
+  doc.text(`Due Date: ${formatDate(invoice.dueDate)}`, 330, doc.y, { width: 215, align: "right" });
+  doc.text(`Currency: ${invoice.currency}`, 330, doc.y, { width: 215, align: "right" });
+  doc.y = Math.max(leftBottom, doc.y);
+
+  // Trip reference
+  const trip = invoice.trip || {};
+  if (trip.package || trip.departureDate || trip.pnrs?.length) {
+    sectionTitle(doc, brand, "Trip");
+    if (trip.package) doc.text(`Package: ${trip.package}`);
+    if (trip.departureDate || trip.returnDate) {
+      doc.text(`Travel: ${formatDate(trip.departureDate)} to ${formatDate(trip.returnDate)}`);
+    }
+    if (trip.pnrs?.length) doc.text(`PNR: ${trip.pnrs.join(", ")}`);
+  }
+
+  // Line items at sale price
+  sectionTitle(doc, brand, "Items");
+  drawRow(doc, Object.fromEntries(COLS.map((c) => [c.key, c.label])), { bold: true });
+  doc.moveTo(50, doc.y - 2).lineTo(545, doc.y - 2).strokeColor("#cccccc").stroke();
+  (invoice.lines || []).forEach((line) =>
+    drawRow(doc, {
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: money(line.unitPrice),
+      amount: money(line.amount),
+    })
+  );
+  doc.moveTo(300, doc.y).lineTo(545, doc.y).strokeColor("#cccccc").stroke();
+  doc.moveDown(0.3);
+  totalLine(doc, "Subtotal", money(invoice.subtotal));
+  totalLine(doc, "Payments Received", `- ${money(invoice.paid)}`);
+  totalLine(doc, "Balance Due", money(invoice.balanceDue), { bold: true });
+
+  // Payments received
+  if (invoice.payments?.length) {
+    sectionTitle(doc, brand, "Payments Received");
+    invoice.payments.forEach((p) => {
+      ensureSpace(doc, 14);
+      const original = p.originalCurrency ? ` (${formatMoney(p.originalAmount, p.originalCurrency)})` : "";
+      const ref = p.reference ? `  Ref: ${p.reference}` : "";
+      doc.text(`${formatDate(p.date)}  ${METHOD_NAMES[p.method] || p.method || "—"}  ${money(p.amount)}${original}${ref}`, 50);
+    });
+  }
+
+  // Terms
+  if (invoice.terms) {
+    sectionTitle(doc, brand, "Terms");
+    doc.fontSize(9).fillColor("#444444").text(invoice.terms, 50, doc.y, { width: 495 });
+    doc.fillColor("#000000");
+  }
+
+  if (invoice.status === "superseded") {
+    sectionTitle(doc, brand, "Note");
+    doc.text(`This invoice was replaced by ${invoice.supersededBy}.`);
+  }
+
+  drawFooters(doc, brand);
+  doc.end();
+};
@@ -0,0 +1,90 @@
+// utils/pdf/layout.js (ESM)
+//
+// Shared pieces for generated PDFs (header band, footer, formatting).
+// Every drawing helper takes the company branding from utils/branding.js.
+import PDFDocument from "pdfkit";
+import { contactLine, contrastColor } from "../branding.js";
+
+export const formatDate = (d) => {
+  if (!d) return "—";
+  const date = d instanceof Date ? d : new Date(d);
+  return Number.isNaN(date.getTime()) ? String(d).slice(0, 10) || "—" : date.toISOString().slice(0, 10);
+};
+
+export const formatMoney = (amount, currency = "USD") =>
+  `${currency} ${(Number(amount) || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * New A4 document piped to the response as a download.
+ */
+export const createPdfResponse = (res, filename) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+    bufferPages: true,
+  });
+  doc.pipe(res);
+  return doc;
+};
+
+/**
+ * Coloured header band with logo, company name and tagline.
+ */
+export const drawHeader = (doc, brand, subtitle) => {
+  const band = brand.primaryColor;
+  const ink = contrastColor(band);
+  doc.rect(0, 0, doc.page.width, 60).fill(band);
+
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, 15, 8, { fit: [80, 44], valign: "center" });
+    } catch (e) {
+      console.warn("Company logo could not be drawn:", e.message);
+    }
+  }
+
+  doc.fillColor(ink)
+     .fontSize(18)
+     .font("Helvetica-Bold")
+     .text(brand.name, 100, 14, { align: "center", width: doc.page.width - 200 });
+  doc.fontSize(10).font("Helvetica");
+  if (brand.tagline) doc.text(brand.tagline, 100, 34, { align: "center", width: doc.page.width - 200 });
+  if (subtitle) doc.fontSize(9).text(subtitle, 100, 47, { align: "center", width: doc.page.width - 200 });
+  doc.fillColor("#000000");
+  doc.y = 80;
+  doc.x = doc.page.margins.left;
+};
+
+// Footer on every buffered page (call once, right before doc.end())
+export const drawFooters = (doc, brand) => {
+  const contact = contactLine(brand);
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // writing inside the margin must not add a page
+    doc.fontSize(8).fillColor("#666666");
+    if (contact) {
+      doc.text(contact, 50, doc.page.height - 40, { align: "center", width: doc.page.width - 100 });
+    }
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, 50, doc.page.height - 28, {
+      align: "center",
+      width: doc.page.width - 100,
+    });
+    doc.page.margins.bottom = bottom;
+    doc.fillColor("#000000");
+  }
+};
+
+// Section headings use the brand colour unless it is too light to read on white
+export const sectionTitle = (doc, brand, title) => {
+  const color = brand && contrastColor(brand.primaryColor) === "#ffffff" ? brand.primaryColor : "#1e3a8a";
+  doc.moveDown(0.8);
+  doc.x = doc.page.margins.left;
+  doc.fontSize(12).font("Helvetica-Bold").fillColor(color).text(title);
+  doc.fillColor("#000000").font("Helvetica").fontSize(10);
+  doc.moveDown(0.3);
+};
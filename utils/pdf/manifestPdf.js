@@ -0,0 +1,64 @@
+// utils/pdf/manifestPdf.js (ESM)
+//
+// Driver manifest for one vehicle (utils/dispatch.js manifestLegs): pickups in
+// time order with the lead contact and passenger names. No prices.
+import { legacyTravellers } from "../travellers.js";
+import { createPdfResponse, drawFooters, drawHeader, sectionTitle } from "./layout.js";
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+    doc.y = doc.page.margins.top;
+  }
+};
+
+const namesOf = (booking) =>
+  (booking?.travellers?.length ? booking.travellers : legacyTravellers(booking || {})).map((t) => t.fullName);
+
+/**
+ * Stream the manifest PDF. `bookings` maps booking id -> lean booking (names, contacts).
+ */
+export const renderManifestPdf = (res, manifest, bookings, brand, { date, driver, vehicleNo } = {}) => {
+  const first = manifest.legs[0];
+  const doc = createPdfResponse(res, `manifest-${date}-${String(first.time || "").replace(":", "")}-${manifest.vehicleType}.pdf`);
+
+  drawHeader(doc, brand, "DRIVER MANIFEST");
+
+  const top = doc.y;
+  doc.fontSize(11).font("Helvetica-Bold").text(`${first.from} to ${first.to}`, 50, top);
+  doc.fontSize(10).font("Helvetica");
+  doc.text(`Date: ${date}`);
+  doc.text(`First pickup: ${first.time || "—"}`);
+  const leftBottom = doc.y;
+
+  doc.font("Helvetica-Bold").text(`Vehicle: ${manifest.vehicleType}`, 330, top, { width: 215, align: "right" });
+  doc.font("Helvetica");
+  if (vehicleNo) doc.text(`Vehicle No: ${vehicleNo}`, 330, doc.y, { width: 215, align: "right" });
+  if (driver) doc.text(`Driver: ${driver}`, 330, doc.y, { width: 215, align: "right" });
+  doc.text(`Passengers: ${manifest.passengers} / ${manifest.capacity} seats`, 330, doc.y, { width: 215, align: "right" });
+  doc.y = Math.max(leftBottom, doc.y);
+
+  sectionTitle(doc, brand, "Pickups");
+  manifest.legs.forEach((leg, i) => {
+    const booking = bookings.get(String(leg.bookingId));
+    const names = namesOf(booking);
+    ensureSpace(doc, 40 + 12 * names.length);
+
+    doc.font("Helvetica-Bold").fontSize(10)
+       .text(`${i + 1}. ${leg.time || "—"}  ${leg.customerName}  (${leg.passengers} pax)`, 50);
+    doc.font("Helvetica").fontSize(9);
+    const contact = [leg.contactNumber, leg.pnr ? `PNR ${leg.pnr}` : null].filter(Boolean).join("   ");
+    if (contact) doc.text(contact, 65);
+    if (names.length) doc.text(names.join(", "), 65, doc.y, { width: 480 });
+    else doc.fillColor("#666666").text("Passenger names not on file", 65).fillColor("#000000");
+    doc.moveDown(0.5);
+  });
+
+  sectionTitle(doc, brand, "Driver Notes");
+  doc.fontSize(9).fillColor("#444444")
+     .text("Call the lead passenger 30 minutes before pickup. Report no-shows to the office before leaving.", 50, doc.y, { width: 495 });
+  doc.fillColor("#000000");
+
+  drawFooters(doc, brand);
+  doc.end();
+};
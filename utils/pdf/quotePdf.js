@@ -0,0 +1,121 @@
+// utils/pdf/quotePdf.js (ESM)
+//
+// Customer-facing quote. Only the sale rows are printed; supplier costs and
+// the margin stay in the app.
+import { PACKAGE_INCLUSIONS } from "../packages.js";
+import { createPdfResponse, drawFooters, drawHeader, formatDate, formatMoney, sectionTitle } from "./layout.js";
+
+const COLS = [
+  { key: "description", label: "Description", x: 50, width: 245, align: "left" },
+  { key: "quantity", label: "Qty", x: 300, width: 50, align: "right" },
+  { key: "unitPrice", label: "Unit Price", x: 355, width: 90, align: "right" },
+  { key: "amount", label: "Amount", x: 450, width: 95, align: "right" },
+];
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+    doc.y = doc.page.margins.top;
+  }
+};
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  ensureSpace(doc, 18);
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  let height = 0;
+  COLS.forEach((col) => {
+    const text = String(values[col.key] ?? "");
+    doc.text(text, col.x, y, { width: col.width, align: col.align });
+    height = Math.max(height, doc.heightOfString(text, { width: col.width }));
+  });
+  doc.y = y + height + 4;
+};
+
+const titleCase = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Stream the quote PDF to the response. `pkg` (optional) adds the package inclusions.
+ */
+export const renderQuotePdf = (res, quote, brand, pkg) => {
+  const doc = createPdfResponse(res, `quote-${quote.quoteNumber}.pdf`);
+  const money = (n) => formatMoney(n, quote.currency);
+
+  drawHeader(doc, brand, "QUOTATION");
+
+  // Customer (left) + quote meta (right)
+  const top = doc.y;
+  doc.fontSize(10).font("Helvetica-Bold").text("Prepared For", 50, top);
+  doc.font("Helvetica");
+  doc.text(quote.customer?.name || "—");
+  if (quote.customer?.email) doc.text(quote.customer.email);
+  if (quote.customer?.phone) doc.text(quote.customer.phone);
+  const leftBottom = doc.y;
+
+  doc.font("Helvetica-Bold").text(`Quote No: ${quote.quoteNumber}`, 330, top, { width: 215, align: "right" });
+  doc.font("Helvetica");
+  doc.text(`Date: ${formatDate(quote.createdAt)}`, 330, doc.y, { width: 215, align: "right" });
+  doc.text(`Valid Until: ${formatDate(quote.validUntil)}`, 330, doc.y, { width: 215, align: "right" });
+  doc.text(`Currency: ${quote.currency}`, 330, doc.y, { width: 215, align: "right" });
+  doc.y = Math.max(leftBottom, doc.y);
+
+  // Trip
+  const pax = quote.pax || {};
+  sectionTitle(doc, brand, "Trip");
+  doc.text(`Package: ${quote.packageName || "—"}`);
+  doc.text(`Travel: ${formatDate(quote.departureDate)} to ${formatDate(quote.returnDate)}`);
+  doc.text(
+    `Travellers: ${pax.adults || 0} adult(s), ${pax.children || 0} child(ren), ${pax.infants || 0} infant(s)`
+  );
+  doc.text(`Rooms: ${quote.rooms || 0} × ${titleCase(quote.occupancy || "")}`);
+
+  if (quote.hotels?.length) {
+    sectionTitle(doc, brand, "Hotels");
+    quote.hotels.forEach((h) => {
+      ensureSpace(doc, 14);
+      doc.text(`${h.city}: ${h.name}  ${h.nights} night(s), ${formatDate(h.checkIn)} to ${formatDate(h.checkOut)}`, 50);
+    });
+  }
+
+  // Price at sale rates only
+  const saleRows = (quote.costing?.rows || []).filter((r) => Number(r.salePerQty) > 0);
+  sectionTitle(doc, brand, "Price");
+  drawRow(doc, Object.fromEntries(COLS.map((c) => [c.key, c.label])), { bold: true });
+  doc.moveTo(50, doc.y - 2).lineTo(545, doc.y - 2).strokeColor("#cccccc").stroke();
+  saleRows.forEach((r) =>
+    drawRow(doc, {
+      description: r.label || r.item,
+      quantity: r.quantity,
+      unitPrice: formatMoney(r.salePerQty, r.currency || quote.currency),
+      amount: formatMoney(r.quantity * r.salePerQty, r.currency || quote.currency),
+    })
+  );
+  doc.moveTo(300, doc.y).lineTo(545, doc.y).strokeColor("#cccccc").stroke();
+  doc.moveDown(0.3);
+  drawRow(doc, { unitPrice: "Total", amount: money(quote.costing?.totals?.totalSale) }, { bold: true });
+
+  const included = PACKAGE_INCLUSIONS.filter((key) => pkg?.inclusions?.[key]);
+  if (included.length) {
+    sectionTitle(doc, brand, "Included");
+    doc.text(included.map(titleCase).join(", "), 50, doc.y, { width: 495 });
+  }
+
+  if (quote.notes) {
+    sectionTitle(doc, brand, "Notes");
+    doc.fontSize(9).fillColor("#444444").text(quote.notes, 50, doc.y, { width: 495 });
+    doc.fillColor("#000000");
+  }
+
+  sectionTitle(doc, brand, "Terms");
+  doc.fontSize(9).fillColor("#444444").text(
+    `Prices are per the package rates on the quote date and may change after ${formatDate(quote.validUntil)}. ` +
+      "Hotels and flights are subject to availability at the time of booking.",
+    50,
+    doc.y,
+    { width: 495 }
+  );
+  doc.fillColor("#000000");
+
+  drawFooters(doc, brand);
+  doc.end();
+};
@@ -0,0 +1,94 @@
+// utils/pdf/roomingListPdf.js (ESM)
+//
+// Rooming list for the hotel (utils/roomingList.js): one block per room with
+// its guests. Flagged bookings are listed at the end for our staff.
+import { createPdfResponse, drawFooters, drawHeader, sectionTitle } from "./layout.js";
+
+const COLS = [
+  { key: "room", label: "Room", x: 50, width: 35 },
+  { key: "type", label: "Type", x: 88, width: 50 },
+  { key: "guest", label: "Guest", x: 141, width: 165 },
+  { key: "passport", label: "Passport", x: 309, width: 80 },
+  { key: "nationality", label: "Nationality", x: 392, width: 65 },
+  { key: "booking", label: "Booking / PNR", x: 460, width: 85 },
+];
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+    doc.y = doc.page.margins.top;
+  }
+};
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  let height = 0;
+  COLS.forEach((col) => {
+    const text = String(values[col.key] ?? "");
+    doc.text(text, col.x, y, { width: col.width });
+    height = Math.max(height, doc.heightOfString(text, { width: col.width }));
+  });
+  doc.y = y + height + 3;
+};
+
+const guestLabel = (g) => `${g.fullName}${g.type && g.type !== "adult" ? ` (${g.type})` : ""}`;
+
+/**
+ * Stream the rooming list PDF to the response, branded with `brand` (utils/branding.js).
+ */
+export const renderRoomingListPdf = (res, rooming, brand) => {
+  const slug = String(rooming.hotel).replace(/[^A-Za-z0-9]+/g, "-").toLowerCase();
+  const doc = createPdfResponse(res, `rooming-${slug}-${rooming.from}.pdf`);
+
+  drawHeader(doc, brand, "ROOMING LIST");
+
+  doc.fontSize(12).font("Helvetica-Bold").text(rooming.list[0]?.hotel || rooming.hotel, 50);
+  doc.fontSize(10).font("Helvetica");
+  doc.text(`Nights: ${rooming.from} to ${rooming.to}`);
+  const types = Object.entries(rooming.byRoomType).map(([type, n]) => `${n} ${type}`).join(", ");
+  doc.text(`Rooms: ${rooming.rooms}${types ? ` (${types})` : ""}   Guests: ${rooming.travellers}`);
+
+  // Rooms grouped by check-in date
+  let checkIn = null;
+  rooming.list.forEach((room) => {
+    if (room.checkIn !== checkIn) {
+      checkIn = room.checkIn;
+      ensureSpace(doc, 60);
+      sectionTitle(doc, brand, `Check-in ${room.checkIn}${room.checkOut ? `, check-out ${room.checkOut}` : ""}`);
+      drawRow(doc, Object.fromEntries(COLS.map((c) => [c.key, c.label])), { bold: true });
+      doc.moveTo(50, doc.y - 1).lineTo(545, doc.y - 1).strokeColor("#cccccc").stroke();
+    }
+
+    const guests = room.occupants.length ? room.occupants : [{ fullName: "(names to follow)" }];
+    ensureSpace(doc, 14 * guests.length + 6);
+    guests.forEach((g, i) =>
+      drawRow(doc, {
+        room: i === 0 ? room.roomNo : "",
+        type: i === 0 ? room.roomType || "" : "",
+        guest: guestLabel(g),
+        passport: g.passportNumber || "",
+        nationality: g.nationality || "",
+        booking: i === 0 ? [room.customerName, room.pnr].filter(Boolean).join(" / ") : "",
+      })
+    );
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor("#eeeeee").stroke();
+    doc.y += 2;
+  });
+
+  if (rooming.list.length === 0) {
+    doc.moveDown();
+    doc.text("No bookings stay at this hotel in the selected dates.", 50);
+  }
+
+  if (rooming.flags.length) {
+    sectionTitle(doc, brand, "To check before sending");
+    rooming.flags.forEach((f) => {
+      ensureSpace(doc, 14);
+      doc.fontSize(9).text(`${f.customerName}: ${f.message}`, 50, doc.y, { width: 495 });
+    });
+  }
+
+  drawFooters(doc, brand);
+  doc.end();
+};
@@ -0,0 +1,149 @@
+// utils/pdf/voucherPdf.js (ESM)
+//
+// Printable travel voucher for pilgrims: itinerary, hotels, transport, visas and
+// emergency contacts, one page per section. No prices, payments or card data.
+import { contactLine } from "../branding.js";
+import { routeSummary } from "../gdsParser.js";
+import { HOLY_CITIES, hotelCity, hotelsOf } from "../hotels.js";
+import { createPdfResponse, drawFooters, drawHeader, formatDate, sectionTitle } from "./layout.js";
+
+// Sections read the same fields (and legacy fallbacks) as the booking PDF
+const itineraryLines = (booking) => {
+  if (booking.flights?.itineraryLines?.length) return booking.flights.itineraryLines;
+  const raw = booking.flights?.raw || booking.flight?.itinerary || "";
+  return raw.split("\n").map((l) => l.trim()).filter(Boolean);
+};
+
+const transportLegsOf = (booking) => booking.transportation?.legs?.length
+  ? booking.transportation.legs
+  : booking.transport?.legs || [];
+
+const visaPassengersOf = (booking) => booking.visas?.passengers?.length
+  ? booking.visas.passengers
+  : booking.visa?.visaType || booking.visa?.nationality ? [booking.visa] : [];
+
+const field = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(value || "—");
+};
+
+const flightSection = (doc, booking, brand) => {
+  sectionTitle(doc, brand, "Flight Itinerary");
+  const pnrs = booking.pnrs?.length ? booking.pnrs : booking.pnr ? [booking.pnr] : [];
+  if (pnrs.length) field(doc, "PNR", pnrs.join(", "));
+  field(doc, "Class", booking.flight?.flightClass || booking.flightClass);
+  const segments = booking.flights?.segments || [];
+  if (segments.length > 0) {
+    field(doc, "Route", routeSummary(segments));
+  } else if (booking.flight?.departureCity && booking.flight?.arrivalCity) {
+    field(doc, "Route", `${booking.flight.departureCity} to ${booking.flight.arrivalCity}`);
+  }
+
+  segments.forEach((seg) => {
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").text(`${seg.carrier} ${seg.flightNumber}  ${seg.origin} → ${seg.destination}`);
+    doc.font("Helvetica");
+    field(doc, "Departs", `${formatDate(seg.date)} ${seg.departureTime}`);
+    field(doc, "Arrives", `${formatDate(seg.arrivalDate || seg.date)} ${seg.arrivalTime}`);
+    field(doc, "Class / Status", `${seg.bookingClass} / ${seg.status}`);
+  });
+
+  // Unparsed text is still printed as pasted
+  if (segments.length === 0) {
+    doc.moveDown(0.8);
+    doc.font("Courier").fontSize(9);
+    itineraryLines(booking).forEach((line) => doc.text(line));
+    doc.font("Helvetica").fontSize(10);
+  }
+};
+
+const hotelSection = (doc, booking, brand) => {
+  const byCity = new Map();
+  hotelsOf(booking).forEach((h) => {
+    const city = hotelCity(h);
+    if (!byCity.has(city)) byCity.set(city, []);
+    byCity.get(city).push(h);
+  });
+  const cities = [...byCity.keys()].sort((a, b) => {
+    const ia = HOLY_CITIES.indexOf(a);
+    const ib = HOLY_CITIES.indexOf(b);
+    return (ia === -1 ? HOLY_CITIES.length : ia) - (ib === -1 ? HOLY_CITIES.length : ib);
+  });
+
+  sectionTitle(doc, brand, "Hotels");
+  cities.forEach((city) => {
+    doc.moveDown(0.5);
+    doc.fontSize(11).font("Helvetica-Bold").text(city.toUpperCase());
+    doc.fontSize(10).font("Helvetica");
+    byCity.get(city).forEach((h) => {
+      doc.moveDown(0.3);
+      field(doc, "Hotel", h.name || h.hotelName);
+      field(doc, "Room", h.roomType);
+      field(doc, "Check-in", formatDate(h.checkIn));
+      field(doc, "Check-out", formatDate(h.checkOut));
+    });
+  });
+};
+
+const transportSection = (doc, booking, brand) => {
+  sectionTitle(doc, brand, "Transport");
+  if (booking.transport?.pickupLocation) field(doc, "Pickup Location", booking.transport.pickupLocation);
+  transportLegsOf(booking).forEach((leg, i) => {
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").text(`Leg ${i + 1}: ${leg.from || "—"} to ${leg.to || "—"}`);
+    doc.font("Helvetica");
+    field(doc, "Vehicle", leg.vehicleType);
+    field(doc, "Date", leg.date ? formatDate(leg.date) : "—");
+    field(doc, "Pickup Time", leg.time);
+  });
+};
+
+const visaSection = (doc, booking, brand) => {
+  sectionTitle(doc, brand, "Visa Passengers");
+  visaPassengersOf(booking).forEach((p, i) => {
+    doc.moveDown(0.3);
+    doc.text(`${i + 1}. ${p.fullName || p.name || "—"}  |  ${p.nationality || "—"}  |  ${p.visaType || "—"}`);
+  });
+};
+
+const emergencySection = (doc, booking, brand) => {
+  sectionTitle(doc, brand, "Emergency Contacts");
+  (booking.emergencyContacts || []).forEach((c) => {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").text(`${c.name || "—"}${c.relationship ? ` (${c.relationship})` : ""}`);
+    doc.font("Helvetica");
+    if (c.phone) field(doc, "Phone", c.phone);
+    if (c.email) field(doc, "Email", c.email);
+  });
+  doc.moveDown(1);
+  doc.font("Helvetica-Bold").text(`${brand.name} (24/7)`);
+  doc.font("Helvetica").text(contactLine(brand));
+  if (brand.address) doc.text(brand.address);
+};
+
+/**
+ * Stream the voucher PDF to the response. Sections without data are skipped;
+ * the emergency contacts page is always printed.
+ */
+export const renderVoucherPdf = (res, booking, brand) => {
+  const doc = createPdfResponse(res, `voucher-${booking._id}.pdf`);
+
+  const sections = [
+    itineraryLines(booking).length > 0 && flightSection,
+    hotelsOf(booking).length > 0 && hotelSection,
+    (transportLegsOf(booking).length > 0 || booking.transport?.pickupLocation) && transportSection,
+    visaPassengersOf(booking).length > 0 && visaSection,
+    emergencySection,
+  ].filter(Boolean);
+
+  sections.forEach((section, i) => {
+    if (i > 0) doc.addPage();
+    drawHeader(doc, brand, "TRAVEL VOUCHER");
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Guest: ${booking.customerName || "—"}    Package: ${booking.package || "—"}`);
+    doc.text(`Travel: ${formatDate(booking.departureDate)} to ${formatDate(booking.returnDate)}    Ref: ${booking._id}`);
+    section(doc, booking, brand);
+  });
+
+  drawFooters(doc, brand);
+  doc.end();
+};
@@ -0,0 +1,85 @@
+// utils/pnrRegistry.js (ESM)
+//
+// PNRs of a booking are one set: `pnrs` holds all of them and `pnr` mirrors the
+// first (kept for older clients). A PNR already used by another active booking
+// is blocked or only warned about, depending on PNR_DUPLICATE_POLICY.
+import mongoose from "mongoose";
+
+// Bookings in these statuses no longer hold their PNRs
+export const INACTIVE_STATUSES = ["cancelled", "travelled"];
+
+const pnrError = (message, status = 400, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+export const cleanPnr = (value) => String(value ?? "").replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+
+export const isValidPnr = (value) => /^[A-Z0-9]{6}$/.test(cleanPnr(value));
+
+// "block" (default) rejects the save, "warn" saves and reports the conflicts
+export const duplicatePolicy = () =>
+  String(process.env.PNR_DUPLICATE_POLICY || "block").toLowerCase() === "warn" ? "warn" : "block";
+
+/**
+ * `pnr` + `pnrs` -> cleaned, de-duplicated list (`pnr` first). Empty values are dropped.
+ */
+export const pnrSet = ({ pnr, pnrs } = {}) => {
+  const all = [pnr, ...(Array.isArray(pnrs) ? pnrs : [])].map(cleanPnr).filter(Boolean);
+  return [...new Set(all)];
+};
+
+/**
+ * Validate PNRs from a request payload; throws 400 naming the invalid ones.
+ */
+export const validatePnrs = (list) => {
+  const invalid = list.filter((p) => !isValidPnr(p));
+  if (invalid.length > 0) {
+    throw pnrError("PNR must be exactly 6 characters (A–Z/0–9).", 400, { invalid });
+  }
+  return list;
+};
+
+/**
+ * Active bookings (other than `excludeId`) that already hold any of `pnrs`.
+ * Members of `group` share its PNRs and are not conflicts.
+ * Returns [{ pnr, bookingId, customerName, status, agent }].
+ */
+export const findPnrConflicts = async (pnrs, excludeId, group) => {
+  if (!pnrs?.length) return [];
+  const Booking = mongoose.model("Booking");
+  const filter = {
+    $or: [{ pnrs: { $in: pnrs } }, { pnr: { $in: pnrs } }],
+    status: { $nin: INACTIVE_STATUSES },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  if (group) filter.group = { $ne: group };
+
+  const others = await Booking.find(filter).select("pnr pnrs customerName status agent").lean();
+  return others.flatMap((b) =>
+    pnrSet(b)
+      .filter((p) => pnrs.includes(p))
+      .map((pnr) => ({ pnr, bookingId: b._id, customerName: b.customerName, status: b.status, agent: b.agent }))
+  );
+};
+
+/**
+ * Check PNRs newly added to a booking. Throws 409 under the "block" policy;
+ * returns the conflicts (possibly empty) under "warn".
+ */
+export const checkPnrConflicts = async (booking, previous = []) => {
+  const added = pnrSet(booking).filter((p) => !previous.includes(p));
+  if (INACTIVE_STATUSES.includes(booking.status)) return [];
+
+  const conflicts = await findPnrConflicts(added, booking._id, booking.group);
+  if (conflicts.length > 0 && duplicatePolicy() === "block") {
+    throw pnrError(
+      `PNR already used by another active booking: ${[...new Set(conflicts.map((c) => c.pnr))].join(", ")}`,
+      409,
+      conflicts
+    );
+  }
+  return conflicts;
+};
@@ -0,0 +1,187 @@
+// utils/quotes.js (ESM)
+//
+// Quote engine: package + travel dates + room occupancy + head count -> costing
+// rows, sale price and margin. Sale rows carry the package price per traveller
+// type (in the package currency); cost rows carry supplier costs per hotel
+// night, visa, transfer and flight (in the package cost currency). Totals go
+// through utils/costing.js like any booking, so a quote's rows can be copied
+// onto the booking unchanged.
+import { normalizeCosting } from "./costing.js";
+import { buildCostingConverter, costingRates, normalizeCurrency } from "./currency.js";
+import { OCCUPANCIES, ROOM_CAPACITY, isPackageAvailable } from "./packages.js";
+
+const DAY_MS = 86400000;
+
+// Days a quote stays open before it has to be re-priced
+export const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS) || 14;
+
+export const formatQuoteNumber = (seq) =>
+  `${process.env.QUOTE_PREFIX || "Q-"}${String(seq).padStart(6, "0")}`;
+
+const quoteError = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+const isoDay = (d) => new Date(d).toISOString().slice(0, 10);
+const addDays = (d, days) => new Date(new Date(d).getTime() + days * DAY_MS);
+
+const count = (value, field) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw quoteError(`${field} must be a whole number`);
+  return n;
+};
+
+/**
+ * Validate the quote request against the package.
+ * @returns {{ departureDate, returnDate, occupancy, pax: { adults, children, infants } }}
+ */
+export const normalizeQuoteInput = (pkg, input = {}) => {
+  const occupancy = String(input.occupancy || "").toLowerCase();
+  if (!OCCUPANCIES.includes(occupancy)) throw quoteError(`occupancy must be one of: ${OCCUPANCIES.join(", ")}`);
+  if (pkg.pricing?.[occupancy] === undefined) throw quoteError(`Package "${pkg.name}" has no ${occupancy} price`);
+
+  const pax = {
+    adults: count(input.adults, "adults"),
+    children: count(input.children, "children"),
+    infants: count(input.infants, "infants"),
+  };
+  if (pax.adults < 1) throw quoteError("At least one adult is required");
+  if (pax.infants > pax.adults) throw quoteError("Each infant must travel with an adult");
+  if (pax.children > 0 && pkg.pricing?.child === undefined) throw quoteError(`Package "${pkg.name}" has no child price`);
+  if (pax.infants > 0 && pkg.pricing?.infant === undefined) throw quoteError(`Package "${pkg.name}" has no infant price`);
+
+  const departure = new Date(input.departureDate);
+  if (!input.departureDate || Number.isNaN(departure.getTime())) throw quoteError("departureDate must be a valid date");
+  if (!isPackageAvailable(pkg, departure)) throw quoteError(`Package "${pkg.name}" is not offered for ${isoDay(departure)}`);
+
+  const nights = (pkg.nights?.makkah || 0) + (pkg.nights?.madina || 0);
+  const returnDate = input.returnDate ? new Date(input.returnDate) : addDays(departure, nights);
+  if (Number.isNaN(returnDate.getTime())) throw quoteError("returnDate must be a valid date");
+  if (returnDate < addDays(departure, nights)) {
+    throw quoteError(`returnDate leaves fewer than the package's ${nights} nights`);
+  }
+
+  return { departureDate: departure, returnDate, occupancy, pax };
+};
+
+// Hotel stays in package order (first city checks in on the departure date)
+const hotelStays = (pkg, departure, occupancy, rooms) => {
+  let checkIn = new Date(departure);
+  const cities = (pkg.hotels || []).map((h) => h.city);
+  const order = [...new Set([...cities, "Makkah", "Madina"])];
+  return order
+    .map((city) => {
+      const nights = pkg.nights?.[city.toLowerCase()] || 0;
+      if (nights === 0) return null;
+      const hotel = (pkg.hotels || []).find((h) => h.city === city);
+      const stay = {
+        city,
+        name: hotel?.name || `${city} hotel`,
+        roomType: occupancy,
+        rooms,
+        nights,
+        checkIn: isoDay(checkIn),
+        checkOut: isoDay(addDays(checkIn, nights)),
+      };
+      checkIn = addDays(checkIn, nights);
+      return stay;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Costing rows and the hotel plan for a quote (no currency conversion yet).
+ */
+export const buildQuoteRows = (pkg, { departureDate, occupancy, pax }) => {
+  const saleCurrency = normalizeCurrency(pkg.currency);
+  const costCurrency = normalizeCurrency(pkg.costs?.currency, saleCurrency);
+  const costs = pkg.costs || {};
+  const seated = pax.adults + pax.children; // infants share a bed and a seat
+  const travellers = seated + pax.infants;
+  const rooms = Math.ceil(seated / ROOM_CAPACITY[occupancy]);
+
+  const rows = [];
+  const sale = (label, quantity, salePerQty) => {
+    if (quantity > 0) rows.push({ item: label, label, quantity, costPerQty: 0, salePerQty, currency: saleCurrency });
+  };
+  const cost = (label, quantity, costPerQty) => {
+    if (quantity > 0 && costPerQty > 0) {
+      rows.push({ item: label, label, quantity, costPerQty, salePerQty: 0, currency: costCurrency });
+    }
+  };
+
+  sale(`${pkg.name} (${occupancy} room) per adult`, pax.adults, pkg.pricing[occupancy]);
+  sale(`${pkg.name} per child`, pax.children, pkg.pricing.child || 0);
+  sale(`${pkg.name} per infant`, pax.infants, pkg.pricing.infant || 0);
+
+  const hotels = hotelStays(pkg, departureDate, occupancy, rooms);
+  hotels.forEach((stay) => {
+    const rate = costs.roomNight?.[stay.city.toLowerCase()]?.[occupancy] || 0;
+    cost(`${stay.name}: ${rooms} ${occupancy} room(s) × ${stay.nights} nights`, rooms * stay.nights, rate);
+  });
+
+  cost("Visa per passenger", travellers, costs.visaPerPerson || 0);
+
+  (costs.transport || []).forEach((leg) => {
+    const vehicles = leg.capacity ? Math.ceil(seated / leg.capacity) : 1;
+    const route = [leg.from, leg.to].filter(Boolean).join(" to ") || "Transfer";
+    cost(`${route}${leg.vehicleType ? ` (${leg.vehicleType})` : ""}`, vehicles, leg.cost || 0);
+  });
+
+  cost("Flight per adult", pax.adults, costs.flight?.adult || 0);
+  cost("Flight per child", pax.children, costs.flight?.child || 0);
+  cost("Flight per infant", pax.infants, costs.flight?.infant || 0);
+
+  return { rows, hotels, rooms, currency: saleCurrency };
+};
+
+/**
+ * Full quote: input check, rows, hotel plan and totals in the package currency
+ * (cost rows in another currency are converted at the rate on the departure date,
+ * from the rate table of `companyId`). The rates used are kept in `costing.rates`
+ * so accepting the quote prices the booking the same way.
+ */
+export const priceQuote = async (pkg, input, { companyId } = {}) => {
+  const normalized = normalizeQuoteInput(pkg, input);
+  const { rows, hotels, rooms, currency } = buildQuoteRows(pkg, normalized);
+  const convert = await buildCostingConverter(rows, currency, normalized.departureDate, companyId);
+  const rates = costingRates(rows, currency, convert);
+  const costing = {
+    ...normalizeCosting({ rows }, { convert }),
+    ...(rates ? { rates, ratesDate: normalized.departureDate } : {}),
+  };
+  return { ...normalized, currency, rooms, hotels, costing };
+};
+
+/**
+ * Booking payload (utils/bookingFactory.js) for an accepted quote.
+ */
+export const bookingPayloadFromQuote = (quote) => ({
+  customerName: quote.customer?.name,
+  customerEmail: quote.customer?.email,
+  contactNumber: quote.customer?.phone,
+  package: quote.packageName,
+  packageId: quote.package,
+  date: new Date(),
+  currency: quote.currency,
+  departureDate: quote.departureDate,
+  returnDate: quote.returnDate,
+  adults: quote.pax?.adults,
+  children: quote.pax?.children,
+  passengers: (quote.pax?.adults || 0) + (quote.pax?.children || 0) + (quote.pax?.infants || 0),
+  hotels: (quote.hotels || []).map((h) => ({
+    name: h.name,
+    city: h.city,
+    roomType: h.roomType,
+    checkIn: h.checkIn,
+    checkOut: h.checkOut,
+  })),
+  costing: { rows: quote.costing?.rows || [] },
+  packagePrice: String(quote.costing?.totals?.totalSale ?? ""),
+  totalAmount: quote.costing?.totals?.totalSale,
+  agent: quote.agent,
+});
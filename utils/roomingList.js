@@ -0,0 +1,181 @@
+// utils/roomingList.js (ESM)
+//
+// Rooming list for one hotel over a date range: every booked stay at the hotel
+// that overlaps the range, its travellers split into rooms of the booked room
+// type. Infants share a bed and ride along in the booking's first room.
+// Bookings whose head count does not fill their rooms exactly (or whose room
+// type is not recognised, or that have no traveller names yet) are flagged.
+import { csvCell } from "./bookingExport.js";
+import { hotelCity, hotelsOf, roomOccupancy } from "./hotels.js";
+import { INACTIVE_STATUSES } from "./pnrRegistry.js";
+import { legacyTravellers, travelReferenceDate, travellerType } from "./travellers.js";
+
+export const ROOMING_FORMATS = ["json", "csv", "pdf"];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isoDay = (d) => {
+  if (!d) return null;
+  const date = new Date(d);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * MongoDB filter for active bookings with a stay at `hotel` (name contains, any
+ * case) whose travel dates overlap `from`..`to` (YYYY-MM-DD; undated bookings
+ * are kept). Exact nights are checked per stay in buildRoomingList (stays store
+ * ISO strings).
+ */
+export const roomingListFilter = (hotel, { from, to }) => {
+  const rx = new RegExp(escapeRegex(String(hotel).trim()), "i");
+  return {
+    status: { $nin: INACTIVE_STATUSES },
+    $and: [
+      { $or: [{ "hotels.name": rx }, { "hotel.name": rx }, { "hotel.hotelName": rx }] },
+      { $or: [{ departureDate: { $lte: new Date(`${to}T23:59:59.999Z`) } }, { departureDate: null }] },
+      { $or: [{ returnDate: { $gte: new Date(`${from}T00:00:00.000Z`) } }, { returnDate: null }] },
+    ],
+  };
+};
+
+// Stay dates, falling back to the booking's travel dates
+const stayDates = (stay, booking) => ({
+  checkIn: isoDay(stay.checkIn) || isoDay(booking.departureDate),
+  checkOut: isoDay(stay.checkOut) || isoDay(booking.returnDate),
+});
+
+const occupant = (t, onDate) => ({
+  fullName: t.fullName,
+  gender: t.gender || null,
+  type: t.type || travellerType(t, onDate),
+  passportNumber: t.passportNumber || null,
+  nationality: t.nationality || null,
+});
+
+// Head count when there are no traveller names (structured counts, else legacy strings)
+const headCount = (booking) =>
+  booking.travellerCounts?.total ||
+  (Number(booking.adults) || 0) + (Number(booking.children) || 0) ||
+  Number(booking.passengers) ||
+  0;
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+/**
+ * @param {object[]} bookings  Lean bookings from roomingListFilter
+ * @param {object} options
+ * @param {string} options.hotel  Hotel name (contains, any case)
+ * @param {string} options.from   First night, YYYY-MM-DD
+ * @param {string} options.to     Last night, YYYY-MM-DD
+ */
+export const buildRoomingList = (bookings, { hotel, from, to }) => {
+  const rx = new RegExp(escapeRegex(String(hotel).trim()), "i");
+  const stays = bookings
+    .flatMap((booking) =>
+      hotelsOf(booking)
+        .filter((h) => rx.test(h.name || h.hotelName || ""))
+        .map((stay) => ({ booking, stay, ...stayDates(stay, booking) }))
+    )
+    // In the hotel on any night from `from` to `to`
+    .filter(({ checkIn, checkOut }) => checkIn && checkIn <= to && (!checkOut || checkOut > from))
+    .sort((a, b) => a.checkIn.localeCompare(b.checkIn) || a.booking.customerName.localeCompare(b.booking.customerName));
+
+  const rooms = [];
+  const flags = [];
+  const byRoomType = {};
+  const flag = (booking, code, message) =>
+    flags.push({ bookingId: booking._id, customerName: booking.customerName, code, message });
+
+  stays.forEach(({ booking, stay, checkIn, checkOut }) => {
+    const onDate = travelReferenceDate(booking);
+    const named = booking.travellers?.length ? booking.travellers : legacyTravellers(booking);
+    const people = named.map((t) => occupant(t, onDate));
+    const sleepers = people.filter((p) => p.type !== "infant");
+    const infants = people.filter((p) => p.type === "infant");
+    const occupancy = roomOccupancy(stay.roomType);
+    const codes = [];
+
+    let groups;
+    if (!occupancy) {
+      codes.push("unknown-room-type");
+      flag(booking, "unknown-room-type", `Room type "${stay.roomType || ""}" is not single, double, triple or quad`);
+      groups = [sleepers];
+    } else if (people.length === 0) {
+      // Rooms from the head count, names still to come
+      codes.push("no-travellers");
+      const heads = headCount(booking);
+      flag(booking, "no-travellers", `No traveller names on the booking (${heads} passenger(s) booked)`);
+      groups = Array.from({ length: Math.max(1, Math.ceil(heads / occupancy.capacity)) }, () => []);
+    } else {
+      groups = chunk(sleepers, occupancy.capacity);
+      if (groups.length === 0) groups = [[]];
+      const empty = groups.length * occupancy.capacity - sleepers.length;
+      if (empty > 0) {
+        codes.push("occupancy-mismatch");
+        flag(
+          booking,
+          "occupancy-mismatch",
+          `${sleepers.length} traveller(s) in ${groups.length} ${occupancy.type} room(s): ${empty} bed(s) unused`
+        );
+      }
+    }
+
+    groups.forEach((group, i) => {
+      const type = occupancy?.type || stay.roomType || null;
+      byRoomType[type || "unknown"] = (byRoomType[type || "unknown"] || 0) + 1;
+      rooms.push({
+        roomNo: rooms.length + 1,
+        bookingId: booking._id,
+        customerName: booking.customerName,
+        pnr: booking.pnrs?.[0] || booking.pnr || null,
+        hotel: stay.name || stay.hotelName,
+        city: hotelCity(stay),
+        roomType: type,
+        capacity: occupancy?.capacity || null,
+        checkIn,
+        checkOut,
+        occupants: i === 0 ? [...group, ...infants] : group,
+        flags: codes,
+      });
+    });
+  });
+
+  return {
+    hotel,
+    from,
+    to,
+    bookings: new Set(stays.map((s) => String(s.booking._id))).size,
+    rooms: rooms.length,
+    travellers: rooms.reduce((sum, r) => sum + r.occupants.length, 0),
+    byRoomType,
+    flagged: new Set(flags.map((f) => String(f.bookingId))).size,
+    flags,
+    list: rooms,
+  };
+};
+
+const CSV_HEADERS = [
+  "Room", "Room Type", "Hotel", "Check-in", "Check-out", "Guest", "Gender", "Type",
+  "Passport", "Nationality", "Booking", "PNR", "Note",
+];
+
+/**
+ * One CSV line per guest (rooms without names get one empty line).
+ */
+export const writeRoomingListCsv = (res, rooming) => {
+  const slug = String(rooming.hotel).replace(/[^A-Za-z0-9]+/g, "-").toLowerCase();
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="rooming-${slug}-${rooming.from}.csv"`);
+
+  const lines = rooming.list.flatMap((room) =>
+    (room.occupants.length ? room.occupants : [{}]).map((guest) =>
+      [
+        room.roomNo, room.roomType, room.hotel, room.checkIn, room.checkOut,
+        guest.fullName, guest.gender, guest.type, guest.passportNumber, guest.nationality,
+        room.customerName, room.pnr, room.flags.join(" "),
+      ].map(csvCell).join(",")
+    )
+  );
+  res.end(`\uFEFF${[CSV_HEADERS.map(csvCell).join(","), ...lines].join("\r\n")}\r\n`);
+};
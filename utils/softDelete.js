@@ -0,0 +1,79 @@
+// utils/softDelete.js (ESM)
+//
+// Soft delete for bookings and inquiries: a delete only flags the record
+// (`deleted` + who/when). Every find/count/update query and aggregate hides
+// flagged records unless the filter mentions `deleted` itself or the query
+// runs with `{ withDeleted: true }`. The trash (controllers/trashController.js)
+// restores them; scripts/purge-trash.js removes them for good after
+// TRASH_RETENTION_DAYS.
+//   schema.plugin(softDeletePlugin)
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 86400000;
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+];
+
+// Does the filter already say something about `deleted` (trash queries)?
+const mentionsDeleted = (filter) =>
+  Boolean(filter) &&
+  typeof filter === "object" &&
+  Object.entries(filter).some(
+    ([key, value]) => key === "deleted" || (["$and", "$or", "$nor"].includes(key) && value.some(mentionsDeleted))
+  );
+
+// Date a record deleted at `deletedAt` becomes eligible for purging
+export const purgeAfter = (deletedAt) =>
+  deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deleted: { type: Boolean, default: false, index: true },
+    deletedAt: Date,
+    deletedBy: { type: schema.base.Schema.Types.ObjectId }, // User or Agent id
+    deletedByName: String,
+  });
+
+  QUERY_HOOKS.forEach((hook) => {
+    schema.pre(hook, function () {
+      if (this.getOptions().withDeleted || mentionsDeleted(this.getFilter())) return;
+      this.where({ deleted: { $ne: true } });
+    });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    if (pipeline.some((stage) => stage.$match && mentionsDeleted(stage.$match))) return;
+    // $geoNear / $search must stay the first stage
+    const first = pipeline[0] && (pipeline[0].$geoNear || pipeline[0].$search) ? 1 : 0;
+    pipeline.splice(first, 0, { $match: { deleted: { $ne: true } } });
+  });
+
+  // Flag as deleted (unsaved); the caller saves, with its audit actor when the model has one
+  schema.methods.softDelete = function (actor) {
+    this.deleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = actor?._id;
+    this.deletedByName = actor?.name;
+    return this;
+  };
+
+  schema.methods.restore = function () {
+    this.deleted = false;
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    this.deletedByName = undefined;
+    return this;
+  };
+};
+
+export default softDeletePlugin;
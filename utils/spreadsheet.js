@@ -0,0 +1,142 @@
+// utils/spreadsheet.js (ESM)
+//
+// Reads an uploaded CSV or XLSX file into { headers, rows } where each row is
+// { row, values: { header -> text } }. `row` is the line/row number in the file
+// (the header is row 1), so errors can point at the spreadsheet directly.
+import ExcelJS from "exceljs";
+
+export const SPREADSHEET_FORMATS = ["csv", "xlsx"];
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const spreadsheetError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * "csv" | "xlsx" from an explicit ?format=, the Content-Type, or the file itself
+ * (XLSX files are zip archives and start with "PK").
+ */
+export const detectFormat = (buffer, contentType = "", format) => {
+  if (format) {
+    const value = String(format).toLowerCase();
+    if (!SPREADSHEET_FORMATS.includes(value)) {
+      throw spreadsheetError(`format must be one of: ${SPREADSHEET_FORMATS.join(", ")}`);
+    }
+    return value;
+  }
+  if (String(contentType).includes(XLSX_TYPE)) return "xlsx";
+  if (String(contentType).includes("text/csv")) return "csv";
+  return buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b ? "xlsx" : "csv";
+};
+
+// Undo the export's formula guard ("'=..." -> "=...") and trim
+const cleanText = (value) => {
+  const s = String(value ?? "").trim();
+  return /^'[=+\-@]/.test(s) ? s.slice(1) : s;
+};
+
+/**
+ * RFC 4180 CSV (quoted fields, "" escapes, CRLF/LF). Semicolon-separated files
+ * (Excel in some locales) are detected from the header line.
+ */
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const headerLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw spreadsheetError("CSV has an unterminated quoted field");
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+// ExcelJS cell value -> text (dates as YYYY-MM-DD, formulas as their result)
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== "object") return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+  if ("result" in value) return cellText(value.result);
+  if ("text" in value) return cellText(value.text);
+  return "";
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw spreadsheetError("File is not a readable XLSX workbook");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) cells.push(cellText(row.getCell(col).value));
+    records[rowNumber - 1] = cells;
+  });
+  return Array.from(records, (cells) => cells || []);
+};
+
+/**
+ * Parse the file. Blank rows are skipped; duplicate or empty headers are rejected.
+ * @returns {Promise<{ headers: string[], rows: Array<{ row: number, values: object }> }>}
+ */
+export const readSpreadsheet = async (buffer, format) => {
+  if (!buffer?.length) throw spreadsheetError("The uploaded file is empty");
+  const records = format === "xlsx" ? await readXlsx(buffer) : parseCsv(buffer.toString("utf8"));
+
+  const headers = (records[0] || []).map(cleanText);
+  while (headers.length && !headers[headers.length - 1]) headers.pop(); // trailing empty columns
+  if (headers.length === 0) throw spreadsheetError("The first row must contain column headers");
+  if (headers.some((h) => !h)) throw spreadsheetError("Every column needs a header");
+  const duplicated = headers.filter((h, i) => headers.indexOf(h) !== i);
+  if (duplicated.length > 0) throw spreadsheetError(`Duplicate column headers: ${[...new Set(duplicated)].join(", ")}`);
+
+  const rows = [];
+  records.slice(1).forEach((cells, i) => {
+    const values = {};
+    headers.forEach((h, col) => {
+      values[h] = cleanText(cells[col]);
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ row: i + 2, values });
+  });
+  return { headers, rows };
+};
@@ -0,0 +1,118 @@
+// utils/travelDocuments.js (ESM)
+//
+// Pre-departure document checks on booking travellers: missing passport data,
+// passports not valid long enough past travel (Saudi visas need six months
+// after the return date by default) and age rules (minors and infants need an
+// adult on the same booking). Errors block travel; warnings should be fixed.
+import { INACTIVE_STATUSES } from "./pnrRegistry.js";
+import { ageOn, travellerType } from "./travellers.js";
+
+export const PASSPORT_VALIDITY_MONTHS = Number(process.env.PASSPORT_VALIDITY_MONTHS) || 6;
+const ADULT_FROM = 18; // years; younger travellers need a guardian on the booking
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+};
+
+const validDate = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const isoDay = (d) => (d ? d.toISOString().slice(0, 10) : null);
+
+const issue = (severity, code, message, traveller) => ({
+  severity,
+  code,
+  message,
+  ...(traveller ? { travellerId: traveller._id, travellerName: traveller.fullName } : {}),
+});
+
+const passportIssues = (t, departure, requiredUntil) => {
+  const issues = [];
+  if (!t.passportNumber) issues.push(issue("error", "passport_missing", "Passport number missing", t));
+  if (!t.nationality) issues.push(issue("warning", "nationality_missing", "Nationality missing", t));
+  if (!t.gender) issues.push(issue("warning", "gender_missing", "Gender missing", t));
+  if (!t.dateOfBirth) issues.push(issue("warning", "dob_missing", "Date of birth missing (age rules not checked)", t));
+
+  const expiry = validDate(t.passportExpiryDate);
+  if (!expiry) {
+    issues.push(issue("error", "passport_expiry_missing", "Passport expiry date missing", t));
+  } else if (departure && expiry <= departure) {
+    issues.push(issue("error", "passport_expired", `Passport expires ${isoDay(expiry)}, before departure`, t));
+  } else if (requiredUntil && expiry < requiredUntil) {
+    issues.push(
+      issue(
+        "error",
+        "passport_validity",
+        `Passport expires ${isoDay(expiry)}; must be valid until at least ${isoDay(requiredUntil)} ` +
+          `(${PASSPORT_VALIDITY_MONTHS} months after travel)`,
+        t
+      )
+    );
+  }
+  return issues;
+};
+
+const ageIssues = (travellers, departure) => {
+  const ageAt = (t) => ageOn(t.dateOfBirth, departure);
+  const adults = travellers.filter((t) => {
+    const age = ageAt(t);
+    return age === null || age >= ADULT_FROM; // unknown age is flagged separately
+  });
+  const issues = [];
+
+  if (adults.length === 0) {
+    travellers.forEach((t) =>
+      issues.push(issue("error", "minor_without_guardian", `Traveller is ${ageAt(t)} and no adult is on the booking`, t))
+    );
+  }
+
+  const infants = travellers.filter((t) => travellerType(t, departure) === "infant");
+  if (infants.length > adults.length) {
+    issues.push(issue("error", "infants_exceed_adults", `${infants.length} infants but only ${adults.length} adult(s) (one infant per adult)`));
+  }
+  return issues;
+};
+
+/**
+ * All document issues of one booking (plain object or document).
+ * @returns {{ departureDate, returnDate, passportValidUntil, ok, errors, warnings, issues }}
+ */
+export const checkBookingDocuments = (booking) => {
+  const travellers = booking.travellers || [];
+  const departure = validDate(booking.departureDate);
+  const travelEnd = validDate(booking.returnDate) || departure;
+  const requiredUntil = travelEnd ? addMonths(travelEnd, PASSPORT_VALIDITY_MONTHS) : null;
+
+  const issues = [];
+  if (!departure) issues.push(issue("warning", "departure_missing", "Departure date missing (passport validity not checked)"));
+  if (travellers.length === 0) {
+    issues.push(issue("error", "travellers_missing", "No travellers recorded on the booking"));
+  } else {
+    travellers.forEach((t) => issues.push(...passportIssues(t, departure, requiredUntil)));
+    issues.push(...ageIssues(travellers, departure || new Date()));
+  }
+
+  const errors = issues.filter((i) => i.severity === "error").length;
+  return {
+    departureDate: isoDay(departure),
+    returnDate: isoDay(validDate(booking.returnDate)),
+    passportValidUntil: isoDay(requiredUntil),
+    ok: errors === 0,
+    errors,
+    warnings: issues.length - errors,
+    issues,
+  };
+};
+
+/**
+ * Filter for bookings departing in [from, from + days) that can still travel.
+ */
+export const upcomingDeparturesFilter = (from, days) => ({
+  departureDate: { $gte: from, $lt: new Date(from.getTime() + days * 86400000) },
+  status: { $nin: INACTIVE_STATUSES },
+});
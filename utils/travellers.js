@@ -0,0 +1,194 @@
+// utils/travellers.js (ESM)
+//
+// Structured traveller records on a booking (name as on passport, passport data,
+// relationship to the lead passenger). Adult/child/infant counts are derived from
+// dates of birth on the departure date, using the airline age bands.
+export const GENDERS = ["male", "female"];
+export const RELATIONSHIPS = [
+  "self", // the lead passenger
+  "spouse",
+  "child",
+  "parent",
+  "sibling",
+  "grandparent",
+  "grandchild",
+  "relative",
+  "friend",
+  "other",
+];
+export const TRAVELLER_TYPES = ["adult", "child", "infant"];
+
+const INFANT_UNDER = 2; // years
+const CHILD_UNDER = 12;
+
+const travellerError = (message, details) => {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * Whole years between `dateOfBirth` and `onDate` (null when unknown).
+ */
+export const ageOn = (dateOfBirth, onDate = new Date()) => {
+  const dob = toDate(dateOfBirth);
+  const on = toDate(onDate);
+  if (!dob || !on) return null;
+  let age = on.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday =
+    on.getUTCMonth() < dob.getUTCMonth() ||
+    (on.getUTCMonth() === dob.getUTCMonth() && on.getUTCDate() < dob.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+/**
+ * "adult" | "child" | "infant" on the given date. Travellers without a date of
+ * birth count as adults.
+ */
+export const travellerType = (traveller, onDate) => {
+  const age = ageOn(traveller?.dateOfBirth, onDate);
+  if (age === null || age >= CHILD_UNDER) return "adult";
+  return age < INFANT_UNDER ? "infant" : "child";
+};
+
+// Date the age bands are measured on: departure, else the booking date
+export const travelReferenceDate = (booking) => booking?.departureDate || booking?.date || new Date();
+
+export const countTravellers = (travellers = [], onDate) => {
+  const counts = { adults: 0, children: 0, infants: 0, total: 0 };
+  travellers.forEach((t) => {
+    const type = travellerType(t, onDate);
+    counts[type === "adult" ? "adults" : type === "child" ? "children" : "infants"] += 1;
+    counts.total += 1;
+  });
+  return counts;
+};
+
+/**
+ * The lead passenger: relationship "self", else the first traveller.
+ */
+export const leadTraveller = (travellers = []) => travellers.find((t) => t.relationship === "self") || travellers[0];
+
+const cleanPassport = (value) => String(value || "").replace(/[\s-]/g, "").toUpperCase();
+
+const GENDER_ALIASES = { m: "male", f: "female" };
+
+/**
+ * Travellers payload -> value for `booking.travellers`. Throws (400) with
+ * details [{ index, field, message }] for every invalid entry.
+ */
+export const normalizeTravellers = (travellers) => {
+  if (travellers === null) return [];
+  if (!Array.isArray(travellers)) throw travellerError("travellers must be an array");
+
+  const problems = [];
+  const invalid = (index, field, message) => problems.push({ index, field, message });
+
+  const list = travellers.map((t, index) => {
+    const item = { ...(t || {}) };
+    item.fullName = String(item.fullName || "").trim();
+    if (!item.fullName) invalid(index, "fullName", "Name as on passport is required");
+
+    if (item.gender) {
+      const gender = String(item.gender).trim().toLowerCase();
+      item.gender = GENDER_ALIASES[gender] || gender;
+      if (!GENDERS.includes(item.gender)) invalid(index, "gender", `gender must be one of: ${GENDERS.join(", ")}`);
+    }
+    if (item.relationship) {
+      item.relationship = String(item.relationship).trim().toLowerCase();
+      if (!RELATIONSHIPS.includes(item.relationship)) {
+        invalid(index, "relationship", `relationship must be one of: ${RELATIONSHIPS.join(", ")}`);
+      }
+    }
+
+    ["dateOfBirth", "passportIssueDate", "passportExpiryDate"].forEach((field) => {
+      const d = toDate(item[field]);
+      if (d === null) invalid(index, field, `${field} is not a valid date`);
+      item[field] = d || undefined;
+    });
+    if (item.dateOfBirth && item.dateOfBirth > new Date()) invalid(index, "dateOfBirth", "dateOfBirth is in the future");
+    if (item.passportIssueDate && item.passportExpiryDate && item.passportIssueDate >= item.passportExpiryDate) {
+      invalid(index, "passportExpiryDate", "passportExpiryDate must be after passportIssueDate");
+    }
+
+    item.passportNumber = cleanPassport(item.passportNumber) || undefined;
+    if (item.passportNumber && !/^[A-Z0-9]{5,20}$/.test(item.passportNumber)) {
+      invalid(index, "passportNumber", "passportNumber must be 5–20 letters or digits");
+    }
+    item.nationality = item.nationality ? String(item.nationality).trim() : undefined;
+    delete item.type; // derived on save
+    return item;
+  });
+
+  if (list.filter((t) => t.relationship === "self").length > 1) {
+    invalid(null, "relationship", "Only one traveller can be the lead passenger (relationship \"self\")");
+  }
+  if (problems.length > 0) throw travellerError("Invalid traveller details", problems);
+
+  // The first traveller leads unless someone else is marked "self"
+  if (list.length > 0 && !list.some((t) => t.relationship === "self") && !list[0].relationship) {
+    list[0].relationship = "self";
+  }
+  return list;
+};
+
+/**
+ * Travellers built from the legacy fields (visas.passengers, visa.passportNumber /
+ * nationality). The legacy passport belongs to the lead (customer) when named.
+ */
+export const legacyTravellers = (booking) => {
+  const travellers = (booking.visas?.passengers || [])
+    .filter((p) => p?.fullName?.trim())
+    .map((p) => ({ fullName: p.fullName.trim(), nationality: p.nationality || undefined }));
+
+  const legacyVisa = booking.visa || {};
+  const hasLegacyPassport = Boolean(legacyVisa.passportNumber || legacyVisa.nationality);
+  const customer = String(booking.customerName || "").trim();
+
+  let lead = travellers.find((t) => t.fullName.toLowerCase() === customer.toLowerCase());
+  if (!lead && hasLegacyPassport && travellers.length === 1) [lead] = travellers;
+  if (!lead && hasLegacyPassport && customer) {
+    lead = { fullName: customer };
+    travellers.unshift(lead);
+  }
+  if (lead) {
+    lead.relationship = "self";
+    if (hasLegacyPassport) {
+      lead.passportNumber = cleanPassport(legacyVisa.passportNumber) || undefined;
+      lead.nationality = lead.nationality || legacyVisa.nationality || undefined;
+    }
+  }
+  return travellers;
+};
+
+/**
+ * Refresh each traveller's type and the booking's counts (mutates the booking).
+ * While travellers are listed they are the source of truth, so the legacy
+ * adults/children/passengers strings are rewritten from the counts.
+ */
+export const applyTravellerCounts = (booking, { syncLegacy = true } = {}) => {
+  const travellers = booking.travellers || [];
+  if (travellers.length === 0) {
+    booking.travellerCounts = undefined;
+    return;
+  }
+  const onDate = travelReferenceDate(booking);
+  travellers.forEach((t) => {
+    t.type = travellerType(t, onDate);
+  });
+  const counts = countTravellers(travellers, onDate);
+  booking.travellerCounts = counts;
+  if (syncLegacy) {
+    booking.adults = String(counts.adults);
+    booking.children = String(counts.children);
+    booking.passengers = String(counts.total);
+  }
+};
@@ -0,0 +1,207 @@
+// utils/visaApplications.js (ESM)
+//
+// Visa processing per traveller: one VisaApplication per booking traveller,
+// moved through documents-pending -> submitted -> approved -> issued (or
+// rejected, then back to documents-pending for a resubmission). A booking is
+// visa-ready once every current traveller has an issued visa.
+
+export const VISA_STATUSES = ["documents-pending", "submitted", "approved", "rejected", "issued"];
+export const VISA_TYPES = ["Tourist", "Umrah", "Hajj"];
+
+// Statuses still on the visa team's queue
+export const OPEN_VISA_STATUSES = ["documents-pending", "submitted", "approved", "rejected"];
+
+// Roles that work the queue and change statuses
+export const VISA_ROLES = ["admin", "visa"];
+
+export const VISA_TRANSITIONS = {
+  "documents-pending": ["submitted"],
+  submitted: ["approved", "rejected", "documents-pending"], // embassy asked for more documents
+  approved: ["issued"],
+  rejected: ["documents-pending"],
+  issued: [],
+};
+
+const visaError = (message, status = 400, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+export const canWorkVisas = (user) => VISA_ROLES.includes(user?.role);
+
+// Visa type for a new application: the legacy per-passenger entry, else the booking's, else Umrah
+const defaultVisaType = (booking, traveller) => {
+  const legacy = (booking.visas?.passengers || []).find(
+    (p) => p?.fullName?.trim().toLowerCase() === traveller.fullName?.trim().toLowerCase()
+  );
+  const type = legacy?.visaType || booking.visa?.visaType;
+  return VISA_TYPES.includes(type) ? type : "Umrah";
+};
+
+/**
+ * New application documents for the booking's travellers that have none yet.
+ * `travellerIds` limits it to some travellers (unknown ids throw 400).
+ */
+export const newApplications = (booking, existing, { travellerIds, visaType } = {}, actor) => {
+  const travellers = booking.travellers || [];
+  if (travellers.length === 0) {
+    throw visaError("Add the travellers to the booking before opening visa applications", 422);
+  }
+  if (visaType !== undefined && !VISA_TYPES.includes(visaType)) {
+    throw visaError(`visaType must be one of: ${VISA_TYPES.join(", ")}`);
+  }
+
+  let selected = travellers;
+  if (Array.isArray(travellerIds) && travellerIds.length > 0) {
+    const ids = travellerIds.map(String);
+    const unknown = ids.filter((id) => !travellers.some((t) => String(t._id) === id));
+    if (unknown.length > 0) throw visaError("Traveller not found on this booking", 400, { unknown });
+    selected = travellers.filter((t) => ids.includes(String(t._id)));
+  }
+
+  const opened = new Set(existing.map((a) => String(a.travellerId)));
+  return selected
+    .filter((t) => !opened.has(String(t._id)))
+    .map((t) => ({
+      booking: booking._id,
+      travellerId: t._id,
+      travellerName: t.fullName,
+      passportNumber: t.passportNumber,
+      nationality: t.nationality,
+      visaType: visaType || defaultVisaType(booking, t),
+      status: "documents-pending",
+      statusHistory: [{ to: "documents-pending", at: new Date(), by: actor?._id, byName: actor?.name }],
+      createdBy: actor?._id,
+      createdByName: actor?.name,
+    }));
+};
+
+/**
+ * Apply an update payload to an application (unsaved). Status changes follow
+ * VISA_TRANSITIONS and are recorded in statusHistory; "issued" needs the visa
+ * number and dates. `traveller` (the booking's current entry) refreshes the
+ * passport details when the application is submitted.
+ */
+export const applyVisaUpdate = (application, payload = {}, actor, traveller) => {
+  const problems = [];
+  const invalid = (field, message) => problems.push({ field, message });
+
+  if (payload.visaType !== undefined) {
+    if (!VISA_TYPES.includes(payload.visaType)) invalid("visaType", `visaType must be one of: ${VISA_TYPES.join(", ")}`);
+    else application.visaType = payload.visaType;
+  }
+  if (payload.visaNumber !== undefined) application.visaNumber = payload.visaNumber ? String(payload.visaNumber).trim() : undefined;
+  ["issueDate", "expiryDate"].forEach((field) => {
+    if (payload[field] === undefined) return;
+    const d = toDate(payload[field]);
+    if (d === undefined) invalid(field, `${field} must be a valid date`);
+    else application[field] = d || undefined;
+  });
+  if (payload.notes !== undefined) application.notes = payload.notes;
+
+  const next = payload.status;
+  if (next !== undefined && next !== application.status) {
+    if (!VISA_STATUSES.includes(next)) {
+      invalid("status", `status must be one of: ${VISA_STATUSES.join(", ")}`);
+    } else if (!VISA_TRANSITIONS[application.status].includes(next)) {
+      const allowed = VISA_TRANSITIONS[application.status];
+      throw visaError(
+        `Cannot move a visa from ${application.status} to ${next}` +
+          (allowed.length ? ` (allowed: ${allowed.join(", ")})` : ""),
+        409
+      );
+    } else {
+      const now = new Date();
+      if (next === "submitted") {
+        application.submittedAt = now;
+        if (traveller) {
+          application.travellerName = traveller.fullName;
+          application.passportNumber = traveller.passportNumber;
+          application.nationality = traveller.nationality;
+        }
+        if (!application.passportNumber) invalid("passportNumber", "The traveller has no passport number on the booking");
+      }
+      if (next === "approved" || next === "rejected") application.decidedAt = now;
+      application.statusHistory.push({
+        from: application.status,
+        to: next,
+        at: now,
+        by: actor?._id,
+        byName: actor?.name,
+        note: payload.statusReason,
+      });
+      application.status = next;
+    }
+  }
+
+  if (application.status === "issued") {
+    if (!application.visaNumber) invalid("visaNumber", "visaNumber is required once the visa is issued");
+    if (!application.issueDate) invalid("issueDate", "issueDate is required once the visa is issued");
+    if (!application.expiryDate) invalid("expiryDate", "expiryDate is required once the visa is issued");
+  }
+  if (application.issueDate && application.expiryDate && application.issueDate >= application.expiryDate) {
+    invalid("expiryDate", "expiryDate must be after issueDate");
+  }
+
+  if (problems.length > 0) throw visaError("Invalid visa application", 400, problems);
+  return application;
+};
+
+/**
+ * Booking-level readiness from its current travellers and their applications.
+ * state: no-travellers | not-started | in-progress | attention (rejected, or a
+ * visa expiring before the return date) | ready (every traveller issued)
+ */
+export const visaReadiness = (booking, applications) => {
+  const travellers = booking.travellers || [];
+  const byTraveller = new Map(applications.map((a) => [String(a.travellerId), a]));
+  const byStatus = Object.fromEntries(VISA_STATUSES.map((s) => [s, 0]));
+  const missing = [];
+  const attention = [];
+
+  travellers.forEach((t) => {
+    const app = byTraveller.get(String(t._id));
+    if (!app) {
+      missing.push({ travellerId: t._id, fullName: t.fullName });
+      return;
+    }
+    byStatus[app.status] += 1;
+    if (app.status === "rejected") {
+      attention.push({ travellerId: t._id, fullName: t.fullName, message: "Visa rejected" });
+    }
+    const until = booking.returnDate || booking.departureDate;
+    if (app.status === "issued" && app.expiryDate && until && new Date(app.expiryDate) < new Date(until)) {
+      attention.push({ travellerId: t._id, fullName: t.fullName, message: "Visa expires before the return date" });
+    }
+  });
+
+  // Applications whose traveller was removed from the booking
+  const current = new Set(travellers.map((t) => String(t._id)));
+  const orphaned = applications.filter((a) => !current.has(String(a.travellerId))).map((a) => a._id);
+
+  let state;
+  if (travellers.length === 0) state = "no-travellers";
+  else if (attention.length > 0) state = "attention";
+  else if (byStatus.issued === travellers.length) state = "ready";
+  else if (missing.length === travellers.length) state = "not-started";
+  else state = "in-progress";
+
+  return {
+    state,
+    ready: state === "ready",
+    travellers: travellers.length,
+    issued: byStatus.issued,
+    byStatus,
+    missing,
+    attention,
+    orphaned,
+  };
+};